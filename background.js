@@ -0,0 +1,1891 @@
+/**
+ * Thinkific Course Scraper - Background Service Worker
+ * Owns the scrape run: injects the click-through scraper, tracks the
+ * tcs-* progress messages and downloads the final export. The popup is only
+ * a view of this state, so closing it no longer loses the export.
+ */
+
+importScripts('checkpoint.js', 'export-schema.js', 'utils.js', 'html-parser.js', 'zip-writer.js', 'markdown-exporter.js', 'bundle-exporter.js',
+  'cartridge-exporter.js', 'scorm-exporter.js', 'docx-exporter.js', 'site-exporter.js',
+  'csv-exporter.js', 'lesson-images.js', 'download-queue.js');
+
+const RUN_STATE_KEY = 'tcs-run-state';
+const PARTIAL_RESULT_KEY = 'tcs-partial-result';
+const RETRY_BASE_KEY = 'tcs-retry-base';
+const DOWNLOAD_STATE_KEY = 'tcs-download-state';
+
+// Offscreen document that turns export files into blob: URLs (offscreen.js)
+const OFFSCREEN_DOCUMENT = 'offscreen.html';
+// Characters (text) or bytes (binary) of a file sent to it per message
+const BLOB_CHUNK_SIZE = 4 * 1024 * 1024;
+
+// How often the worker calls an extension API while files download, to stay alive
+const KEEP_ALIVE_INTERVAL_MS = 20000;
+
+// Export formats the popup can choose from
+const EXPORT_FORMATS = ['json', 'markdown', 'bundle', 'cartridge', 'scorm12', 'scorm2004', 'docx', 'site', 'csv'];
+
+const IDLE_STATE = {
+  status: 'idle',          // idle | running | done | cancelled | error
+  tabId: null,
+  completed: 0,
+  totalLessons: 0,
+  lessonTitle: null,
+  message: 'Ready to scrape. Navigate to a Thinkific course curriculum page.',
+  filename: null,
+  format: 'json',          // Export format chosen in the popup (see EXPORT_FORMATS)
+  downloadImages: false,   // Save lesson images next to a JSON export
+  downloadFiles: false,    // Queue the course's attachments and videos after the export
+  canSavePartial: false,
+  partialError: null,      // Why the data of a cancelled run could not be kept
+  errors: [],
+  selectorWarnings: [],    // Critical selector keys that only matched generic fallbacks
+  checkpointFailures: 0,   // Lessons of this run that could not be saved to the checkpoint
+  checkpointError: null,   // Error of the last failed checkpoint write
+  schemaProblems: []       // Export schema validation problems of the last download
+};
+
+// Module-level run state, mirrored to chrome.storage.session so a restarted
+// service worker (or a reopened popup) can pick up where it left off
+let runState = { ...IDLE_STATE };
+
+// Course data of the last cancelled run, until it is saved as a partial
+// export; also kept in chrome.storage.local for a restarted worker
+let partialResult = null;
+
+const runStateLoaded = chrome.storage.session.get(RUN_STATE_KEY).then(async stored => {
+  if (stored[RUN_STATE_KEY]) {
+    runState = { ...runState, ...stored[RUN_STATE_KEY] };
+  }
+
+  // Partial data left from a browser session whose run state is gone
+  if (!runState.canSavePartial) {
+    await chrome.storage.local.remove(PARTIAL_RESULT_KEY);
+  }
+
+  // A run whose page script is gone (tab closed or reloaded) will never
+  // send its result; without this it would block every later start
+  if (runState.status === 'running' && !(await isScraperRunning(runState.tabId))) {
+    console.warn('[Background] The running scrape was interrupted; its page script is gone');
+    await chrome.storage.local.remove(RETRY_BASE_KEY);
+    updateRunState({
+      status: 'error',
+      lessonTitle: null,
+      message: 'The scrape was interrupted (the page was closed or reloaded). Open the curriculum page and click Resume to continue from the saved lessons.'
+    });
+  }
+});
+
+const DOWNLOAD_IDLE_STATE = {
+  status: 'idle',          // idle | running | paused | done
+  folder: null,
+  items: []                // Queue items (download-queue.js) with their status
+};
+
+// File download queue of the last export; kept apart from the run state so
+// a new scrape can start while files are still downloading
+let downloadState = { ...DOWNLOAD_IDLE_STATE };
+let activeDownloadQueue = null;
+const activeDownloadIds = new Set();
+const downloadWaiters = new Map();
+
+const downloadStateLoaded = chrome.storage.session.get(DOWNLOAD_STATE_KEY).then(stored => {
+  const saved = stored[DOWNLOAD_STATE_KEY];
+  if (!saved) return;
+
+  // A restarted worker has lost its queue; report what did not finish
+  if (saved.status === 'running' || saved.status === 'paused') {
+    saved.status = 'done';
+    saved.items = saved.items.map(item => (
+      item.status === 'queued' || item.status === 'downloading'
+        ? { ...item, status: 'failed', error: 'Interrupted: the extension was restarted' }
+        : item
+    ));
+  }
+  downloadState = { ...downloadState, ...saved };
+});
+
+/**
+ * Merge a patch into the run state, persist it and broadcast it to any open popup
+ * @param {Object} patch - Fields to update
+ */
+function updateRunState(patch) {
+  runState = { ...runState, ...patch };
+  console.log('[Background] Run state:', runState.status, runState.message);
+
+  chrome.storage.session.set({ [RUN_STATE_KEY]: runState }).catch(err => {
+    console.warn('[Background] Failed to persist run state:', err);
+  });
+
+  // No popup open is the normal case, so a missing receiver is not an error
+  chrome.runtime.sendMessage({ type: 'tcs-state', state: runState }).catch(() => {});
+}
+
+/**
+ * Merge a patch into the download queue state, persist it and broadcast it to any open popup
+ * @param {Object} patch - Fields to update
+ */
+function updateDownloadState(patch) {
+  downloadState = { ...downloadState, ...patch };
+
+  chrome.storage.session.set({ [DOWNLOAD_STATE_KEY]: downloadState }).catch(err => {
+    console.warn('[Background] Failed to persist download state:', err);
+  });
+
+  chrome.runtime.sendMessage({ type: 'tcs-download-state', downloads: downloadState }).catch(() => {});
+}
+
+// Settle the downloads that are being waited for (waitForDownload)
+chrome.downloads.onChanged.addListener((delta) => {
+  if (!delta.state || !downloadWaiters.has(delta.id)) return;
+
+  if (delta.state.current === 'complete') {
+    downloadWaiters.get(delta.id).resolve();
+  } else if (delta.state.current === 'interrupted') {
+    downloadWaiters.get(delta.id).reject(createDownloadError(delta.error ? delta.error.current : 'unknown reason'));
+  }
+});
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (!message || !message.type) return;
+
+  switch (message.type) {
+    // Requests from the popup
+    case 'tcs-get-state':
+      Promise.all([runStateLoaded, downloadStateLoaded])
+        .then(() => sendResponse({ state: runState, downloads: downloadState }));
+      return true;
+
+    case 'tcs-start':
+      runStateLoaded.then(() => {
+        if (runState.status === 'running') {
+          sendResponse({ ok: false, error: 'A scrape is already running.' });
+          return;
+        }
+        runScrape(message.tabId, {
+          resume: !!message.resume,
+          baseExport: message.baseExport,
+          format: message.format,
+          downloadImages: !!message.downloadImages,
+          downloadFiles: !!message.downloadFiles
+        }).catch(err => {
+          console.error('[Background] Unhandled error in runScrape:', err);
+          updateRunState({ status: 'error', message: `Error: ${err.message}` });
+        });
+        sendResponse({ ok: true });
+      });
+      return true;
+
+    case 'tcs-cancel':
+      requestCancel().then(() => sendResponse({ ok: true }));
+      return true;
+
+    case 'tcs-upgrade-export':
+      downloadUpgradedExport(message.exportData)
+        .then(filename => sendResponse({ ok: true, filename }))
+        .catch(err => {
+          console.error('[Background] Error upgrading export:', err);
+          updateRunState({ message: `Error: ${err.message}` });
+          sendResponse({ ok: false, error: err.message });
+        });
+      return true;
+
+    case 'tcs-export-csv':
+      downloadLoadedCsv(message.exportData)
+        .then(filename => sendResponse({ ok: true, filename }))
+        .catch(err => {
+          console.error('[Background] Error exporting lesson inventory:', err);
+          updateRunState({ message: `Error: ${err.message}` });
+          sendResponse({ ok: false, error: err.message });
+        });
+      return true;
+
+    case 'tcs-pause-downloads':
+      pauseFileDownloads();
+      sendResponse({ ok: true });
+      break;
+
+    case 'tcs-resume-downloads':
+      resumeFileDownloads();
+      sendResponse({ ok: true });
+      break;
+
+    case 'tcs-save-partial':
+      savePartialExport(message.format, message.downloadImages, message.downloadFiles)
+        .then(() => sendResponse({ ok: true }))
+        .catch(err => {
+          console.error('[Background] Error saving partial export:', err);
+          updateRunState({ message: `Error: ${err.message}` });
+          sendResponse({ ok: false, error: err.message });
+        });
+      return true;
+
+    // Messages from the injected scraper. A restarted worker handles them
+    // once it has restored the run state.
+    default:
+      runStateLoaded.then(() => handleScraperMessage(message, sender, sendResponse));
+      return true;
+  }
+});
+
+/**
+ * Handle a progress or result message from the scraper running in the page
+ * @param {Object} message - tcs-* message
+ * @param {Object} sender - Message sender (the scraped tab)
+ * @param {Function} sendResponse - Acknowledges the message
+ */
+function handleScraperMessage(message, sender, sendResponse) {
+  if (!sender.tab || sender.tab.id !== runState.tabId) {
+    sendResponse({ ok: false });
+    return;
+  }
+  sendResponse({ ok: true });
+
+  switch (message.type) {
+    case 'tcs-init':
+      updateRunState({
+        totalLessons: message.totalLessons || 0,
+        completed: message.completed || 0,
+        message: message.restored
+          ? `Resuming: ${message.restored} lessons restored from checkpoint...`
+          : 'Scanning lessons...'
+      });
+      break;
+
+    case 'tcs-progress':
+      updateRunState({
+        totalLessons: message.totalLessons || runState.totalLessons,
+        completed: message.completed || 0,
+        lessonTitle: message.lessonTitle || null,
+        message: message.lessonTitle ? `Scraping: ${message.lessonTitle}` : runState.message
+      });
+      break;
+
+    case 'tcs-done':
+      updateRunState({
+        completed: message.completed || runState.totalLessons,
+        totalLessons: message.totalLessons || runState.totalLessons,
+        message: 'Scraping complete. Creating export...'
+      });
+      break;
+
+    case 'tcs-error':
+      updateRunState({ errors: [...runState.errors, message.error] });
+      break;
+
+    case 'tcs-checkpoint-error':
+      updateRunState({
+        checkpointFailures: runState.checkpointFailures + 1,
+        checkpointError: message.error || null
+      });
+      break;
+
+    case 'tcs-cancelled':
+      updateRunState({
+        status: 'cancelled',
+        completed: message.completed || 0,
+        totalLessons: message.totalLessons || runState.totalLessons,
+        message: 'Scraping cancelled. Collecting partial data...'
+      });
+      break;
+
+    case 'tcs-result':
+      if (runState.status === 'running' || runState.status === 'cancelled') {
+        finishScrape(message.data).catch(err => {
+          console.error('[Background] Unhandled error in finishScrape:', err);
+          updateRunState({ status: 'error', message: `Error: ${err.message}` });
+        });
+      }
+      break;
+
+    case 'tcs-failed':
+      chrome.storage.local.remove(RETRY_BASE_KEY).catch(() => {});
+      updateRunState({ status: 'error', message: `Error: ${message.error}` });
+      break;
+  }
+}
+
+/**
+ * Check whether the click-through scraper is still running in a tab
+ * @param {number} tabId - Scraped tab
+ * @returns {Promise<boolean>} - False if the tab is gone or its page was reloaded
+ */
+async function isScraperRunning(tabId) {
+  if (!tabId) return false;
+
+  try {
+    const [{ result }] = await chrome.scripting.executeScript({
+      target: { tabId },
+      func: () => window.__TCS_RUNNING === true
+    });
+    return result === true;
+  } catch (err) {
+    console.warn('[Background] Could not reach the scraped tab:', err);
+    return false;
+  }
+}
+
+/**
+ * Ask the scraper running in the page to stop after the current lesson
+ * @returns {Promise<void>}
+ */
+async function requestCancel() {
+  if (runState.status !== 'running' || !runState.tabId) {
+    return;
+  }
+
+  try {
+    await chrome.scripting.executeScript({
+      target: { tabId: runState.tabId },
+      func: () => {
+        window.__TCS_CANCELLED = true;
+      }
+    });
+    updateRunState({ message: 'Cancel requested... Finishing current lesson.' });
+  } catch (err) {
+    console.error('[Background] Error requesting cancel:', err);
+    updateRunState({ message: 'Error requesting cancel. See console.' });
+  }
+}
+
+/**
+ * Start the click-through scrape on a tab. The page reports back with
+ * messages, and its tcs-result message hands the course data to finishScrape,
+ * so the scrape survives a restart of this worker.
+ * @param {number} tabId - Thinkific curriculum tab
+ * @param {Object} options - Run options
+ * @param {boolean} options.resume - Skip lessons saved in the course checkpoint
+ * @param {Object} options.baseExport - Previous export; only its failed lessons are
+ *   scraped and the results are merged back into it (optional)
+ * @param {string} options.format - Export format, one of EXPORT_FORMATS (default: json)
+ * @param {boolean} options.downloadImages - Save lesson images next to a JSON export
+ * @param {boolean} options.downloadFiles - Queue the course's attachments and videos after the export
+ * @returns {Promise<void>}
+ */
+async function runScrape(tabId, options = {}) {
+  const tab = tabId ? await chrome.tabs.get(tabId).catch(() => null) : null;
+  if (!tab || !tab.id || !tab.url) {
+    updateRunState({ ...IDLE_STATE, message: 'No active tab found.' });
+    return;
+  }
+
+  if (!/thinkific\.com/.test(tab.url)) {
+    updateRunState({ ...IDLE_STATE, message: 'Please navigate to a Thinkific course curriculum page before starting.' });
+    return;
+  }
+
+  const format = EXPORT_FORMATS.includes(options.format) ? options.format : 'json';
+  const baseExport = options.baseExport || null;
+  const retryLessons = baseExport ? getRetryLessons(baseExport) : null;
+
+  if (baseExport) {
+    if (normalizeCurriculumUrl(baseExport.curriculumUrl) !== normalizeCurriculumUrl(tab.url)) {
+      updateRunState({ ...IDLE_STATE, message: 'The loaded export is for a different course. Open its curriculum page first.' });
+      return;
+    }
+    if (retryLessons.length === 0) {
+      updateRunState({ ...IDLE_STATE, message: 'The loaded export has no failed lessons to retry.' });
+      return;
+    }
+  }
+
+  updateRunState({
+    ...IDLE_STATE,
+    status: 'running',
+    tabId: tab.id,
+    format,
+    downloadImages: !!options.downloadImages,
+    downloadFiles: !!options.downloadFiles,
+    message: 'Injecting scraper scripts into Thinkific page...'
+  });
+  partialResult = null;
+  await chrome.storage.local.remove(PARTIAL_RESULT_KEY);
+
+  try {
+    // The export being retried is needed again when the result arrives,
+    // possibly in a restarted worker
+    if (baseExport) {
+      await chrome.storage.local.set({ [RETRY_BASE_KEY]: baseExport });
+    } else {
+      await chrome.storage.local.remove(RETRY_BASE_KEY);
+    }
+
+    // Inject selectors, utils and extractors into the page. They stay loaded in
+    // the page's isolated world, and injecting them again would redeclare their
+    // top-level consts, so a second run on the same page reuses them.
+    const [{ result: alreadyInjected }] = await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      func: () => typeof SELECTORS !== 'undefined'
+    });
+
+    if (!alreadyInjected) {
+      await chrome.scripting.executeScript({
+        target: { tabId: tab.id },
+        files: ['selectors.js', 'utils.js', 'checkpoint.js', 'lesson-scraper.js']
+      });
+    }
+
+    updateRunState({
+      message: retryLessons
+        ? `Retrying ${retryLessons.length} failed lessons...`
+        : 'Starting click-through scraping...'
+    });
+
+    // Start the click-through scraper in the page context; it returns at once
+    // and sends the course data in a tcs-result message
+    const [{ result: started }] = await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      func: clickThroughAndScrapeCourse,
+      args: [{ resume: !!options.resume, retryLessons, schemaVersion: EXPORT_SCHEMA_VERSION }]
+    });
+
+    if (!started) {
+      updateRunState({ status: 'error', message: 'A scrape is already running on this page. Reload it to start over.' });
+    }
+
+  } catch (error) {
+    console.error('[Background] Error starting the scrape:', error);
+    updateRunState({ status: 'error', message: `Error: ${error.message}` });
+  }
+}
+
+/**
+ * Download the course data a scrape sent back (tcs-result), merged into the
+ * export being retried if there is one
+ * @param {Object} scrapedData - Course data from clickThroughAndScrapeCourse
+ * @returns {Promise<void>}
+ */
+async function finishScrape(scrapedData) {
+  const stored = await chrome.storage.local.get(RETRY_BASE_KEY);
+  const baseExport = stored[RETRY_BASE_KEY] || null;
+  await chrome.storage.local.remove(RETRY_BASE_KEY);
+
+  try {
+    if (!scrapedData) {
+      updateRunState({ status: 'error', message: 'No data returned from scraper.' });
+      return;
+    }
+
+    const courseData = baseExport ? mergeRetryResults(baseExport, scrapedData) : scrapedData;
+
+    console.log('[Background] Course data received:', courseData);
+
+    const selectorWarnings = (scrapedData.diagnostics && scrapedData.diagnostics.genericOnly) || [];
+    if (selectorWarnings.length > 0) {
+      console.warn('[Background] Only generic fallback selectors matched for:', selectorWarnings);
+    }
+    updateRunState({ selectorWarnings });
+
+    // If the scraper marked this run as cancelled, hold the partial data
+    // until the user chooses to save it; nothing is downloaded automatically.
+    if (courseData.cancelled || runState.status === 'cancelled') {
+      console.log('[Background] Scrape was cancelled; keeping partial data.');
+      partialResult = courseData;
+      try {
+        await chrome.storage.local.set({ [PARTIAL_RESULT_KEY]: courseData });
+      } catch (err) {
+        // Without the stored copy a restarted worker could not save it, so don't offer it
+        console.error('[Background] Failed to keep partial data:', err);
+        partialResult = null;
+        updateRunState({
+          status: 'cancelled',
+          completed: courseData.completedLessons,
+          partialError: err.message,
+          message: `Scraping cancelled after ${courseData.completedLessons} / ${courseData.totalLessons} lessons.`
+        });
+        return;
+      }
+      updateRunState({
+        status: 'cancelled',
+        canSavePartial: true,
+        completed: courseData.completedLessons,
+        message: `Scraping cancelled after ${courseData.completedLessons} / ${courseData.totalLessons} lessons. No file downloaded yet.`
+      });
+      return;
+    }
+
+    // Normal successful path: download the export
+    updateRunState({ message: 'Creating download file...' });
+
+    const filename = await downloadExport(courseData, {
+      format: runState.format,
+      suffix: baseExport ? 'retried' : '',
+      downloadImages: runState.downloadImages
+    });
+
+    // The export now holds every lesson, so the checkpoint is no longer needed
+    await clearCheckpoint(courseData.curriculumUrl);
+
+    updateRunState({ status: 'done', filename, message: `Complete! ${filename} has been downloaded.` });
+
+    if (runState.downloadFiles) {
+      startFileDownloads(courseData, baseExport ? 'retried' : '');
+    }
+
+  } catch (error) {
+    console.error('[Background] Error during scraping:', error);
+    updateRunState({ status: 'error', message: `Error: ${error.message}` });
+  }
+}
+
+/**
+ * Check whether a lesson in an export needs to be scraped again
+ * @param {Object} lesson - Exported lesson
+ * @returns {boolean}
+ */
+function needsRetry(lesson) {
+  return !isLessonComplete(lesson);
+}
+
+/**
+ * List the lessons of a previous export that failed or came out empty
+ * @param {Object} exportData - Previous export
+ * @returns {Array<Object>} - { chapterIndex, lessonIndex, itemId, title } per lesson to retry
+ */
+function getRetryLessons(exportData) {
+  const retryLessons = [];
+
+  (exportData.chapters || []).forEach((chapter, chapterIndex) => {
+    (chapter.lessons || []).forEach((lesson, lessonIndex) => {
+      if (needsRetry(lesson)) {
+        retryLessons.push({
+          chapterIndex: lesson.chapterIndex ?? chapterIndex,
+          lessonIndex: lesson.lessonIndex ?? lessonIndex,
+          itemId: lesson.itemId || null,
+          title: lesson.title
+        });
+      }
+    });
+  });
+
+  return retryLessons;
+}
+
+/**
+ * Merge the lessons scraped in a retry run into the previous export.
+ * Only lessons the retry actually attempted are replaced; everything else
+ * in the original file is kept as it was.
+ * @param {Object} exportData - Previous export
+ * @param {Object} retryData - Course data returned by the retry run
+ * @returns {Object} - Merged export
+ */
+function mergeRetryResults(exportData, retryData) {
+  const retried = retryData.chapters
+    .flatMap(chapter => chapter.lessons)
+    .filter(lesson => lesson.status === 'scraped' || lesson.status === 'failed');
+
+  let completedLessons = 0;
+  const chapters = exportData.chapters.map((chapter, chapterIndex) => ({
+    ...chapter,
+    lessons: chapter.lessons.map((lesson, lessonIndex) => {
+      const original = {
+        ...lesson,
+        chapterIndex: lesson.chapterIndex ?? chapterIndex,
+        lessonIndex: lesson.lessonIndex ?? lessonIndex
+      };
+      const merged = retried.find(retriedLesson => isSameLesson(original, retriedLesson)) || lesson;
+      if (!needsRetry(merged)) completedLessons++;
+      return merged;
+    })
+  }));
+
+  // Drop the old reports of retried lessons; the retry run reports its own
+  const previousErrors = (exportData.errors || []).filter(error =>
+    !retried.some(retriedLesson => isSameLesson({ ...error, title: error.lessonTitle }, retriedLesson))
+  );
+
+  return {
+    ...exportData,
+    cancelled: retryData.cancelled,
+    completedLessons,
+    retriedAt: retryData.extractedAt,
+    retriedLessons: retried.length,
+    errors: [...previousErrors, ...(retryData.errors || [])],
+    layoutProfile: retryData.layoutProfile,
+    diagnostics: retryData.diagnostics,
+    chapters
+  };
+}
+
+/**
+ * Download the data of the last cancelled run as a partial export
+ * @param {string} format - Export format (default: the format the run was started with)
+ * @param {boolean} downloadImages - Save lesson images next to a JSON export
+ *   (default: the choice the run was started with)
+ * @param {boolean} downloadFiles - Queue the scraped attachments and videos
+ *   (default: the choice the run was started with)
+ * @returns {Promise<void>}
+ */
+async function savePartialExport(format, downloadImages, downloadFiles) {
+  const courseData = partialResult || (await chrome.storage.local.get(PARTIAL_RESULT_KEY))[PARTIAL_RESULT_KEY];
+
+  if (!courseData) {
+    throw new Error('Partial data is no longer available. Use Resume to continue the scrape instead.');
+  }
+
+  const filename = await downloadExport(courseData, {
+    format: EXPORT_FORMATS.includes(format) ? format : runState.format,
+    suffix: 'partial',
+    downloadImages: downloadImages ?? runState.downloadImages
+  });
+
+  // The checkpoint is kept so the run can still be resumed later
+  partialResult = null;
+  await chrome.storage.local.remove(PARTIAL_RESULT_KEY);
+  updateRunState({ canSavePartial: false, filename, message: `Partial export saved as ${filename}.` });
+
+  if (downloadFiles ?? runState.downloadFiles) {
+    startFileDownloads(courseData, 'partial');
+  }
+}
+
+/**
+ * Download an older export file upgraded to the current schema version
+ * @param {Object} exportData - Export file contents
+ * @returns {Promise<string>} - Downloaded filename
+ */
+async function downloadUpgradedExport(exportData) {
+  const fromVersion = getExportSchemaVersion(exportData);
+  const filename = await downloadExport(upgradeExport(exportData), { format: 'json', suffix: 'upgraded' });
+
+  updateRunState({
+    filename,
+    message: `Upgraded export from schema version ${fromVersion} to ${EXPORT_SCHEMA_VERSION}: ${filename}.`
+  });
+  return filename;
+}
+
+/**
+ * Download the lesson inventory (CSV) of an export file or structure-only
+ * course map loaded in the popup, without scraping anything
+ * @param {Object} exportData - Export file contents
+ * @returns {Promise<string>} - Downloaded filename
+ */
+async function downloadLoadedCsv(exportData) {
+  const filename = await downloadExport(upgradeExport(exportData), { format: 'csv' });
+
+  updateRunState({ filename, message: `Lesson inventory saved as ${filename}.` });
+  return filename;
+}
+
+/**
+ * Load export-schema.json from the extension package (once per worker)
+ * @returns {Promise<Object>} - Parsed schema
+ */
+let exportSchemaPromise = null;
+function loadExportSchema() {
+  if (!exportSchemaPromise) {
+    exportSchemaPromise = fetch(chrome.runtime.getURL('export-schema.json'))
+      .then(response => response.json())
+      .catch(err => {
+        exportSchemaPromise = null;
+        throw err;
+      });
+  }
+  return exportSchemaPromise;
+}
+
+/**
+ * Download course data in the chosen export format
+ * @param {Object} courseData - Course data at EXPORT_SCHEMA_VERSION (loaded
+ *   files are upgraded with upgradeExport first)
+ * @param {Object} options - Download options
+ * @param {string} options.format - One of EXPORT_FORMATS (default: json)
+ * @param {string} options.suffix - Extra filename part, e.g. "partial" (optional)
+ * @param {boolean} options.downloadImages - For JSON, also save the lesson images (optional)
+ * @returns {Promise<string>} - Downloaded filename
+ */
+async function downloadExport(courseData, options = {}) {
+  // Problems are shown as an error in the popup but never block the
+  // download, so no scrape is lost
+  courseData = removeCheckpointFlags(courseData);
+  const schemaProblems = validateExport(courseData, await loadExportSchema());
+  if (schemaProblems.length > 0) {
+    console.error('[Background] Export does not match export-schema.json:', schemaProblems);
+  }
+  updateRunState({ schemaProblems });
+
+  switch (options.format) {
+    case 'markdown':
+      return downloadZip(
+        buildMarkdownExport(courseData),
+        getExportFilename(courseData, [options.suffix, 'markdown'], 'zip')
+      );
+
+    case 'bundle': {
+      const entries = await buildBundleExport(courseData, {
+        onProgress: (done, total) => updateRunState({ message: `Downloading lesson assets: ${done} / ${total}...` })
+      });
+      return downloadZip(entries, getExportFilename(courseData, [options.suffix, 'bundle'], 'zip'));
+    }
+
+    case 'cartridge': {
+      const entries = await buildCartridgeExport(courseData, {
+        onProgress: (done, total) => updateRunState({ message: `Downloading lesson files: ${done} / ${total}...` })
+      });
+      return downloadZip(entries, getExportFilename(courseData, [options.suffix], 'imscc'));
+    }
+
+    case 'scorm12':
+    case 'scorm2004': {
+      // The package's player runtime ships with the extension
+      const playerResponse = await fetch(chrome.runtime.getURL('scorm-player.js'));
+      const entries = await buildScormExport(courseData, {
+        version: options.format === 'scorm2004' ? '2004' : '1.2',
+        playerScript: await playerResponse.text(),
+        onProgress: (done, total) => updateRunState({ message: `Downloading lesson assets: ${done} / ${total}...` })
+      });
+      return downloadZip(entries, getExportFilename(courseData, [options.suffix, options.format], 'zip'));
+    }
+
+    case 'docx': {
+      const entries = await buildDocxExport(courseData, {
+        onProgress: (done, total) => updateRunState({ message: `Downloading lesson images: ${done} / ${total}...` })
+      });
+      return downloadZip(entries, getExportFilename(courseData, [options.suffix], 'docx'),
+        'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+    }
+
+    case 'site': {
+      // The site's search runtime ships with the extension
+      const searchResponse = await fetch(chrome.runtime.getURL('site-search.js'));
+      const entries = await buildSiteExport(courseData, {
+        searchScript: await searchResponse.text(),
+        onProgress: (done, total) => updateRunState({ message: `Downloading lesson assets: ${done} / ${total}...` })
+      });
+      return downloadZip(entries, getExportFilename(courseData, [options.suffix, 'site'], 'zip'));
+    }
+
+    case 'csv':
+      return downloadCsv(courseData, options);
+
+    default:
+      return options.downloadImages
+        ? downloadCourseFolder(courseData, options)
+        : downloadCourseJson(courseData, options);
+  }
+}
+
+/**
+ * Build an export filename: thinkific_<course>[_<part>...]_<timestamp>.<extension>
+ * @param {Object} courseData - Course data
+ * @param {Array<string>} parts - Extra filename parts; empty ones are skipped
+ * @param {string} extension - File extension (optional; folder names have none)
+ * @returns {string}
+ */
+function getExportFilename(courseData, parts, extension) {
+  const safeTitle = (courseData.courseTitle || 'course').replace(/[^a-z0-9]/gi, '_').toLowerCase();
+  const extra = parts.filter(Boolean).map(part => `_${part}`).join('');
+  return `thinkific_${safeTitle}${extra}_${Date.now()}${extension ? `.${extension}` : ''}`;
+}
+
+/**
+ * Download course data as a JSON file
+ * @param {Object} courseData - Course data returned by the scraper
+ * @param {Object} options - Download options
+ * @param {string} options.suffix - Extra filename part, e.g. "partial" (optional)
+ * @returns {Promise<string>} - Downloaded filename
+ */
+async function downloadCourseJson(courseData, options = {}) {
+  const json = JSON.stringify(courseData, null, 2);
+  const filename = getExportFilename(courseData, [options.suffix], 'json');
+
+  await downloadBlob(json, filename, 'application/json;charset=utf-8');
+  return filename;
+}
+
+/**
+ * Download course data as a folder holding course.json and the lesson images
+ * (lesson-images.js). The JSON's lesson content points at the images/ folder
+ * next to it and its assets field lists every image.
+ * @param {Object} courseData - Course data returned by the scraper
+ * @param {Object} options - Download options
+ * @param {string} options.suffix - Extra filename part, e.g. "partial" (optional)
+ * @returns {Promise<string>} - Downloaded path of course.json
+ */
+async function downloadCourseFolder(courseData, options = {}) {
+  const folder = getExportFilename(courseData, [options.suffix]);
+  let saved = 0;
+  const { courseData: localizedData } = await localizeLessonImages(courseData, {
+    onProgress: (done, total) => updateRunState({ message: `Downloading lesson images: ${done} / ${total}...` }),
+    save: async (entry) => {
+      updateRunState({ message: `Saving lesson image ${++saved}: ${entry.path}...` });
+      await downloadBlob(entry.data, `${folder}/${entry.path}`, 'application/octet-stream');
+    }
+  });
+
+  const failed = localizedData.assets.filter(asset => asset.error).length;
+  if (failed > 0) {
+    console.warn(`[Background] ${failed} lesson images could not be downloaded or saved; see the assets field of the export.`);
+  }
+
+  const json = JSON.stringify(localizedData, null, 2);
+  const filename = `${folder}/course.json`;
+  await downloadBlob(json, filename, 'application/json;charset=utf-8');
+  return filename;
+}
+
+/**
+ * Download the lesson inventory of the course as CSV (csv-exporter.js)
+ * @param {Object} courseData - Course data returned by the scraper
+ * @param {Object} options - Download options
+ * @param {string} options.suffix - Extra filename part, e.g. "partial" (optional)
+ * @returns {Promise<string>} - Downloaded filename
+ */
+async function downloadCsv(courseData, options = {}) {
+  // The byte order mark makes Excel read the file as UTF-8
+  const csv = `\uFEFF${buildCsvExport(courseData)}`;
+  const filename = getExportFilename(courseData, [options.suffix, 'inventory'], 'csv');
+
+  await downloadBlob(csv, filename, 'text/csv;charset=utf-8');
+  return filename;
+}
+
+/**
+ * Package files as a ZIP archive (zip-writer.js) and download it
+ * @param {Array<Object>} entries - { path, data } files for createZip
+ * @param {string} filename - Download filename
+ * @param {string} mimeType - MIME type of the file (default: application/zip; .docx files are ZIP packages too)
+ * @returns {Promise<string>} - Downloaded filename
+ */
+async function downloadZip(entries, filename, mimeType = 'application/zip') {
+  await downloadBlob(createZip(entries), filename, mimeType);
+  return filename;
+}
+
+// Pending chrome.offscreen.createDocument call, shared by concurrent downloads
+let offscreenCreating = null;
+
+/**
+ * Create the offscreen document (offscreen.html) unless it is already open
+ * @returns {Promise<void>}
+ */
+async function ensureOffscreenDocument() {
+  const contexts = await chrome.runtime.getContexts({
+    contextTypes: ['OFFSCREEN_DOCUMENT'],
+    documentUrls: [chrome.runtime.getURL(OFFSCREEN_DOCUMENT)]
+  });
+  if (contexts.length > 0) return;
+
+  // Only one offscreen document may exist
+  if (!offscreenCreating) {
+    offscreenCreating = chrome.offscreen.createDocument({
+      url: OFFSCREEN_DOCUMENT,
+      reasons: ['BLOBS'],
+      justification: 'Create blob URLs for export downloads; service workers have no URL.createObjectURL'
+    }).finally(() => {
+      offscreenCreating = null;
+    });
+  }
+  await offscreenCreating;
+}
+
+/**
+ * Send a request to the offscreen document
+ * @param {Object} message - Request (blob-chunk, blob-finish or blob-revoke)
+ * @returns {Promise<Object>} - Response
+ * @throws {Error} - If the offscreen document reports an error
+ */
+async function sendToOffscreen(message) {
+  const response = await chrome.runtime.sendMessage({ ...message, target: 'offscreen' });
+  if (!response || response.error) {
+    throw new Error((response && response.error) || 'No response from the offscreen document');
+  }
+  return response;
+}
+
+/**
+ * Download a file through a blob: URL made by the offscreen document.
+ * data: URLs are limited to about 2 MB, too small for course exports, and
+ * service workers cannot create blob: URLs themselves. The file is sent to
+ * the offscreen document in chunks; its URL is revoked once the download is done.
+ * @param {string|Uint8Array} data - File contents (text is saved as UTF-8)
+ * @param {string} filename - Download filename
+ * @param {string} mimeType - MIME type of the file
+ * @returns {Promise<void>}
+ * @throws {Error} - If the download could not start or was interrupted
+ */
+async function downloadBlob(data, filename, mimeType) {
+  await ensureOffscreenDocument();
+
+  const blobId = crypto.randomUUID();
+  const isText = typeof data === 'string';
+  for (let offset = 0; offset < data.length;) {
+    let end = Math.min(offset + BLOB_CHUNK_SIZE, data.length);
+    // Keep surrogate pairs together; each text chunk is encoded on its own
+    if (isText && end < data.length && /[\uD800-\uDBFF]/.test(data[end - 1])) end--;
+
+    const chunk = isText
+      ? { text: data.slice(offset, end) }
+      : { base64: bytesToBase64(data.subarray(offset, end)) };
+    await sendToOffscreen({ type: 'blob-chunk', blobId, ...chunk });
+    offset = end;
+  }
+
+  const { url } = await sendToOffscreen({ type: 'blob-finish', blobId, mimeType });
+  try {
+    const downloadId = await chrome.downloads.download({ url, filename });
+    await waitForDownload(downloadId);
+  } finally {
+    sendToOffscreen({ type: 'blob-revoke', url }).catch(err => {
+      console.warn('[Background] Failed to revoke blob URL:', err);
+    });
+  }
+}
+
+/**
+ * Encode bytes as base64 for a message to the offscreen document
+ * @param {Uint8Array} bytes - Data
+ * @returns {string}
+ */
+function bytesToBase64(bytes) {
+  // Convert in chunks; spreading a large array into fromCharCode overflows the stack
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Queue the attachments and directly hosted videos of a course for download
+ * (download-queue.js). Runs in the background; the popup shows each file's
+ * status and the failed downloads once the queue is done.
+ * @param {Object} courseData - Course data returned by the scraper
+ * @param {string} suffix - Extra folder name part, e.g. "partial" (optional)
+ */
+function startFileDownloads(courseData, suffix) {
+  if (activeDownloadQueue) {
+    updateRunState({ message: 'Files of an earlier export are still downloading; wait for them to finish first.' });
+    return;
+  }
+
+  const folder = getExportFilename(courseData, [suffix, 'files']);
+  const items = collectCourseDownloads(courseData, folder);
+  if (items.length === 0) {
+    updateDownloadState({ ...DOWNLOAD_IDLE_STATE });
+    return;
+  }
+
+  const queue = createDownloadQueue(items, {
+    download: downloadQueueItem,
+    onChange: () => updateDownloadState({ items })
+  });
+  activeDownloadQueue = queue;
+  updateDownloadState({ status: 'running', folder, items });
+
+  // The queue only lives in this worker's memory. Chrome stops a worker after
+  // 30 seconds without events, and a long file download sends none, so call
+  // an extension API regularly to keep the worker alive until the queue is done.
+  const keepAlive = setInterval(() => chrome.runtime.getPlatformInfo().catch(() => {}), KEEP_ALIVE_INTERVAL_MS);
+
+  queue.run()
+    .then(failed => {
+      const done = items.length - failed.length;
+      if (failed.length > 0) {
+        console.warn('[Background] File downloads failed:', failed.map(item => `${item.url}: ${item.error}`));
+      }
+      updateRunState({
+        message: failed.length > 0
+          ? `Downloaded ${done} / ${items.length} files; ${failed.length} failed (see the download list).`
+          : `Downloaded all ${items.length} attachments and videos.`
+      });
+    })
+    .catch(err => {
+      console.error('[Background] Error in download queue:', err);
+      updateRunState({ message: `Error downloading files: ${err.message}` });
+    })
+    .finally(() => {
+      clearInterval(keepAlive);
+      activeDownloadQueue = null;
+      updateDownloadState({ status: 'done', items });
+    });
+}
+
+/**
+ * Download one queue item with chrome.downloads and wait until it finishes
+ * @param {Object} item - Queue item ({ url, filename })
+ * @returns {Promise<void>}
+ * @throws {Error} - If the download could not start or was interrupted
+ */
+async function downloadQueueItem(item) {
+  const downloadId = await chrome.downloads.download({ url: item.url, filename: item.filename, conflictAction: 'uniquify' });
+  activeDownloadIds.add(downloadId);
+
+  try {
+    await waitForDownload(downloadId);
+  } finally {
+    activeDownloadIds.delete(downloadId);
+  }
+}
+
+/**
+ * Wait until a download finishes
+ * @param {number} downloadId - chrome.downloads ID
+ * @returns {Promise<void>}
+ * @throws {Error} - If the download was interrupted
+ */
+async function waitForDownload(downloadId) {
+  try {
+    await new Promise((resolve, reject) => {
+      downloadWaiters.set(downloadId, { resolve, reject });
+
+      // The download may have finished before the waiter was registered
+      chrome.downloads.search({ id: downloadId }).then(([download]) => {
+        if (download && download.state === 'complete') resolve();
+        if (download && download.state === 'interrupted') reject(createDownloadError(download.error));
+      }).catch(reject);
+    });
+  } finally {
+    downloadWaiters.delete(downloadId);
+  }
+}
+
+/**
+ * Create the error of an interrupted download
+ * @param {string} reason - chrome.downloads InterruptReason, e.g. NETWORK_FAILED
+ * @returns {Error} - Error whose final property is true when retrying cannot help
+ */
+function createDownloadError(reason) {
+  if (reason === 'USER_CANCELED') {
+    // Retrying would start the file the user just cancelled again
+    const error = new Error('Download cancelled');
+    error.final = true;
+    return error;
+  }
+  return new Error(`Download interrupted (${reason})`);
+}
+
+/**
+ * Pause the download queue: no new files start and the ones in progress are paused
+ */
+function pauseFileDownloads() {
+  if (!activeDownloadQueue) return;
+
+  activeDownloadQueue.pause();
+  activeDownloadIds.forEach(id => chrome.downloads.pause(id).catch(() => {}));
+  updateDownloadState({ status: 'paused' });
+}
+
+/**
+ * Resume a paused download queue
+ */
+function resumeFileDownloads() {
+  if (!activeDownloadQueue) return;
+
+  activeDownloadIds.forEach(id => chrome.downloads.resume(id).catch(() => {}));
+  activeDownloadQueue.resume();
+  updateDownloadState({ status: 'running' });
+}
+
+/**
+ * This function runs in the Thinkific page context.
+ * It clicks through each lesson and extracts text content.
+ * Each finished lesson is saved to the course checkpoint (checkpoint.js),
+ * so an interrupted run can be resumed without re-scraping it.
+ *
+ * The scrape runs on after this function returns: the course data comes
+ * back in a tcs-result message (tcs-failed on a fatal error). Returning it
+ * would keep the executeScript call open for the whole scrape, and Chrome
+ * stops a service worker whose API call runs longer than 5 minutes.
+ * window.__TCS_RUNNING stays set until the service worker has the result.
+ *
+ * @param {Object} options - Scrape options
+ * @param {boolean} options.resume - Restore saved lessons and skip them
+ * @param {Array<Object>} options.retryLessons - Only scrape these lessons
+ *   ({ chapterIndex, lessonIndex, title }); all others are left not attempted
+ * @param {number} options.schemaVersion - EXPORT_SCHEMA_VERSION, written to the course data
+ * @returns {boolean} True if the scrape started, false if one is already running on this page
+ */
+function clickThroughAndScrapeCourse(options = {}) {
+  console.log('[Scraper] Starting click-through course scraping...', options);
+
+  if (window.__TCS_RUNNING) {
+    console.warn('[Scraper] A scrape is already running on this page');
+    return false;
+  }
+  window.__TCS_RUNNING = true;
+
+  // Initialize cancellation flag (a cancelled earlier run on this page leaves it set)
+  window.__TCS_CANCELLED = false;
+
+  // Helper: Normalize text for comparison
+  const normalizeText = (text) => {
+    if (!text) return '';
+    return text.trim().replace(/\s+/g, ' ').toLowerCase();
+  };
+
+  /**
+   * Simulate a real mouse click with full event sequence
+   * @param {Element} element - Element to click
+   */
+  function simulateRealClick(element) {
+    if (!element) return;
+    const rect = element.getBoundingClientRect();
+    const centerX = rect.left + rect.width / 2;
+    const centerY = rect.top + rect.height / 2;
+
+    const eventOptions = {
+      bubbles: true,
+      cancelable: true,
+      view: window,
+      clientX: centerX,
+      clientY: centerY
+    };
+
+    const events = ['pointerdown', 'mousedown', 'mouseup', 'click'];
+
+    for (const type of events) {
+      const evt = new MouseEvent(type, eventOptions);
+      element.dispatchEvent(evt);
+    }
+  }
+
+  /**
+   * Expand a chapter accordion if it is collapsed
+   * @param {Element} chapterElement - Chapter container
+   * @returns {boolean} - True if the chapter was clicked open
+   */
+  function expandChapter(chapterElement) {
+    const header = findElement(SELECTORS.chapterHeader, chapterElement) || chapterElement;
+
+    // The expanded state sits on the header itself or on an element inside it
+    const stateElement = header.hasAttribute('aria-expanded')
+      ? header
+      : header.querySelector('[aria-expanded]');
+    const expandedState = stateElement ? stateElement.getAttribute('aria-expanded') : null;
+
+    // Headers without aria-expanded are only clicked when the chapter shows no lessons
+    const isCollapsed = expandedState === 'false' ||
+      (expandedState === null && header !== chapterElement &&
+        findElements(SELECTORS.lessonCard, chapterElement).length === 0);
+
+    if (!isCollapsed) return false;
+
+    simulateRealClick(stateElement || header);
+    return true;
+  }
+
+  /**
+   * Pre-pass before planning: open every collapsed chapter and scroll the
+   * curriculum sidebar until lazily rendered lessons stop appearing
+   * @returns {Promise<void>}
+   */
+  async function expandCurriculum() {
+    const countLessonCards = () => findElements(SELECTORS.lessonCard).length;
+
+    const expandAll = async () => {
+      let expandedCount = 0;
+      for (const chapterElement of findElements(SELECTORS.chapterContainer)) {
+        if (expandChapter(chapterElement)) {
+          expandedCount++;
+          await waitForDomStable(chapterElement, { quietMs: 150, timeout: 1000 });
+        }
+      }
+      return expandedCount;
+    };
+
+    const expandedCount = await expandAll();
+    console.log(`[Scraper] Expanded ${expandedCount} collapsed chapters`);
+
+    // Scroll the sidebar (or the page) down until the lesson count is stable
+    const sidebar = findElement(SELECTORS.curriculumSidebar);
+    const scroller = (sidebar && sidebar.scrollHeight > sidebar.clientHeight ? sidebar : null) ||
+      getScrollableAncestor(findElement(SELECTORS.chapterContainer)) ||
+      document.scrollingElement;
+
+    let lastCount = countLessonCards();
+    let stablePasses = 0;
+
+    for (let pass = 0; pass < 50 && stablePasses < 2; pass++) {
+      scroller.scrollTop += Math.max(scroller.clientHeight, 400);
+      await waitForDomStable(scroller === document.scrollingElement ? document : scroller, { quietMs: 200, timeout: 2000 });
+
+      // Chapters rendered by the scroll may be collapsed too
+      await expandAll();
+
+      const count = countLessonCards();
+      const atBottom = scroller.scrollTop + scroller.clientHeight >= scroller.scrollHeight - 2;
+      stablePasses = count === lastCount && atBottom ? stablePasses + 1 : 0;
+      lastCount = count;
+    }
+
+    scroller.scrollTop = 0;
+    console.log(`[Scraper] Curriculum fully rendered: ${lastCount} lesson cards`);
+  }
+
+  /**
+   * Find the nearest ancestor that scrolls vertically
+   * @param {Element} element - Element to start from
+   * @returns {Element|null}
+   */
+  function getScrollableAncestor(element) {
+    for (let node = element && element.parentElement; node; node = node.parentElement) {
+      const overflowY = getComputedStyle(node).overflowY;
+      if ((overflowY === 'auto' || overflowY === 'scroll') && node.scrollHeight > node.clientHeight) {
+        return node;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get the title a lesson card shows, the same way the course plan reads it
+   * @param {Element} lessonCard - Lesson card element
+   * @param {number} lessonIndex - Lesson position within its chapter
+   * @returns {string}
+   */
+  function getCardTitle(lessonCard, lessonIndex) {
+    const lessonTitleEl = findElement(SELECTORS.lessonTitle, lessonCard);
+    return lessonTitleEl?.textContent.trim() || `Lesson ${lessonIndex + 1}`;
+  }
+
+  /**
+   * Get the edit URL a lesson card links to, if its link names a curriculum item
+   * @param {Element} lessonCard - Lesson card element
+   * @returns {string|null}
+   */
+  function getCardEditUrl(lessonCard) {
+    const link = lessonCard.querySelector('a[href]');
+    return link && getItemIdFromUrl(link.href) ? link.href : null;
+  }
+
+  /**
+   * Find the card for a planned lesson in the current sidebar DOM.
+   * Cards are located by item ID when the plan has one, otherwise by chapter
+   * index plus lesson index inside that chapter's container. The title is only
+   * a sanity check, so a duplicate title in another chapter never matches.
+   * @param {Object} lesson - Lesson from the course plan
+   * @returns {Element|null} - Lesson card or null
+   */
+  function findLessonCard(lesson) {
+    if (lesson.itemId) {
+      const cardWithId = findElements(SELECTORS.lessonCard)
+        .find(card => getLessonItemId(card) === lesson.itemId);
+      if (cardWithId) {
+        return cardWithId;
+      }
+      console.warn(`[Debug] No card with item ID ${lesson.itemId}; falling back to position`);
+    }
+
+    const chapterElement = findElements(SELECTORS.chapterContainer)[lesson.chapterIndex];
+    if (!chapterElement) {
+      console.error(`[Debug] Chapter container ${lesson.chapterIndex} is not in the DOM`);
+      return null;
+    }
+
+    const lessonCard = findElements(SELECTORS.lessonCard, chapterElement)[lesson.lessonIndex];
+    if (!lessonCard) {
+      console.error(`[Debug] Chapter ${lesson.chapterIndex} has no lesson card at index ${lesson.lessonIndex}`);
+      return null;
+    }
+
+    const cardTitle = getCardTitle(lessonCard, lesson.lessonIndex);
+    if (normalizeText(cardTitle) !== normalizeText(lesson.title)) {
+      console.error(`[Debug] Card at ${lesson.chapterIndex}:${lesson.lessonIndex} is "${cardTitle}", expected "${lesson.title}"`);
+      return null;
+    }
+
+    return lessonCard;
+  }
+
+  /**
+   * Wait for the lesson editor panel to load with a specific lesson.
+   * When the editor URL names an item ID it must match the lesson's ID;
+   * the editor title is only compared when no ID is available. The check
+   * reruns on every DOM change, plus once a second for URL changes that
+   * don't touch the DOM.
+   * @param {Object} lesson - Lesson from the course plan
+   * @param {number} timeoutMs - Max wait time in ms
+   * @returns {Promise<boolean>} - True if loaded, false if timeout
+   */
+  async function waitForLessonLoaded(lesson, timeoutMs = 10000) {
+    const expectedTitle = lesson.title;
+    console.log('[Scraper] Waiting for lesson "' + expectedTitle + '" to load in editor...');
+
+    const normalize = (s) => (s || '').trim().replace(/\s+/g, ' ');
+    const normalizedExpected = normalize(expectedTitle);
+
+    // Try more specific selectors first if available
+    const editorTitleSelectors = [
+      '[data-qa="lesson-title"]',
+      '[data-qa*="lesson-title"]',
+      '.lesson-title',
+      '.content-form-header h1',
+      '.content-form h1',
+      'h1'
+    ];
+
+    // Only log what the editor shows when it changes, not on every DOM mutation
+    let lastSeen = null;
+    const logOnce = (seen, message) => {
+      if (seen === lastSeen) return;
+      lastSeen = seen;
+      console.log(message);
+    };
+
+    const isLessonLoaded = () => {
+      const loadedItemId = getItemIdFromUrl(window.location.href);
+
+      if (lesson.itemId && loadedItemId) {
+        if (loadedItemId === lesson.itemId) return true;
+        logOnce(loadedItemId, `[Scraper] Editor shows item ${loadedItemId}, waiting for ${lesson.itemId}`);
+        return false;
+      }
+
+      let titleEl = null;
+      for (const sel of editorTitleSelectors) {
+        const candidate = document.querySelector(sel);
+        if (candidate) {
+          titleEl = candidate;
+          break;
+        }
+      }
+
+      const currentText = titleEl ? normalize(titleEl.textContent) : '';
+      logOnce(currentText, titleEl
+        ? `[Scraper] Editor title candidate: ${currentText}`
+        : '[Scraper] No editor title element found yet');
+
+      return titleEl !== null && currentText === normalizedExpected;
+    };
+
+    const loaded = await waitForCondition(isLessonLoaded, { timeout: timeoutMs, recheckMs: 1000 });
+    if (!loaded) {
+      console.warn('[Scraper] Timeout waiting for lesson "' + expectedTitle + '"');
+      return false;
+    }
+
+    console.log(`[Scraper] Lesson "${expectedTitle}"${lesson.itemId ? ` (item ${lesson.itemId})` : ''} loaded in editor.`);
+    await waitForEditorReady();
+    return true;
+  }
+
+  /**
+   * Wait for the opened lesson's editor to finish rendering: the page and
+   * the editor iframe (if any) stop changing and no request is finishing.
+   * Never fails; a panel that doesn't settle in SETTLE_TIMEOUT_MS is
+   * extracted as it is.
+   * @returns {Promise<void>}
+   */
+  async function waitForEditorReady() {
+    const waits = [waitForDomStable(document), waitForNetworkIdle()];
+
+    const editorEl = findElement(SELECTORS.lessonTextEditor);
+    if (editorEl && editorEl.tagName === 'IFRAME') {
+      try {
+        const iframeDoc = editorEl.contentDocument;
+        if (iframeDoc && iframeDoc.body) {
+          waits.push(waitForDomStable(iframeDoc.body));
+        }
+      } catch (err) {
+        // Cross-origin editor iframe: extractLessonText reports it
+      }
+    }
+
+    const settled = await Promise.all(waits);
+    if (settled.includes(false)) {
+      console.warn(`[Scraper] Editor still changing after ${SETTLE_TIMEOUT_MS}ms; extracting it as it is`);
+    }
+  }
+
+  /**
+   * Check whether extracted editor HTML holds anything worth keeping
+   * @param {string} html - Editor HTML
+   * @param {string} plainText - Editor text
+   * @returns {boolean}
+   */
+  function hasEditorContent(html, plainText) {
+    return plainText.trim().length > 0 || /<(img|iframe|video|audio|embed|object)\b/i.test(html);
+  }
+
+  /**
+   * Extract lesson text content from the editor panel
+   * @returns {Object} - { html, plainText, source } or { errorCode, message } on failure
+   */
+  function extractLessonText() {
+    console.log('[Scraper] Attempting to extract lesson text...');
+
+    // Strategy 1: Try direct content-editable div (like Froala .fr-element.fr-view)
+    const editorEl = findElement(SELECTORS.lessonTextEditor);
+
+    if (editorEl) {
+      // Check if it's an iframe
+      if (editorEl.tagName === 'IFRAME') {
+        try {
+          console.log('[Scraper] Found iframe editor, attempting to access content...');
+          const iframeDoc = editorEl.contentDocument || editorEl.contentWindow?.document;
+
+          if (iframeDoc && iframeDoc.body) {
+            const html = iframeDoc.body.innerHTML;
+            const plainText = iframeDoc.body.innerText || iframeDoc.body.textContent || '';
+
+            console.log(`[Scraper] Extracted from iframe: ${html.length} chars HTML, ${plainText.length} chars text`);
+            if (!hasEditorContent(html, plainText)) {
+              return { errorCode: ERROR_CODES.EXTRACTION_EMPTY, message: 'Editor iframe is empty' };
+            }
+            return { html, plainText, source: 'iframe_body' };
+          }
+        } catch (err) {
+          console.warn('[Scraper] iframe access blocked (cross-origin):', err.message);
+          return { errorCode: ERROR_CODES.IFRAME_BLOCKED, message: `Editor iframe access blocked: ${err.message}` };
+        }
+      } else {
+        // Direct div with contenteditable
+        const html = editorEl.innerHTML;
+        const plainText = editorEl.innerText || editorEl.textContent || '';
+
+        console.log(`[Scraper] Extracted from direct element: ${html.length} chars HTML, ${plainText.length} chars text`);
+        if (!hasEditorContent(html, plainText)) {
+          return { errorCode: ERROR_CODES.EXTRACTION_EMPTY, message: 'Lesson text editor is empty' };
+        }
+        return { html, plainText, source: 'direct_div' };
+      }
+    }
+
+    console.warn('[Scraper] Could not find lesson text editor element');
+    return { errorCode: ERROR_CODES.EDITOR_NOT_FOUND, message: 'Could not extract text from editor' };
+  }
+
+  // Structured error reports for the export and the popup error log
+  const errors = [];
+
+  /**
+   * Record a structured error and stream it to the popup
+   * @param {string} context - Context description
+   * @param {Error|string} error - Error object or message
+   * @param {Object} details - logError details (code, chapterIndex, lessonIndex, lessonTitle, itemId)
+   * @returns {Object} - Error report
+   */
+  function reportError(context, error, details) {
+    const errorObj = logError(context, error, details);
+
+    // The stack stays in the console; the report only needs what and where
+    const { stack, ...report } = errorObj;
+    report.itemId = details.itemId || null;
+    errors.push(report);
+
+    try {
+      chrome.runtime && chrome.runtime.sendMessage({ type: 'tcs-error', error: report });
+    } catch (e) {
+      console.warn('[Scraper] Failed to send error message:', e);
+    }
+
+    return report;
+  }
+
+  /**
+   * Mark a lesson as failed and report it
+   * @param {Object} lesson - Lesson from the course plan
+   * @param {string} code - One of ERROR_CODES
+   * @param {Error|string} error - Error object or message
+   */
+  function failLesson(lesson, code, error) {
+    const report = reportError(`Lesson: ${lesson.title}`, error, {
+      code,
+      chapterIndex: lesson.chapterIndex,
+      lessonIndex: lesson.lessonIndex,
+      lessonTitle: lesson.title,
+      itemId: lesson.itemId
+    });
+
+    lesson.content = null;
+    lesson.plainTextContent = null;
+    lesson.error = report.message;
+    lesson.errorCode = report.code;
+  }
+
+  /**
+   * Scrape the course: plan it, then click through every lesson
+   * @returns {Promise<Object>} Complete course data with lesson content
+   */
+  async function scrapeCourse() {
+    // Selector diagnostics describe this run only, and overrides saved on the
+    // options page since the last run apply to it (selectors.js)
+    resetSelectorDiagnostics();
+    await loadSelectorOverrides();
+
+    try {
+      // Get course title and URL
+      const courseTitle = document.title || 'Unknown Course';
+      const curriculumUrl = window.location.href;
+
+      console.log('[Scraper] Course title:', courseTitle);
+      console.log('[Scraper] Curriculum URL:', curriculumUrl);
+
+      // Pick the selector set for this version of the admin UI (selectors.js)
+      const layout = detectLayoutProfile();
+      setLayoutProfile(layout.name);
+      console.log(`[Scraper] Layout profile: ${layout.name}`, layout.matched);
+
+      // Open collapsed chapters and render lazily loaded lessons before planning
+      await expandCurriculum();
+
+      // Build course structure by finding chapters and lessons
+      const chapterElements = findElements(SELECTORS.chapterContainer);
+      console.log(`[Scraper] Found ${chapterElements.length} chapters`);
+
+      if (chapterElements.length === 0) {
+        throw new Error('No chapters found. Make sure you are on the curriculum page.');
+      }
+
+      const chapters = [];
+      let totalLessons = 0;
+
+      // Build course plan (chapters + lessons)
+      for (let chapterIndex = 0; chapterIndex < chapterElements.length; chapterIndex++) {
+        const chapterElement = chapterElements[chapterIndex];
+
+        const chapterTitleEl = findElement(SELECTORS.chapterTitle, chapterElement);
+        const chapterTitle = chapterTitleEl?.textContent.trim() || `Chapter ${chapterIndex + 1}`;
+
+        const lessonCards = findElements(SELECTORS.lessonCard, chapterElement);
+        console.log(`[Scraper] Chapter "${chapterTitle}": found ${lessonCards.length} lessons`);
+
+        const lessons = [];
+
+        for (let lessonIndex = 0; lessonIndex < lessonCards.length; lessonIndex++) {
+          const lessonCard = lessonCards[lessonIndex];
+          const lessonTitle = getCardTitle(lessonCard, lessonIndex);
+          const typeDetails = detectLessonTypeDetails(lessonCard, lessonTitle);
+          const itemId = getLessonItemId(lessonCard);
+
+          // DIAGNOSTIC: Log each lesson as we build the plan
+          console.log(`[Plan] chapterIndex=${chapterIndex} lessonIndex=${lessonIndex} itemId=${itemId} title="${lessonTitle}" type="${typeDetails.type}" (${typeDetails.confidence})`);
+          if (lessonIndex === 0) {
+            const htmlSnippet = lessonCard.outerHTML.substring(0, 200);
+            console.log(`[Plan] First lesson card HTML snippet:`, htmlSnippet);
+          }
+
+          lessons.push({
+            chapterIndex,
+            lessonIndex,
+            itemId,
+            title: lessonTitle,
+            type: typeDetails.type,
+            typeConfidence: typeDetails.confidence,
+            typeEvidence: typeDetails.evidence,
+            url: getCardEditUrl(lessonCard),
+            status: 'not_attempted',
+            content: null,
+            plainTextContent: null
+          });
+
+          totalLessons++;
+        }
+
+        chapters.push({
+          chapterTitle,
+          chapterIndex,
+          lessons
+        });
+
+        // Still empty after the expand pre-pass: most likely markup we don't recognize
+        if (lessons.length === 0) {
+          reportError(`Chapter: ${chapterTitle}`, 'Chapter has no lessons after expanding it', {
+            code: ERROR_CODES.CHAPTER_EMPTY,
+            chapterIndex,
+            lessonIndex: null,
+            lessonTitle: null
+          });
+        }
+      }
+
+      console.log(`[Scraper] Built course plan: ${chapters.length} chapters, ${totalLessons} lessons`);
+
+      // In retry mode only the requested lessons are scraped, and only while
+      // they are still the same lesson (same item ID, or same position and title)
+      let retryTargets = null;
+      if (options.retryLessons) {
+        retryTargets = new Set();
+        for (const chapter of chapters) {
+          for (const lesson of chapter.lessons) {
+            if (options.retryLessons.some(target => isSameLesson(target, lesson))) {
+              retryTargets.add(getLessonCheckpointId(lesson));
+            }
+          }
+        }
+        console.log(`[Scraper] Retrying ${retryTargets.size} of ${options.retryLessons.length} requested lessons`);
+      }
+
+      // Restore lessons from an earlier run, or start this course fresh
+      let restored = 0;
+      if (options.resume) {
+        const checkpoint = await loadCheckpoint(curriculumUrl);
+        restored = applyCheckpoint(chapters, checkpoint);
+        console.log(`[Scraper] Restored ${restored} lessons from checkpoint`);
+      } else if (!retryTargets) {
+        await clearCheckpoint(curriculumUrl);
+      }
+
+      // Send init message with total lesson count. Lessons that this run will
+      // not scrape (restored, or not part of a retry) count as already done.
+      let completed = retryTargets ? totalLessons - retryTargets.size : restored;
+      try {
+        chrome.runtime && chrome.runtime.sendMessage({
+          type: 'tcs-init',
+          totalLessons,
+          completed,
+          restored
+        });
+      } catch (e) {
+        console.warn('[Scraper] Failed to send init message:', e);
+      }
+
+      // Now click through each lesson and extract content
+      let processedLessons = 0;
+      let cancelled = false;
+
+      for (const chapter of chapters) {
+        if (cancelled) break;
+
+        for (const lesson of chapter.lessons) {
+          // Already scraped in an earlier run
+          if (lesson.fromCheckpoint) continue;
+
+          // Not one of the lessons being retried
+          if (retryTargets && !retryTargets.has(getLessonCheckpointId(lesson))) continue;
+
+          try {
+            // Check cancellation flag
+            if (window.__TCS_CANCELLED) {
+              console.warn('[Scraper] Cancellation flag set; stopping after completing', completed, 'lessons');
+              try {
+                chrome.runtime && chrome.runtime.sendMessage({
+                  type: 'tcs-cancelled',
+                  completed,
+                  totalLessons
+                });
+              } catch (e) {
+                console.warn('[Scraper] Failed to send cancellation message:', e);
+              }
+              cancelled = true;
+              break;
+            }
+
+            processedLessons++;
+            lesson.status = 'in_progress';
+            console.log(`[Scraper] Processing lesson ${processedLessons}/${totalLessons}: title="${lesson.title}" chapterIndex=${lesson.chapterIndex} lessonIndex=${lesson.lessonIndex}`);
+
+            // Find the lesson card in the current DOM by item ID or position
+            const targetLessonCard = findLessonCard(lesson);
+
+            if (!targetLessonCard) {
+              console.error(`[Scraper] Could not find lesson card for "${lesson.title}"`);
+              failLesson(lesson, ERROR_CODES.CARD_NOT_FOUND, 'Could not find lesson card in DOM');
+              continue;
+            }
+
+            // Find the truly clickable element within the card
+            let clickableElement =
+              findElement(SELECTORS.clickableLesson, targetLessonCard) ||
+              targetLessonCard.querySelector('button, [role="button"]') ||
+              targetLessonCard;
+
+            console.log('[Scraper] Click target:', clickableElement, 'for lesson:', lesson.title);
+
+            // Scroll into view instantly, so the click lands without waiting for a smooth scroll
+            clickableElement.scrollIntoView({ block: 'center', behavior: 'auto' });
+
+            console.log(`[Scraper] Clicking lesson: "${lesson.title}"`);
+            simulateRealClick(clickableElement);
+
+            // Wait for the lesson to load and render in the editor panel
+            const loaded = await waitForLessonLoaded(lesson, 12000);
+
+            if (!loaded) {
+              console.error(`[Scraper] Lesson "${lesson.title}" did not load in editor panel`);
+              failLesson(lesson, ERROR_CODES.EDITOR_TIMEOUT, 'Lesson did not load in editor panel (timeout)');
+              continue;
+            }
+
+            // Once the editor URL names this lesson's item, it is the lesson's edit URL
+            const editorItemId = getItemIdFromUrl(window.location.href);
+            if (editorItemId && (!lesson.itemId || editorItemId === lesson.itemId)) {
+              lesson.url = window.location.href;
+            }
+
+            // The editor form names the lesson type more reliably than the card does
+            const formEvidence = collectEditorFormTypeEvidence();
+            if (formEvidence.length > 0) {
+              const typeDetails = scoreLessonType([...lesson.typeEvidence, ...formEvidence]);
+              if (typeDetails.type !== lesson.type) {
+                console.log(`[Scraper] Editor form changes the type of "${lesson.title}": ${lesson.type} -> ${typeDetails.type}`);
+              }
+              lesson.type = typeDetails.type;
+              lesson.typeConfidence = typeDetails.confidence;
+              lesson.typeEvidence = typeDetails.evidence;
+            }
+
+            // Video lessons: capture provider, IDs and upload details from the editor panel
+            if (lesson.type === 'video' || lesson.type === 'unknown') {
+              const video = await extractEditorVideo();
+              if (video) {
+                lesson.video = video;
+                console.log(`[Scraper] Extracted ${video.provider || 'unknown'} video for "${lesson.title}"`);
+              }
+            }
+
+            // Download lessons: capture every attached file; the description is the editor text below
+            if (lesson.type === 'download' || lesson.type === 'unknown') {
+              const files = await extractEditorDownloads();
+              if (files.length > 0) {
+                lesson.files = files;
+                console.log(`[Scraper] Extracted ${files.length} attached files for "${lesson.title}"`);
+              }
+            }
+
+            // Quiz lessons: capture settings and every question with its answers. Unlike
+            // videos and files this is skipped for unknown lessons: the quiz selectors are
+            // loose enough to find question-like markup in any lesson
+            if (lesson.type === 'quiz') {
+              const quizData = await extractEditorQuiz();
+              if (quizData && quizData.questions.length > 0) {
+                lesson.quiz = { settings: quizData.settings, questions: quizData.questions };
+                console.log(`[Scraper] Extracted ${quizData.questions.length} quiz questions for "${lesson.title}"`);
+              }
+            }
+
+            // Extract text content from the editor
+            const textResult = extractLessonText();
+
+            if (!textResult.errorCode) {
+              lesson.content = textResult.html || null;
+              lesson.plainTextContent = textResult.plainText || null;
+              console.log(`[Scraper] Successfully extracted content for "${lesson.title}"`);
+            } else if ((hasLessonData(lesson) || UNEXTRACTED_LESSON_TYPES.includes(lesson.type)) &&
+                       (textResult.errorCode === ERROR_CODES.EDITOR_NOT_FOUND ||
+                        textResult.errorCode === ERROR_CODES.EXTRACTION_EMPTY)) {
+              // A video, download or quiz lesson without description text is complete as it is,
+              // and so is a lesson of a type whose content is not extracted (e.g. a PDF lesson)
+              console.log(`[Scraper] ${lesson.type} lesson "${lesson.title}" has no text content`);
+            } else {
+              failLesson(lesson, textResult.errorCode, textResult.message);
+              console.warn(`[Scraper] Failed to extract content for "${lesson.title}"`);
+            }
+
+            // Save the finished lesson so a later run can resume after it
+            if (!lesson.error) {
+              lesson.status = 'scraped';
+              try {
+                await saveLessonCheckpoint({ curriculumUrl, courseTitle, totalLessons }, lesson);
+              } catch (e) {
+                // The lesson is still in this run's data, but Resume would scrape it again
+                console.error('[Scraper] Failed to save checkpoint:', e);
+                try {
+                  chrome.runtime && chrome.runtime.sendMessage({
+                    type: 'tcs-checkpoint-error',
+                    lessonTitle: lesson.title,
+                    error: e.message
+                  });
+                } catch (sendError) {
+                  console.warn('[Scraper] Failed to send checkpoint error message:', sendError);
+                }
+              }
+            }
+
+            // Increment completed count and send progress message
+            completed++;
+            try {
+              chrome.runtime && chrome.runtime.sendMessage({
+                type: 'tcs-progress',
+                completed,
+                totalLessons,
+                lessonTitle: lesson.title
+              });
+            } catch (e) {
+              console.warn('[Scraper] Failed to send progress message:', e);
+            }
+
+          } catch (lessonError) {
+            console.error(`[Scraper] Error processing lesson "${lesson.title}":`, lessonError);
+            failLesson(lesson, ERROR_CODES.UNEXPECTED, lessonError);
+          }
+        }
+      }
+
+      // DIAGNOSTIC: Count successes and failures, and settle each attempted lesson's status
+      let successCount = 0;
+      let failureCount = 0;
+      let completedLessons = 0;
+      for (const chapter of chapters) {
+        for (const lesson of chapter.lessons) {
+          if (lesson.status !== 'not_attempted') {
+            lesson.status = lesson.error ? 'failed' : 'scraped';
+          }
+          if (lesson.status === 'scraped') {
+            completedLessons++;
+          }
+
+          if (lesson.error) {
+            failureCount++;
+          } else if (lesson.content || lesson.plainTextContent) {
+            successCount++;
+          } else {
+            failureCount++;
+          }
+        }
+      }
+
+      console.log(`[Scraper] ===== SCRAPING SUMMARY =====`);
+      console.log(`[Scraper] Total lessons: ${totalLessons}`);
+      console.log(`[Scraper] Successfully scraped: ${successCount}`);
+      console.log(`[Scraper] Failed to scrape: ${failureCount}`);
+      console.log(`[Scraper] ============================`);
+
+      // Send done message (if not cancelled)
+      if (!cancelled) {
+        try {
+          chrome.runtime && chrome.runtime.sendMessage({
+            type: 'tcs-done',
+            completed,
+            totalLessons
+          });
+        } catch (e) {
+          console.warn('[Scraper] Failed to send done message:', e);
+        }
+      }
+
+      // Return final course data
+      const finalData = {
+        schemaVersion: options.schemaVersion,
+        cancelled,                  // Include cancellation flag
+        courseTitle,
+        curriculumUrl,
+        extractedAt: new Date().toISOString(),
+        totalChapters: chapters.length,
+        totalLessons: totalLessons,
+        completedLessons,
+        restoredFromCheckpoint: restored,
+        errors,
+        layoutProfile: layout.name,
+        diagnostics: getSelectorDiagnostics(),
+        chapters
+      };
+
+      console.log('[Scraper] Course scraping complete:', finalData);
+      return finalData;
+
+    } catch (error) {
+      console.error('[Scraper] Fatal error:', error);
+      throw new Error(`Course scraping failed: ${error.message}`);
+    }
+  }
+
+  scrapeCourse()
+    .then(data => ({ type: 'tcs-result', data }))
+    .catch(error => ({ type: 'tcs-failed', error: error.message }))
+    .then(message => chrome.runtime.sendMessage(message).catch(err => {
+      console.error('[Scraper] Failed to send the result:', err);
+      return chrome.runtime.sendMessage({
+        type: 'tcs-failed',
+        error: `Could not hand the scraped data to the extension: ${err.message}`
+      });
+    }))
+    .catch(err => console.error('[Scraper] Failed to send failure message:', err))
+    .finally(() => {
+      window.__TCS_RUNNING = false;
+    });
+
+  return true;
+}
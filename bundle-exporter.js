@@ -0,0 +1,338 @@
+/**
+ * Thinkific Course Scraper - Bundle Exporter
+ * Builds an offline backup: the course JSON, one HTML page per lesson, and
+ * every image, PDF and attachment the lessons reference, with lesson HTML
+ * rewritten to the archived copies instead of (expiring) CDN/S3 links.
+ * Depends on html-parser.js and utils.js.
+ */
+
+// Linked files that are archived as attachments (images are always archived)
+const BUNDLE_ATTACHMENT_EXTENSIONS = new Set([
+    'pdf', 'doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx', 'odt', 'ods', 'odp', 'rtf',
+    'txt', 'csv', 'zip', 'epub', 'mp3', 'wav', 'm4a', 'key', 'pages', 'numbers'
+]);
+
+const BUNDLE_IMAGE_EXTENSIONS = new Set(['png', 'jpg', 'jpeg', 'gif', 'webp', 'svg', 'bmp', 'ico', 'avif']);
+
+// Single files above this size are left as links, to keep the archive downloadable
+const MAX_BUNDLE_ASSET_BYTES = 50 * 1024 * 1024;
+
+/**
+ * Resolve a URL found in lesson HTML against the course page
+ * @param {string} url - URL as written in the HTML
+ * @param {string} baseUrl - Curriculum URL
+ * @returns {string|null} - Absolute http(s) URL, or null for anchors, data: URLs, etc.
+ */
+function resolveAssetUrl(url, baseUrl) {
+    if (!url) return null;
+    try {
+        const resolved = new URL(url.trim(), baseUrl || undefined);
+        return /^https?:$/.test(resolved.protocol) ? resolved.href : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * List the asset URLs referenced by a lesson: images (img, srcset, CSS
+ * backgrounds), linked documents, and the lesson's attached files
+ * @param {Object} lesson - Scraped lesson
+ * @param {string} baseUrl - Curriculum URL to resolve relative URLs against
+ * @returns {Array<string>} - Absolute URLs, without duplicates
+ */
+function collectLessonAssetUrls(lesson, baseUrl) {
+    const urls = new Set();
+    const add = (url) => {
+        const resolved = resolveAssetUrl(url, baseUrl);
+        if (resolved && !isVideoFile(resolved)) urls.add(resolved);
+    };
+
+    if (lesson.content) {
+        const root = parseHtml(lesson.content);
+
+        for (const node of findNodes(root, () => true)) {
+            const attrs = node.attrs;
+
+            if (node.tag === 'img') {
+                add(attrs.src || attrs['data-src']);
+                (attrs.srcset || '').split(',').forEach(candidate => add(candidate.trim().split(/\s+/)[0]));
+            }
+
+            if (node.tag === 'a' && attrs.href) {
+                const extension = extractFileExtension(attrs.href);
+                if (BUNDLE_ATTACHMENT_EXTENSIONS.has(extension) || BUNDLE_IMAGE_EXTENSIONS.has(extension)) {
+                    add(attrs.href);
+                }
+            }
+
+            // CSS background images
+            const backgroundPattern = /url\(\s*(['"]?)([^'")]+)\1\s*\)/gi;
+            let match;
+            while ((match = backgroundPattern.exec(attrs.style || '')) !== null) {
+                add(match[2]);
+            }
+        }
+    }
+
+    for (const file of lesson.files || []) {
+        if (file.url) add(file.url);
+    }
+
+    return [...urls];
+}
+
+/**
+ * Pick a unique archive path for an asset
+ * @param {string} url - Asset URL
+ * @param {Set<string>} usedPaths - Paths already taken (updated)
+ * @param {string} folder - Archive folder for the asset (default: "assets")
+ * @returns {string} - Path such as assets/diagram.png
+ */
+function getAssetPath(url, usedPaths, folder = 'assets') {
+    const filename = extractFilename(url);
+    const dot = filename.lastIndexOf('.');
+    const stem = slugify(dot > 0 ? filename.slice(0, dot) : filename, 'asset');
+    const extension = dot > 0 ? filename.slice(dot + 1).toLowerCase().replace(/[^a-z0-9]/g, '') : '';
+
+    let path;
+    for (let n = 1; !path || usedPaths.has(path); n++) {
+        path = `${folder}/${stem}${n > 1 ? `-${n}` : ''}${extension ? `.${extension}` : ''}`;
+    }
+    usedPaths.add(path);
+    return path;
+}
+
+/**
+ * Download one asset
+ * @param {string} url - Asset URL
+ * @returns {Promise<Uint8Array>} - File bytes
+ * @throws {Error} - On HTTP errors or files over MAX_BUNDLE_ASSET_BYTES
+ */
+async function fetchAsset(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+
+    const length = Number(response.headers.get('content-length'));
+    if (length > MAX_BUNDLE_ASSET_BYTES) {
+        throw new Error(`File too large (${length} bytes)`);
+    }
+
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    if (bytes.length > MAX_BUNDLE_ASSET_BYTES) {
+        throw new Error(`File too large (${bytes.length} bytes)`);
+    }
+    return bytes;
+}
+
+/**
+ * Download assets one at a time into archive entries
+ * @param {Iterable<string>} urls - Absolute asset URLs
+ * @param {Object} options - Download options
+ * @param {string} options.folder - Archive folder for the files (default: "assets")
+ * @param {Function} options.onProgress - Called with (done, total) after each asset (optional)
+ * @returns {Promise<Object>} - { assets, entries, paths }: the asset manifest
+ *   ({ url, path, size, error } per URL), { path, data } entries for createZip,
+ *   and a Map from URL to archive path for the assets that downloaded
+ */
+async function downloadAssets(urls, options = {}) {
+    const uniqueUrls = [...new Set(urls)];
+    const usedPaths = new Set();
+    const assets = [];
+    const entries = [];
+
+    for (const url of uniqueUrls) {
+        const asset = { url, path: null, size: null, error: null };
+        try {
+            const bytes = await fetchAsset(url);
+            asset.path = getAssetPath(url, usedPaths, options.folder);
+            asset.size = bytes.length;
+            entries.push({ path: asset.path, data: bytes });
+        } catch (error) {
+            console.warn('[Bundle] Could not download asset:', url, error);
+            asset.error = error.message;
+        }
+        assets.push(asset);
+
+        if (options.onProgress) options.onProgress(assets.length, uniqueUrls.length);
+    }
+
+    const paths = new Map(assets.filter(asset => asset.path).map(asset => [asset.url, asset.path]));
+    return { assets, entries, paths };
+}
+
+/**
+ * Render a lesson's quiz questions as HTML, with the correct choices marked
+ * @param {Object} quiz - Lesson quiz ({ questions })
+ * @returns {string}
+ */
+function renderQuizHtml(quiz) {
+    return quiz.questions.map((question, index) => {
+        const choices = question.choices.map(choice =>
+            `<li>${choice.html || escapeHtml(choice.text || '')}${choice.correct ? ' <strong>(correct)</strong>' : ''}</li>`
+        );
+        return [
+            `<h2>Question ${index + 1}</h2>`,
+            question.promptHtml || `<p>${escapeHtml(question.promptText || '')}</p>`,
+            choices.length > 0 ? `<ol>\n${choices.join('\n')}\n</ol>` : '',
+            question.explanationHtml ? `<div class="explanation">${question.explanationHtml}</div>` : ''
+        ].filter(Boolean).join('\n');
+    }).join('\n');
+}
+
+/**
+ * Render the body of a lesson page: content, video, files, quiz and error
+ * @param {Object} lesson - Scraped lesson
+ * @param {string} html - Lesson HTML with asset URLs already rewritten
+ * @param {Function} localUrl - Maps an absolute URL to its page-relative archive path (or null)
+ * @returns {string}
+ */
+function renderLessonBody(lesson, html, localUrl) {
+    const parts = [];
+
+    if (html) {
+        parts.push(`<div class="lesson-content">${html}</div>`);
+    }
+
+    if (lesson.video) {
+        const link = lesson.video.embedUrl || lesson.video.url;
+        const label = `${lesson.video.provider || 'Video'}${lesson.video.videoId ? ` ${lesson.video.videoId}` : ''}`;
+        parts.push(`<h2>Video</h2>\n<p>${link
+            ? `<a href="${escapeHtml(link)}">${escapeHtml(label)}</a>`
+            : escapeHtml(label)}</p>`);
+    }
+
+    if (Array.isArray(lesson.files) && lesson.files.length > 0) {
+        const items = lesson.files.map(file => {
+            const href = file.url ? localUrl(file.url) || file.url : null;
+            const name = escapeHtml(file.name || 'file');
+            const size = file.size ? ` (${escapeHtml(file.size)})` : '';
+            return `<li>${href ? `<a href="${escapeHtml(href)}">${name}</a>` : name}${size}</li>`;
+        });
+        parts.push(`<h2>Files</h2>\n<ul>\n${items.join('\n')}\n</ul>`);
+    }
+
+    if (lesson.quiz && Array.isArray(lesson.quiz.questions) && lesson.quiz.questions.length > 0) {
+        parts.push(renderQuizHtml(lesson.quiz));
+    }
+
+    if (lesson.error) {
+        parts.push(`<p class="lesson-error">Not scraped: ${escapeHtml(lesson.error)}</p>`);
+    }
+
+    return parts.join('\n');
+}
+
+/**
+ * Build a standalone HTML page for a lesson
+ * @param {Object} lesson - Scraped lesson
+ * @param {string} html - Lesson HTML with asset URLs already rewritten
+ * @param {Function} localUrl - Maps an absolute URL to its page-relative archive path (or null)
+ * @param {string|null} indexHref - Link back to the course index (default: ../../index.html; null for none)
+ * @returns {string}
+ */
+function buildLessonPage(lesson, html, localUrl, indexHref = '../../index.html') {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(lesson.title || 'Lesson')}</title>
+</head>
+<body>
+${indexHref ? `<p><a href="${escapeHtml(indexHref)}">Course index</a></p>\n` : ''}<h1>${escapeHtml(lesson.title || 'Lesson')}</h1>
+${renderLessonBody(lesson, html, localUrl)}
+</body>
+</html>
+`;
+}
+
+/**
+ * Build the files of a ZIP bundle export:
+ *   course.json, assets.json, index.html,
+ *   lessons/NN-chapter-slug/NN-lesson-slug.html, assets/<file>
+ * @param {Object} courseData - Course data returned by the scraper
+ * @param {Object} options - Bundle options
+ * @param {Function} options.onProgress - Called with (done, total) while assets download (optional)
+ * @returns {Promise<Array<Object>>} - { path, data } entries for createZip
+ */
+async function buildBundleExport(courseData, options = {}) {
+    const chapters = courseData.chapters || [];
+    const baseUrl = courseData.curriculumUrl;
+
+    // Plan every lesson page and collect the assets it references
+    const pages = [];
+    const assetUrls = new Set();
+    chapters.forEach((chapter, chapterIndex) => {
+        const chapterTitle = chapter.chapterTitle || `Chapter ${chapterIndex + 1}`;
+        const chapterFolder = `${formatPosition(chapterIndex, chapters.length)}-${slugify(chapterTitle, 'chapter')}`;
+        const lessons = chapter.lessons || [];
+
+        lessons.forEach((lesson, lessonIndex) => {
+            const fileName = `${formatPosition(lessonIndex, lessons.length)}-${slugify(lesson.title, 'lesson')}.html`;
+            pages.push({ lesson, chapterIndex, chapterTitle, path: `lessons/${chapterFolder}/${fileName}` });
+            collectLessonAssetUrls(lesson, baseUrl).forEach(url => assetUrls.add(url));
+        });
+    });
+
+    const { assets, entries: assetEntries, paths: assetPaths } = await downloadAssets(assetUrls, {
+        onProgress: options.onProgress
+    });
+
+    // Lesson pages live two folders below the archive root
+    const localUrl = (url) => {
+        const path = assetPaths.get(resolveAssetUrl(url, baseUrl));
+        return path ? `../../${path}` : null;
+    };
+
+    const entries = [
+        { path: 'course.json', data: JSON.stringify(courseData, null, 2) },
+        { path: 'assets.json', data: JSON.stringify(assets, null, 2) }
+    ];
+
+    const indexItems = [];
+    let currentChapter = null;
+    for (const page of pages) {
+        const html = rewriteHtmlUrls(page.lesson.content || '', localUrl);
+        entries.push({ path: page.path, data: buildLessonPage(page.lesson, html, localUrl) });
+
+        if (page.chapterIndex !== currentChapter) {
+            if (currentChapter !== null) indexItems.push('</ul>');
+            indexItems.push(`<h2>${escapeHtml(page.chapterTitle)}</h2>`, '<ul>');
+            currentChapter = page.chapterIndex;
+        }
+        indexItems.push(`<li><a href="${escapeHtml(page.path)}">${escapeHtml(page.lesson.title || 'Lesson')}</a></li>`);
+    }
+    if (currentChapter !== null) indexItems.push('</ul>');
+
+    entries.push({
+        path: 'index.html',
+        data: `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(courseData.courseTitle || 'Course')}</title>
+</head>
+<body>
+<h1>${escapeHtml(courseData.courseTitle || 'Course')}</h1>
+${indexItems.join('\n')}
+</body>
+</html>
+`
+    });
+
+    return [...entries, ...assetEntries];
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        resolveAssetUrl,
+        collectLessonAssetUrls,
+        downloadAssets,
+        renderQuizHtml,
+        renderLessonBody,
+        buildLessonPage,
+        buildBundleExport
+    };
+}
@@ -0,0 +1,227 @@
+/**
+ * Thinkific Course Scraper - Common Cartridge Exporter
+ * Packages the course as an IMS Common Cartridge 1.1 (.imscc) for import
+ * into Canvas, Moodle, Blackboard and other LMSs:
+ *   chapters -> modules, text lessons -> web content,
+ *   download lessons -> file resources, video lessons -> web links.
+ * Depends on html-parser.js, utils.js and bundle-exporter.js.
+ */
+
+const CARTRIDGE_NAMESPACES = {
+    manifest: 'http://www.imsglobal.org/xsd/imsccv1p1/imscp_v1p1',
+    lom: 'http://ltsc.ieee.org/xsd/imsccv1p1/LOM/resource',
+    lomimscc: 'http://ltsc.ieee.org/xsd/imsccv1p1/LOM/manifest',
+    webLink: 'http://www.imsglobal.org/xsd/imsccv1p1/imswl_v1p1',
+    xsi: 'http://www.w3.org/2001/XMLSchema-instance'
+};
+
+/**
+ * Build a web content page for a lesson
+ * @param {Object} lesson - Scraped lesson
+ * @param {string} html - Lesson HTML with asset URLs already rewritten
+ * @returns {string}
+ */
+function buildCartridgePage(lesson, html) {
+    const parts = [];
+
+    if (html) {
+        parts.push(html);
+    }
+
+    if (lesson.quiz && Array.isArray(lesson.quiz.questions) && lesson.quiz.questions.length > 0) {
+        parts.push(renderQuizHtml(lesson.quiz));
+    }
+
+    if (parts.length === 0) {
+        const reason = lesson.error ? `Not scraped: ${lesson.error}` : `No text content (${lesson.type || 'unknown'} lesson).`;
+        parts.push(`<p>${escapeHtml(reason)}</p>`);
+    }
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(lesson.title || 'Lesson')}</title>
+</head>
+<body>
+${parts.join('\n')}
+</body>
+</html>
+`;
+}
+
+/**
+ * Build a Common Cartridge web link document
+ * @param {string} title - Link title
+ * @param {string} url - Link target
+ * @returns {string}
+ */
+function buildWebLink(title, url) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<webLink xmlns="${CARTRIDGE_NAMESPACES.webLink}">
+  <title>${escapeHtml(title)}</title>
+  <url href="${escapeHtml(url)}" target="_blank"/>
+</webLink>
+`;
+}
+
+/**
+ * Build the files of a Common Cartridge export (imsmanifest.xml, lesson
+ * pages, web links, attachments and images)
+ * @param {Object} courseData - Course data returned by the scraper
+ * @param {Object} options - Export options
+ * @param {Function} options.onProgress - Called with (done, total) while files download (optional)
+ * @returns {Promise<Array<Object>>} - { path, data } entries for createZip
+ */
+async function buildCartridgeExport(courseData, options = {}) {
+    const chapters = courseData.chapters || [];
+    const baseUrl = courseData.curriculumUrl;
+
+    // Images in lesson HTML and the files of download lessons are packaged too
+    const imageUrls = new Set();
+    const fileUrls = new Set();
+    for (const chapter of chapters) {
+        for (const lesson of chapter.lessons || []) {
+            collectLessonAssetUrls({ content: lesson.content }, baseUrl).forEach(url => imageUrls.add(url));
+            (lesson.files || []).forEach(file => {
+                const url = resolveAssetUrl(file.url, baseUrl);
+                if (url) fileUrls.add(url);
+            });
+        }
+    }
+
+    const total = imageUrls.size + fileUrls.size;
+    const images = await downloadAssets(imageUrls, {
+        folder: 'web_resources/assets',
+        onProgress: (done) => options.onProgress && options.onProgress(done, total)
+    });
+    const files = await downloadAssets(fileUrls, {
+        folder: 'web_resources/files',
+        onProgress: (done) => options.onProgress && options.onProgress(imageUrls.size + done, total)
+    });
+
+    const entries = [...images.entries, ...files.entries];
+    const resources = [];
+    const modules = [];
+
+    // Every packaged image belongs to one shared resource the pages depend on
+    if (images.entries.length > 0) {
+        resources.push(`    <resource identifier="R_ASSETS" type="webcontent">
+${images.entries.map(entry => `      <file href="${escapeHtml(entry.path)}"/>`).join('\n')}
+    </resource>`);
+    }
+
+    chapters.forEach((chapter, chapterIndex) => {
+        const chapterTitle = chapter.chapterTitle || `Chapter ${chapterIndex + 1}`;
+        const chapterFolder = `${formatPosition(chapterIndex, chapters.length)}-${slugify(chapterTitle, 'chapter')}`;
+        const lessons = chapter.lessons || [];
+        const items = [];
+
+        lessons.forEach((lesson, lessonIndex) => {
+            const id = `${chapterIndex + 1}_${lessonIndex + 1}`;
+            const title = lesson.title || `Lesson ${lessonIndex + 1}`;
+            const lessonFiles = (lesson.files || []).filter(file => files.paths.has(resolveAssetUrl(file.url, baseUrl)));
+            const videoUrl = lesson.video && (lesson.video.embedUrl || lesson.video.url);
+            const addItem = (itemId, itemTitle, resourceId) => {
+                items.push(`          <item identifier="I_${itemId}" identifierref="${resourceId}">
+            <title>${escapeHtml(itemTitle)}</title>
+          </item>`);
+            };
+
+            // Web content page: text lessons, and any lesson with a description or quiz
+            const hasPage = lesson.content || lesson.quiz || (!videoUrl && (lesson.files || []).length === 0);
+            if (hasPage) {
+                const path = `web_resources/${chapterFolder}/${formatPosition(lessonIndex, lessons.length)}-${slugify(title, 'lesson')}.html`;
+
+                // Pages sit one folder below web_resources/
+                const html = rewriteHtmlUrls(lesson.content || '', url => {
+                    const assetPath = images.paths.get(resolveAssetUrl(url, baseUrl));
+                    return assetPath ? `../${assetPath.slice('web_resources/'.length)}` : null;
+                });
+
+                entries.push({ path, data: buildCartridgePage(lesson, html) });
+                resources.push(`    <resource identifier="R_${id}" type="webcontent" href="${escapeHtml(path)}">
+      <file href="${escapeHtml(path)}"/>${images.entries.length > 0 ? '\n      <dependency identifierref="R_ASSETS"/>' : ''}
+    </resource>`);
+                addItem(id, title, `R_${id}`);
+            }
+
+            // Video lessons: a web link to the player
+            if (videoUrl) {
+                const path = `weblinks/WL_${id}.xml`;
+                entries.push({ path, data: buildWebLink(title, videoUrl) });
+                resources.push(`    <resource identifier="R_${id}_VIDEO" type="imswl_xmlv1p1">
+      <file href="${path}"/>
+    </resource>`);
+                addItem(`${id}_VIDEO`, hasPage ? `${title} (video)` : title, `R_${id}_VIDEO`);
+            }
+
+            // Download lessons: one file resource per packaged attachment
+            lessonFiles.forEach((file, fileIndex) => {
+                const path = files.paths.get(resolveAssetUrl(file.url, baseUrl));
+                const fileId = `${id}_F${fileIndex + 1}`;
+                resources.push(`    <resource identifier="R_${fileId}" type="webcontent" href="${escapeHtml(path)}">
+      <file href="${escapeHtml(path)}"/>
+    </resource>`);
+                addItem(fileId, file.name || title, `R_${fileId}`);
+            });
+
+            // Attachments that could not be packaged stay reachable as links
+            (lesson.files || []).filter(file => file.url && !lessonFiles.includes(file)).forEach((file, fileIndex) => {
+                const linkId = `${id}_L${fileIndex + 1}`;
+                const path = `weblinks/WL_${linkId}.xml`;
+                entries.push({ path, data: buildWebLink(file.name || title, file.url) });
+                resources.push(`    <resource identifier="R_${linkId}" type="imswl_xmlv1p1">
+      <file href="${path}"/>
+    </resource>`);
+                addItem(linkId, file.name || title, `R_${linkId}`);
+            });
+        });
+
+        modules.push(`        <item identifier="M_${chapterIndex + 1}">
+          <title>${escapeHtml(chapterTitle)}</title>
+${items.join('\n')}
+        </item>`);
+    });
+
+    const courseTitle = courseData.courseTitle || 'Course';
+    const manifest = `<?xml version="1.0" encoding="UTF-8"?>
+<manifest identifier="TCS_${slugify(courseTitle, 'course').replace(/-/g, '_')}"
+  xmlns="${CARTRIDGE_NAMESPACES.manifest}"
+  xmlns:lom="${CARTRIDGE_NAMESPACES.lom}"
+  xmlns:lomimscc="${CARTRIDGE_NAMESPACES.lomimscc}"
+  xmlns:xsi="${CARTRIDGE_NAMESPACES.xsi}"
+  xsi:schemaLocation="${CARTRIDGE_NAMESPACES.manifest} http://www.imsglobal.org/profile/cc/ccv1p1/ccv1p1_imscp_v1p2_v1p0.xsd ${CARTRIDGE_NAMESPACES.lom} http://www.imsglobal.org/profile/cc/ccv1p1/LOM/ccv1p1_lomresource_v1p0.xsd ${CARTRIDGE_NAMESPACES.lomimscc} http://www.imsglobal.org/profile/cc/ccv1p1/LOM/ccv1p1_lommanifest_v1p0.xsd">
+  <metadata>
+    <schema>IMS Common Cartridge</schema>
+    <schemaversion>1.1.0</schemaversion>
+    <lomimscc:lom>
+      <lomimscc:general>
+        <lomimscc:title>
+          <lomimscc:string>${escapeHtml(courseTitle)}</lomimscc:string>
+        </lomimscc:title>
+      </lomimscc:general>
+    </lomimscc:lom>
+  </metadata>
+  <organizations>
+    <organization identifier="ORG_1" structure="rooted-hierarchy">
+      <item identifier="ROOT">
+${modules.join('\n')}
+      </item>
+    </organization>
+  </organizations>
+  <resources>
+${resources.join('\n')}
+  </resources>
+</manifest>
+`;
+
+    return [{ path: 'imsmanifest.xml', data: manifest }, ...entries];
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        buildCartridgeExport
+    };
+}
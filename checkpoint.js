@@ -0,0 +1,272 @@
+/**
+ * Thinkific Course Scraper - Checkpoint Storage
+ * Persists finished lessons to chrome.storage.local so an interrupted
+ * click-through scrape can resume where it stopped
+ */
+
+const CHECKPOINT_PREFIX = 'tcs-checkpoint:';
+
+// Lesson types whose content the scraper does not extract. Their editor may
+// have no text at all, so such a lesson is complete once it has been visited.
+const UNEXTRACTED_LESSON_TYPES = ['multimedia', 'pdf', 'audio', 'presentation', 'survey', 'assignment', 'exam', 'live', 'discussion'];
+
+/**
+ * Normalize a curriculum URL so the course page and its lesson edit URLs share one key
+ * @param {string} url - Curriculum (or lesson edit) URL
+ * @returns {string} - Normalized course URL
+ */
+function normalizeCurriculumUrl(url) {
+    try {
+        const urlObj = new URL(url);
+        const courseMatch = urlObj.pathname.match(/\/manage\/courses\/[^/]+/);
+        if (courseMatch) {
+            return urlObj.origin + courseMatch[0];
+        }
+        return urlObj.origin + urlObj.pathname.replace(/\/$/, '');
+    } catch (error) {
+        console.warn('[Checkpoint] Failed to parse URL:', url, error);
+        return url || '';
+    }
+}
+
+/**
+ * Get the chrome.storage key for a course checkpoint
+ * @param {string} curriculumUrl - Curriculum URL
+ * @returns {string} - Storage key
+ */
+function getCheckpointKey(curriculumUrl) {
+    return CHECKPOINT_PREFIX + normalizeCurriculumUrl(curriculumUrl);
+}
+
+/**
+ * Get the identifier a lesson is stored under inside a checkpoint.
+ * The curriculum item ID is used when known, otherwise the lesson position.
+ * @param {Object} lesson - Lesson object with itemId or chapterIndex and lessonIndex
+ * @returns {string} - Lesson checkpoint ID
+ */
+function getLessonCheckpointId(lesson) {
+    if (lesson.itemId) {
+        return `id:${lesson.itemId}`;
+    }
+    return `${lesson.chapterIndex}:${lesson.lessonIndex}`;
+}
+
+/**
+ * Check whether two lesson records refer to the same curriculum lesson.
+ * Item IDs decide when both records have one; otherwise the position and
+ * title must both match, so duplicate titles in other chapters never collide.
+ * @param {Object} a - Lesson record
+ * @param {Object} b - Lesson record
+ * @returns {boolean}
+ */
+function isSameLesson(a, b) {
+    if (a.itemId && b.itemId) {
+        return String(a.itemId) === String(b.itemId);
+    }
+
+    const normalizeTitle = (title) => (title || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+    return a.chapterIndex === b.chapterIndex &&
+        a.lessonIndex === b.lessonIndex &&
+        normalizeTitle(a.title) === normalizeTitle(b.title);
+}
+
+/**
+ * Check whether a lesson has type-specific data besides editor text
+ * (a video, attached files, or quiz questions)
+ * @param {Object} lesson - Scraped or exported lesson
+ * @returns {boolean}
+ */
+function hasLessonData(lesson) {
+    return !!lesson.video ||
+        (Array.isArray(lesson.files) && lesson.files.length > 0) ||
+        (!!lesson.quiz && Array.isArray(lesson.quiz.questions) && lesson.quiz.questions.length > 0);
+}
+
+/**
+ * Check whether a scraped lesson holds its content: no error, and either
+ * editor text or type-specific lesson data. A scraped lesson of a type in
+ * UNEXTRACTED_LESSON_TYPES is complete without either.
+ * @param {Object} lesson - Scraped or exported lesson
+ * @returns {boolean}
+ */
+function isLessonComplete(lesson) {
+    if (lesson.error) return false;
+    if (lesson.status === 'scraped' && UNEXTRACTED_LESSON_TYPES.includes(lesson.type)) return true;
+    return (lesson.content !== null && lesson.content !== undefined) || hasLessonData(lesson);
+}
+
+/**
+ * Get the chrome.storage key of one lesson in a course checkpoint
+ * @param {string} curriculumUrl - Curriculum URL
+ * @param {string} lessonId - Lesson checkpoint ID (see getLessonCheckpointId)
+ * @returns {string} - Storage key
+ */
+function getLessonCheckpointKey(curriculumUrl, lessonId) {
+    return `${getCheckpointKey(curriculumUrl)}#${lessonId}`;
+}
+
+/**
+ * Load the checkpoint for a course. The checkpoint key holds the course
+ * info and the IDs of the saved lessons; each lesson has its own key.
+ * @param {string} curriculumUrl - Curriculum URL
+ * @param {Object} options - Load options
+ * @param {boolean} options.includeLessons - Also read the saved lessons (default: true)
+ * @returns {Promise<Object|null>} - Checkpoint ({ curriculumUrl, courseTitle,
+ *   totalLessons, updatedAt, lessonIds, lessons }) or null if none saved;
+ *   lessons is left out when includeLessons is false
+ */
+async function loadCheckpoint(curriculumUrl, options = {}) {
+    const { includeLessons = true } = options;
+    const key = getCheckpointKey(curriculumUrl);
+    const stored = await chrome.storage.local.get(key);
+    const checkpoint = stored[key];
+    if (!checkpoint) return null;
+
+    // Checkpoints saved by older versions hold their lessons inline
+    if (checkpoint.lessons) {
+        return { ...checkpoint, lessonIds: Object.keys(checkpoint.lessons) };
+    }
+
+    const lessonIds = checkpoint.lessonIds || [];
+    if (!includeLessons) {
+        return { ...checkpoint, lessonIds };
+    }
+
+    const lessonKeys = lessonIds.map(lessonId => getLessonCheckpointKey(curriculumUrl, lessonId));
+    const storedLessons = await chrome.storage.local.get(lessonKeys);
+    const lessons = {};
+    lessonIds.forEach((lessonId, index) => {
+        if (storedLessons[lessonKeys[index]]) {
+            lessons[lessonId] = storedLessons[lessonKeys[index]];
+        }
+    });
+
+    return { ...checkpoint, lessonIds, lessons };
+}
+
+/**
+ * Save a finished lesson to the course checkpoint. Only the lesson and the
+ * small course entry are written, so saving stays cheap however many
+ * lessons the checkpoint already holds.
+ * @param {Object} course - Course info
+ * @param {string} course.curriculumUrl - Curriculum URL
+ * @param {string} course.courseTitle - Course title
+ * @param {number} course.totalLessons - Total lessons in the course plan
+ * @param {Object} lesson - Finished lesson object
+ * @returns {Promise<void>}
+ * @throws {Error} - If chrome.storage rejects the write
+ */
+async function saveLessonCheckpoint(course, lesson) {
+    const key = getCheckpointKey(course.curriculumUrl);
+    const lessonId = getLessonCheckpointId(lesson);
+    const stored = await chrome.storage.local.get(key);
+    const checkpoint = stored[key] || {
+        curriculumUrl: course.curriculumUrl,
+        courseTitle: course.courseTitle,
+        lessonIds: []
+    };
+    const writes = {};
+
+    // Move the lessons of a checkpoint saved by an older version to their own keys
+    if (checkpoint.lessons) {
+        for (const [savedId, saved] of Object.entries(checkpoint.lessons)) {
+            writes[getLessonCheckpointKey(course.curriculumUrl, savedId)] = saved;
+        }
+        checkpoint.lessonIds = Object.keys(checkpoint.lessons);
+        delete checkpoint.lessons;
+    }
+
+    if (!checkpoint.lessonIds.includes(lessonId)) {
+        checkpoint.lessonIds.push(lessonId);
+    }
+    checkpoint.totalLessons = course.totalLessons;
+    checkpoint.updatedAt = new Date().toISOString();
+
+    writes[getLessonCheckpointKey(course.curriculumUrl, lessonId)] = lesson;
+    writes[key] = checkpoint;
+    await chrome.storage.local.set(writes);
+}
+
+/**
+ * Delete the checkpoint for a course, with every saved lesson
+ * @param {string} curriculumUrl - Curriculum URL
+ * @returns {Promise<void>}
+ */
+async function clearCheckpoint(curriculumUrl) {
+    const key = getCheckpointKey(curriculumUrl);
+    const stored = await chrome.storage.local.get(key);
+    const lessonIds = (stored[key] && stored[key].lessonIds) || [];
+
+    await chrome.storage.local.remove([key, ...lessonIds.map(lessonId => getLessonCheckpointKey(curriculumUrl, lessonId))]);
+}
+
+/**
+ * Copy saved lessons from a checkpoint into a freshly built course plan.
+ * A saved lesson is only restored when it is still the same lesson (see
+ * isSameLesson), so a course edited since the checkpoint is re-scraped where it changed.
+ * @param {Array<Object>} chapters - Course plan chapters
+ * @param {Object} checkpoint - Checkpoint loaded with loadCheckpoint
+ * @returns {number} - Number of lessons restored
+ */
+function applyCheckpoint(chapters, checkpoint) {
+    if (!checkpoint || !checkpoint.lessons) return 0;
+
+    let restored = 0;
+
+    for (const chapter of chapters) {
+        for (let i = 0; i < chapter.lessons.length; i++) {
+            const planned = chapter.lessons[i];
+            const saved = checkpoint.lessons[getLessonCheckpointId(planned)];
+
+            if (saved && isSameLesson(saved, planned)) {
+                // Keep the current position in case the lesson has moved since
+                chapter.lessons[i] = {
+                    ...planned,
+                    ...saved,
+                    chapterIndex: planned.chapterIndex,
+                    lessonIndex: planned.lessonIndex,
+                    fromCheckpoint: true
+                };
+                restored++;
+            }
+        }
+    }
+
+    return restored;
+}
+
+/**
+ * Remove the fromCheckpoint flags set by applyCheckpoint. They only tell the
+ * scrape loop which lessons to skip and are not part of the export.
+ * @param {Object} courseData - Course data
+ * @returns {Object} - Copy of the course data without the flags
+ */
+function removeCheckpointFlags(courseData) {
+    return {
+        ...courseData,
+        chapters: (courseData.chapters || []).map(chapter => ({
+            ...chapter,
+            lessons: (chapter.lessons || []).map(({ fromCheckpoint, ...lesson }) => lesson)
+        }))
+    };
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        UNEXTRACTED_LESSON_TYPES,
+        normalizeCurriculumUrl,
+        getCheckpointKey,
+        getLessonCheckpointId,
+        getLessonCheckpointKey,
+        isSameLesson,
+        hasLessonData,
+        isLessonComplete,
+        loadCheckpoint,
+        saveLessonCheckpoint,
+        clearCheckpoint,
+        applyCheckpoint,
+        removeCheckpointFlags
+    };
+}
@@ -206,7 +206,7 @@ async function captureLessonUrlByClick(lessonElement, curriculumUrl) {
         lessonElement.click();
 
         // Wait for URL to change
-        await sleep(1000);
+        await waitForCondition(() => window.location.href !== urlBefore, { timeout: 1000, recheckMs: 100 });
 
         const urlAfter = window.location.href;
 
@@ -216,7 +216,6 @@ async function captureLessonUrlByClick(lessonElement, curriculumUrl) {
             // Navigate back to curriculum
             window.location.href = curriculumUrl;
             await waitForNavigation();
-            await sleep(1000); // Extra wait for curriculum to reload
 
             return urlAfter;
         }
@@ -262,8 +261,8 @@ async function waitForCurriculumLoad() {
     // Wait for chapters to appear
     await waitForElement(SELECTORS.chapterContainer, 15000);
 
-    // Additional wait for dynamic content
-    await sleep(2000);
+    // Wait for the rest of the curriculum to render
+    await waitForDomStable();
 
     console.log('[ContentScraper] Curriculum page loaded');
 }
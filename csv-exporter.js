@@ -0,0 +1,109 @@
+/**
+ * Thinkific Course Scraper - CSV Exporter
+ * Writes a course inventory with one row per lesson, for planning migrations
+ * in a spreadsheet. Works from a full scrape and from a structure-only
+ * course map (lessons with just a title, type and URL); columns that need
+ * lesson content are left empty for lessons that were not scraped.
+ * Depends on html-parser.js and checkpoint.js.
+ */
+
+const CSV_COLUMNS = [
+    'chapterIndex', 'chapterTitle', 'lessonIndex', 'lessonTitle', 'type', 'url',
+    'wordCount', 'images', 'links', 'attachments', 'videoProvider', 'videoId', 'error'
+];
+
+/**
+ * Format a value as a CSV field (RFC 4180)
+ * @param {*} value - Field value; null and undefined become an empty field
+ * @returns {string}
+ */
+function formatCsvField(value) {
+    if (value === null || value === undefined) return '';
+
+    let text = String(value);
+
+    // Spreadsheets run text starting with these characters as a formula
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Count the words, images and links of a lesson's content
+ * @param {Object} lesson - Scraped lesson or course map lesson
+ * @returns {Object|null} - { wordCount, images, links }, or null if the content was not scraped
+ */
+function getLessonContentStats(lesson) {
+    if (lesson.content === null || lesson.content === undefined) {
+        // Video, download and quiz lessons have no editor text but were still scraped
+        return isLessonComplete(lesson) ? { wordCount: 0, images: 0, links: 0 } : null;
+    }
+
+    const root = parseHtml(lesson.content);
+    const text = lesson.plainTextContent || getNodeText(root);
+    const words = text.split(/\s+/).filter(Boolean);
+
+    return {
+        wordCount: words.length,
+        images: findNodes(root, node => node.tag === 'img').length,
+        links: findNodes(root, node => node.tag === 'a' && !!node.attrs.href).length
+    };
+}
+
+/**
+ * Build the CSV rows of a course: a header row, then one row per lesson
+ * @param {Object} courseData - Course data returned by the scraper, or a course map
+ * @returns {Array<Array>} - Row values in CSV_COLUMNS order
+ */
+function buildCsvRows(courseData) {
+    const rows = [CSV_COLUMNS];
+
+    (courseData.chapters || []).forEach((chapter, chapterIndex) => {
+        (chapter.lessons || []).forEach((lesson, lessonIndex) => {
+            const stats = getLessonContentStats(lesson);
+            const video = lesson.video || {};
+
+            rows.push([
+                chapter.chapterIndex ?? chapterIndex,
+                chapter.chapterTitle || '',
+                lesson.lessonIndex ?? lessonIndex,
+                lesson.title || '',
+                lesson.type || 'unknown',
+                lesson.url || '',
+                stats ? stats.wordCount : null,
+                stats ? stats.images : null,
+                stats ? stats.links : null,
+                Array.isArray(lesson.files) ? lesson.files.length : (stats ? 0 : null),
+                video.provider || '',
+                video.videoId || '',
+                lesson.error || ''
+            ]);
+        });
+    });
+
+    return rows;
+}
+
+/**
+ * Build the CSV inventory of a course
+ * @param {Object} courseData - Course data returned by the scraper, or a course map
+ * @returns {string} - CSV text with CRLF line endings
+ */
+function buildCsvExport(courseData) {
+    return buildCsvRows(courseData)
+        .map(row => row.map(formatCsvField).join(','))
+        .join('\r\n') + '\r\n';
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CSV_COLUMNS,
+        formatCsvField,
+        getLessonContentStats,
+        buildCsvRows,
+        buildCsvExport
+    };
+}
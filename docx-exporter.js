@@ -0,0 +1,697 @@
+/**
+ * Thinkific Course Scraper - DOCX Exporter
+ * Writes the whole course as one Word document: chapters are Heading 1,
+ * lessons Heading 2, and lesson HTML keeps its headings, lists, bold/italic,
+ * tables, links and images. Non-text lessons get a placeholder with their
+ * type and URL.
+ * Depends on html-parser.js, utils.js, markdown-exporter.js and bundle-exporter.js.
+ */
+
+const DOCX_NAMESPACES = {
+    w: 'http://schemas.openxmlformats.org/wordprocessingml/2006/main',
+    r: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships',
+    wp: 'http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing',
+    a: 'http://schemas.openxmlformats.org/drawingml/2006/main',
+    pic: 'http://schemas.openxmlformats.org/drawingml/2006/picture',
+    relationships: 'http://schemas.openxmlformats.org/package/2006/relationships'
+};
+
+const DOCX_RELATIONSHIP_TYPES = {
+    hyperlink: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/hyperlink',
+    image: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/image'
+};
+
+// Images are scaled down to the text width (6 inches); 1 px at 96 dpi = 9525 EMU
+const DOCX_EMU_PER_PIXEL = 9525;
+const DOCX_MAX_IMAGE_WIDTH_EMU = 6 * 914400;
+
+// numbering.xml: bullets share one list; each ordered list gets its own numbering instance
+const DOCX_BULLET_NUM_ID = 1;
+
+/**
+ * Escape text for WordprocessingML, dropping characters XML does not allow
+ * @param {string} text - Text
+ * @returns {string}
+ */
+function escapeXml(text) {
+    return escapeHtml(String(text ?? '').replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, ''));
+}
+
+/**
+ * Detect an image's format and pixel size from its header bytes
+ * @param {Uint8Array} bytes - Image file
+ * @returns {Object|null} - { extension, width, height }, or null for formats Word can't embed
+ */
+function getImageInfo(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    // PNG: signature, then the IHDR chunk
+    if (bytes.length > 24 && bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4e && bytes[3] === 0x47) {
+        return { extension: 'png', width: view.getUint32(16), height: view.getUint32(20) };
+    }
+
+    // GIF: "GIF8", logical screen size
+    if (bytes.length > 10 && bytes[0] === 0x47 && bytes[1] === 0x49 && bytes[2] === 0x46 && bytes[3] === 0x38) {
+        return { extension: 'gif', width: view.getUint16(6, true), height: view.getUint16(8, true) };
+    }
+
+    // BMP: "BM", DIB header size fields
+    if (bytes.length > 26 && bytes[0] === 0x42 && bytes[1] === 0x4d) {
+        return { extension: 'bmp', width: Math.abs(view.getInt32(18, true)), height: Math.abs(view.getInt32(22, true)) };
+    }
+
+    // JPEG: walk the segments to the first start-of-frame marker
+    if (bytes.length > 4 && bytes[0] === 0xff && bytes[1] === 0xd8) {
+        let offset = 2;
+        while (offset + 9 < bytes.length) {
+            if (bytes[offset] !== 0xff) return null;
+            const marker = bytes[offset + 1];
+            if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+                return { extension: 'jpeg', width: view.getUint16(offset + 7), height: view.getUint16(offset + 5) };
+            }
+            offset += 2 + view.getUint16(offset + 2);
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Create the state shared while converting the course to WordprocessingML
+ * @param {Map<string, Object>} images - Absolute image URL to { path, info }
+ * @param {string} baseUrl - Curriculum URL to resolve relative URLs against
+ * @returns {Object}
+ */
+function createDocxContext(images, baseUrl) {
+    const context = {
+        baseUrl,
+        images,
+        relationships: [],
+        orderedLists: [],     // Start value of each ordered list (numId = index + 2)
+        drawingCount: 0,
+        imageRelationships: new Map(),
+
+        /**
+         * Add a relationship from document.xml
+         * @param {string} type - Key of DOCX_RELATIONSHIP_TYPES
+         * @param {string} target - Target URL or part path
+         * @param {boolean} external - Whether the target is outside the package
+         * @returns {string} - Relationship ID
+         */
+        addRelationship(type, target, external) {
+            const id = `rId${context.relationships.length + 1}`;
+            context.relationships.push({ id, type: DOCX_RELATIONSHIP_TYPES[type], target, external });
+            return id;
+        }
+    };
+    return context;
+}
+
+/**
+ * Build a paragraph
+ * @param {Array<string>} runs - Run XML (runs, hyperlinks)
+ * @param {Object} options - Paragraph options
+ * @param {string} options.style - Paragraph style ID (optional)
+ * @param {Object} options.numbering - { numId, level } for list items (optional)
+ * @param {boolean} options.rule - Draw a horizontal rule below the paragraph (optional)
+ * @returns {string}
+ */
+function docxParagraph(runs, options = {}) {
+    // pPr children must keep the schema order: pStyle, numPr, pBdr
+    const properties = [
+        options.style ? `<w:pStyle w:val="${options.style}"/>` : '',
+        options.numbering ? `<w:numPr><w:ilvl w:val="${options.numbering.level}"/><w:numId w:val="${options.numbering.numId}"/></w:numPr>` : '',
+        options.rule ? '<w:pBdr><w:bottom w:val="single" w:sz="6" w:space="1" w:color="auto"/></w:pBdr>' : ''
+    ].join('');
+
+    return `<w:p>${properties ? `<w:pPr>${properties}</w:pPr>` : ''}${runs.join('')}</w:p>`;
+}
+
+/**
+ * Build a text run
+ * @param {string} text - Run text
+ * @param {Object} format - { bold, italic, underline, strike, code, link }
+ * @returns {string}
+ */
+function docxTextRun(text, format = {}) {
+    const escaped = escapeXml(text);
+    if (!escaped) return '';
+
+    // rPr children must keep the schema order
+    const properties = [
+        format.link ? '<w:rStyle w:val="Hyperlink"/>' : '',
+        format.code ? '<w:rFonts w:ascii="Consolas" w:hAnsi="Consolas" w:cs="Consolas"/>' : '',
+        format.bold ? '<w:b/>' : '',
+        format.italic ? '<w:i/>' : '',
+        format.strike ? '<w:strike/>' : '',
+        format.underline ? '<w:u w:val="single"/>' : ''
+    ].join('');
+
+    return `<w:r>${properties ? `<w:rPr>${properties}</w:rPr>` : ''}<w:t xml:space="preserve">${escaped}</w:t></w:r>`;
+}
+
+/**
+ * Build a run with an inline picture, scaled to fit the text width
+ * @param {Object} image - { path, info } from the downloaded images
+ * @param {string} alt - Alternative text
+ * @param {Object} context - DOCX context
+ * @returns {string}
+ */
+function docxImageRun(image, alt, context) {
+    let relationshipId = context.imageRelationships.get(image.path);
+    if (!relationshipId) {
+        relationshipId = context.addRelationship('image', image.path.replace(/^word\//, ''), false);
+        context.imageRelationships.set(image.path, relationshipId);
+    }
+
+    let width = image.info.width * DOCX_EMU_PER_PIXEL;
+    let height = image.info.height * DOCX_EMU_PER_PIXEL;
+    if (width > DOCX_MAX_IMAGE_WIDTH_EMU) {
+        height = Math.round(height * DOCX_MAX_IMAGE_WIDTH_EMU / width);
+        width = DOCX_MAX_IMAGE_WIDTH_EMU;
+    }
+
+    const id = ++context.drawingCount;
+    return `<w:r><w:drawing><wp:inline distT="0" distB="0" distL="0" distR="0">` +
+        `<wp:extent cx="${width}" cy="${height}"/>` +
+        `<wp:docPr id="${id}" name="Picture ${id}" descr="${escapeXml(alt)}"/>` +
+        `<wp:cNvGraphicFramePr><a:graphicFrameLocks noChangeAspect="1"/></wp:cNvGraphicFramePr>` +
+        `<a:graphic><a:graphicData uri="${DOCX_NAMESPACES.pic}"><pic:pic>` +
+        `<pic:nvPicPr><pic:cNvPr id="${id}" name="Picture ${id}"/><pic:cNvPicPr/></pic:nvPicPr>` +
+        `<pic:blipFill><a:blip r:embed="${relationshipId}"/><a:stretch><a:fillRect/></a:stretch></pic:blipFill>` +
+        `<pic:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="${width}" cy="${height}"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom></pic:spPr>` +
+        `</pic:pic></a:graphicData></a:graphic></wp:inline></w:drawing></w:r>`;
+}
+
+/**
+ * Render inline HTML nodes as runs
+ * @param {Array<Object>} nodes - Parsed nodes
+ * @param {Object} format - Inherited run formatting
+ * @param {Object} context - DOCX context
+ * @returns {Array<string>} - Run XML
+ */
+function renderDocxRuns(nodes, format, context) {
+    const runs = [];
+
+    for (const node of nodes) {
+        if (node.type === 'text') {
+            const text = format.preserve ? node.text : node.text.replace(/\s+/g, ' ');
+            runs.push(docxTextRun(text, format));
+            continue;
+        }
+        if (node.type !== 'element' || MARKDOWN_SKIPPED_TAGS.has(node.tag)) continue;
+
+        const inner = (extra) => renderDocxRuns(node.children, { ...format, ...extra }, context);
+
+        switch (node.tag) {
+            case 'br':
+                runs.push('<w:r><w:br/></w:r>');
+                break;
+
+            case 'strong':
+            case 'b':
+            case 'th':
+                runs.push(...inner({ bold: true }));
+                break;
+
+            case 'em':
+            case 'i':
+                runs.push(...inner({ italic: true }));
+                break;
+
+            case 'u':
+                runs.push(...inner({ underline: true }));
+                break;
+
+            case 's':
+            case 'del':
+            case 'strike':
+                runs.push(...inner({ strike: true }));
+                break;
+
+            case 'code':
+                runs.push(...inner({ code: true }));
+                break;
+
+            case 'a': {
+                const href = resolveAssetUrl(node.attrs.href, context.baseUrl);
+                if (!href || format.link) {
+                    runs.push(...inner());
+                    break;
+                }
+                const linkRuns = inner({ link: true });
+                if (linkRuns.join('') === '') linkRuns.push(docxTextRun(href, { link: true }));
+                const id = context.addRelationship('hyperlink', href, true);
+                runs.push(`<w:hyperlink r:id="${id}" w:history="1">${linkRuns.join('')}</w:hyperlink>`);
+                break;
+            }
+
+            case 'img': {
+                const src = resolveAssetUrl(node.attrs.src || node.attrs['data-src'], context.baseUrl);
+                const image = src && context.images.get(src);
+                if (image) {
+                    runs.push(docxImageRun(image, node.attrs.alt || '', context));
+                } else if (src) {
+                    // Not downloadable or not a format Word embeds
+                    runs.push(docxTextRun(`[Image: ${node.attrs.alt || src}]`, { ...format, italic: true }));
+                }
+                break;
+            }
+
+            case 'iframe':
+            case 'video':
+            case 'audio':
+            case 'embed':
+            case 'object': {
+                const sourceNode = node.children.find(child => child.tag === 'source');
+                const src = node.attrs.src || node.attrs['data-src'] || node.attrs.data || (sourceNode && sourceNode.attrs.src);
+                if (src) runs.push(docxTextRun(`[Embedded content: ${src}]`, { ...format, italic: true }));
+                break;
+            }
+
+            default:
+                runs.push(...inner());
+        }
+    }
+
+    return runs.filter(Boolean);
+}
+
+/**
+ * Render sibling HTML nodes as paragraphs and tables
+ * @param {Array<Object>} nodes - Parsed nodes
+ * @param {Object} context - DOCX context
+ * @param {Object} options - Paragraph options
+ * @param {string} options.style - Style for plain paragraphs (optional)
+ * @param {Object} options.numbering - List numbering for the first paragraph only (optional)
+ * @param {number} options.listLevel - Nesting level of lists inside these nodes (default: 0)
+ * @returns {Array<string>} - Block XML
+ */
+function renderDocxBlocks(nodes, context, options = {}) {
+    const blocks = [];
+    const listLevel = options.listLevel || 0;
+    let numbering = options.numbering || null;
+    let inlineRun = [];
+
+    const push = (blockXml) => {
+        if (!blockXml) return;
+        blocks.push(blockXml);
+        numbering = null;
+    };
+
+    const flushInline = () => {
+        const runs = renderDocxRuns(inlineRun, {}, context);
+        inlineRun = [];
+        if (runs.length === 0 || isBlankRuns(runs)) return;
+        push(docxParagraph(runs, { style: options.style, numbering }));
+    };
+
+    for (const node of nodes) {
+        if (node.type === 'element' && MARKDOWN_SKIPPED_TAGS.has(node.tag)) continue;
+
+        const isBlock = node.type === 'element' && MARKDOWN_BLOCK_TAGS.has(node.tag) &&
+            !['iframe', 'video', 'audio', 'embed', 'object'].includes(node.tag);
+        if (!isBlock) {
+            inlineRun.push(node);
+            continue;
+        }
+
+        flushInline();
+        const tag = node.tag;
+
+        if (/^h[1-6]$/.test(tag)) {
+            // Lesson headings sit below the chapter (Heading 1) and lesson (Heading 2) levels
+            const level = Math.min(Number(tag[1]) + 2, 6);
+            const runs = renderDocxRuns(node.children, {}, context);
+            if (!isBlankRuns(runs)) push(docxParagraph(runs, { style: `Heading${level}`, numbering }));
+        } else if (tag === 'ul' || tag === 'ol') {
+            blocks.push(...renderDocxList(node, context, listLevel));
+        } else if (tag === 'table') {
+            push(renderDocxTable(node, context));
+        } else if (tag === 'pre') {
+            getNodeText(node).replace(/\n+$/, '').split('\n').forEach(line => {
+                push(docxParagraph([docxTextRun(line, { code: true })], { style: 'Code' }));
+            });
+        } else if (tag === 'blockquote') {
+            renderDocxBlocks(node.children, context, { style: 'Quote', listLevel }).forEach(push);
+        } else if (tag === 'hr') {
+            push(docxParagraph([], { rule: true }));
+        } else {
+            // p, div, section, figure, ...: numbering (inside a list item) goes to their first paragraph
+            const childBlocks = renderDocxBlocks(node.children, context, { style: options.style, numbering, listLevel });
+            childBlocks.forEach(push);
+        }
+    }
+    flushInline();
+
+    return blocks;
+}
+
+/**
+ * Check whether runs hold only whitespace text
+ * @param {Array<string>} runs - Run XML
+ * @returns {boolean}
+ */
+function isBlankRuns(runs) {
+    const xml = runs.join('');
+    return !/<w:drawing|<w:br\/>/.test(xml) &&
+        xml.replace(/<[^>]+>/g, '').trim() === '';
+}
+
+/**
+ * Render a <ul>/<ol> as numbered paragraphs
+ * @param {Object} node - List element
+ * @param {Object} context - DOCX context
+ * @param {number} level - List nesting level (0-8)
+ * @returns {Array<string>} - Block XML
+ */
+function renderDocxList(node, context, level) {
+    let numId = DOCX_BULLET_NUM_ID;
+    if (node.tag === 'ol') {
+        context.orderedLists.push(parseInt(node.attrs.start, 10) || 1);
+        numId = context.orderedLists.length + 1;
+    }
+
+    const blocks = [];
+    for (const item of node.children.filter(child => child.type === 'element' && child.tag === 'li')) {
+        const itemBlocks = renderDocxBlocks(item.children, context, {
+            style: 'ListParagraph',
+            numbering: { numId, level: Math.min(level, 8) },
+            listLevel: level + 1
+        });
+        blocks.push(...(itemBlocks.length > 0
+            ? itemBlocks
+            : [docxParagraph([], { style: 'ListParagraph', numbering: { numId, level: Math.min(level, 8) } })]));
+    }
+    return blocks;
+}
+
+/**
+ * Render a table
+ * @param {Object} node - <table> element
+ * @param {Object} context - DOCX context
+ * @returns {string} - Table XML
+ */
+function renderDocxTable(node, context) {
+    const rows = findNodes(node, child => child.tag === 'tr').map(row =>
+        row.children.filter(cell => cell.type === 'element' && (cell.tag === 'td' || cell.tag === 'th'))
+    );
+    const columnCount = Math.max(0, ...rows.map(row => row.length));
+    if (columnCount === 0) return '';
+
+    const rowXml = rows.map(cells => {
+        const cellXml = [];
+        for (let i = 0; i < columnCount; i++) {
+            const cell = cells[i];
+            let content = cell
+                ? renderDocxBlocks(cell.tag === 'th' ? [{ ...cell, tag: 'strong' }] : cell.children, context)
+                : [];
+            // Every cell must end with a paragraph
+            if (content.length === 0 || !content[content.length - 1].startsWith('<w:p>')) {
+                content = [...content, '<w:p/>'];
+            }
+            cellXml.push(`<w:tc><w:tcPr><w:tcW w:w="0" w:type="auto"/></w:tcPr>${content.join('')}</w:tc>`);
+        }
+        return `<w:tr>${cellXml.join('')}</w:tr>`;
+    });
+
+    const grid = new Array(columnCount).fill('<w:gridCol/>').join('');
+    return `<w:tbl><w:tblPr><w:tblStyle w:val="TableGrid"/><w:tblW w:w="0" w:type="auto"/></w:tblPr>` +
+        `<w:tblGrid>${grid}</w:tblGrid>${rowXml.join('')}</w:tbl>`;
+}
+
+/**
+ * Render one lesson: Heading 2, then its content or a placeholder
+ * @param {Object} lesson - Scraped lesson
+ * @param {Object} context - DOCX context
+ * @returns {Array<string>} - Block XML
+ */
+function renderDocxLesson(lesson, context) {
+    const blocks = [docxParagraph([docxTextRun(lesson.title || 'Lesson')], { style: 'Heading2' })];
+    const type = lesson.type || 'unknown';
+
+    // Non-text lessons are represented by their type and URL
+    if (type !== 'text') {
+        const url = lesson.url || (lesson.video && (lesson.video.embedUrl || lesson.video.url)) || null;
+        const label = `${type.charAt(0).toUpperCase()}${type.slice(1)} lesson`;
+        const runs = [docxTextRun(`[${label}] `, { italic: true })];
+        if (url) {
+            const id = context.addRelationship('hyperlink', url, true);
+            runs.push(`<w:hyperlink r:id="${id}" w:history="1">${docxTextRun(url, { link: true })}</w:hyperlink>`);
+        } else {
+            runs.push(docxTextRun('(no URL)', { italic: true }));
+        }
+        blocks.push(docxParagraph(runs, { style: 'Placeholder' }));
+
+        (lesson.files || []).forEach(file => {
+            const fileRuns = file.url
+                ? [`<w:hyperlink r:id="${context.addRelationship('hyperlink', file.url, true)}" w:history="1">${docxTextRun(file.name || file.url, { link: true })}</w:hyperlink>`]
+                : [docxTextRun(file.name || 'file')];
+            blocks.push(docxParagraph(fileRuns, { style: 'ListParagraph', numbering: { numId: DOCX_BULLET_NUM_ID, level: 0 } }));
+        });
+    }
+
+    if (lesson.content) {
+        blocks.push(...renderDocxBlocks(parseHtml(lesson.content).children, context));
+    }
+
+    if (lesson.quiz && Array.isArray(lesson.quiz.questions) && lesson.quiz.questions.length > 0) {
+        blocks.push(...renderDocxBlocks(parseHtml(renderQuizHtml(lesson.quiz)).children, context));
+    }
+
+    if (lesson.error) {
+        blocks.push(docxParagraph([docxTextRun(`Not scraped: ${lesson.error}`, { italic: true })], { style: 'Placeholder' }));
+    }
+
+    return blocks;
+}
+
+/**
+ * Build word/styles.xml
+ * @returns {string}
+ */
+function buildDocxStyles() {
+    const headingSizes = [32, 28, 26, 24, 22, 22];
+    const headings = headingSizes.map((size, index) => `
+  <w:style w:type="paragraph" w:styleId="Heading${index + 1}">
+    <w:name w:val="heading ${index + 1}"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>
+    <w:pPr><w:keepNext/><w:spacing w:before="240" w:after="120"/><w:outlineLvl w:val="${index}"/></w:pPr>
+    <w:rPr><w:b/><w:sz w:val="${size}"/></w:rPr>
+  </w:style>`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="${DOCX_NAMESPACES.w}">
+  <w:docDefaults>
+    <w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:cs="Calibri"/><w:sz w:val="22"/></w:rPr></w:rPrDefault>
+    <w:pPrDefault><w:pPr><w:spacing w:after="120" w:line="264" w:lineRule="auto"/></w:pPr></w:pPrDefault>
+  </w:docDefaults>
+  <w:style w:type="paragraph" w:default="1" w:styleId="Normal">
+    <w:name w:val="Normal"/><w:qFormat/>
+  </w:style>
+  <w:style w:type="paragraph" w:styleId="Title">
+    <w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>
+    <w:pPr><w:spacing w:after="240"/></w:pPr>
+    <w:rPr><w:b/><w:sz w:val="48"/></w:rPr>
+  </w:style>${headings}
+  <w:style w:type="paragraph" w:styleId="ListParagraph">
+    <w:name w:val="List Paragraph"/><w:basedOn w:val="Normal"/><w:qFormat/>
+    <w:pPr><w:spacing w:after="60"/><w:ind w:left="720"/></w:pPr>
+  </w:style>
+  <w:style w:type="paragraph" w:styleId="Quote">
+    <w:name w:val="Quote"/><w:basedOn w:val="Normal"/><w:qFormat/>
+    <w:pPr><w:ind w:left="720" w:right="720"/></w:pPr>
+    <w:rPr><w:i/><w:color w:val="404040"/></w:rPr>
+  </w:style>
+  <w:style w:type="paragraph" w:styleId="Code">
+    <w:name w:val="Code"/><w:basedOn w:val="Normal"/>
+    <w:pPr><w:spacing w:after="0" w:line="240" w:lineRule="auto"/><w:shd w:val="clear" w:color="auto" w:fill="F2F2F2"/></w:pPr>
+    <w:rPr><w:rFonts w:ascii="Consolas" w:hAnsi="Consolas" w:cs="Consolas"/><w:sz w:val="20"/></w:rPr>
+  </w:style>
+  <w:style w:type="paragraph" w:styleId="Placeholder">
+    <w:name w:val="Placeholder"/><w:basedOn w:val="Normal"/>
+    <w:pPr><w:shd w:val="clear" w:color="auto" w:fill="F2F2F2"/></w:pPr>
+    <w:rPr><w:color w:val="666666"/></w:rPr>
+  </w:style>
+  <w:style w:type="character" w:styleId="Hyperlink">
+    <w:name w:val="Hyperlink"/>
+    <w:rPr><w:color w:val="0563C1"/><w:u w:val="single"/></w:rPr>
+  </w:style>
+  <w:style w:type="table" w:styleId="TableGrid">
+    <w:name w:val="Table Grid"/>
+    <w:tblPr>
+      <w:tblBorders>
+        <w:top w:val="single" w:sz="4" w:space="0" w:color="auto"/>
+        <w:left w:val="single" w:sz="4" w:space="0" w:color="auto"/>
+        <w:bottom w:val="single" w:sz="4" w:space="0" w:color="auto"/>
+        <w:right w:val="single" w:sz="4" w:space="0" w:color="auto"/>
+        <w:insideH w:val="single" w:sz="4" w:space="0" w:color="auto"/>
+        <w:insideV w:val="single" w:sz="4" w:space="0" w:color="auto"/>
+      </w:tblBorders>
+      <w:tblCellMar><w:left w:w="108" w:type="dxa"/><w:right w:w="108" w:type="dxa"/></w:tblCellMar>
+    </w:tblPr>
+  </w:style>
+</w:styles>
+`;
+}
+
+/**
+ * Build word/numbering.xml: one bullet list and one numbering instance per ordered list
+ * @param {Array<number>} orderedLists - Start value of each ordered list
+ * @returns {string}
+ */
+function buildDocxNumbering(orderedLists) {
+    const bullets = ['•', '◦', '▪'];
+    const levels = (format) => Array.from({ length: 9 }, (unused, level) => `
+      <w:lvl w:ilvl="${level}">
+        <w:start w:val="1"/>
+        <w:numFmt w:val="${format === 'bullet' ? 'bullet' : 'decimal'}"/>
+        <w:lvlText w:val="${format === 'bullet' ? bullets[level % bullets.length] : `%${level + 1}.`}"/>
+        <w:lvlJc w:val="left"/>
+        <w:pPr><w:ind w:left="${720 * (level + 1)}" w:hanging="360"/></w:pPr>
+      </w:lvl>`).join('');
+
+    const orderedNums = orderedLists.map((start, index) => `
+  <w:num w:numId="${index + 2}">
+    <w:abstractNumId w:val="1"/>
+    <w:lvlOverride w:ilvl="0"><w:startOverride w:val="${start}"/></w:lvlOverride>
+  </w:num>`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:numbering xmlns:w="${DOCX_NAMESPACES.w}">
+  <w:abstractNum w:abstractNumId="0">
+    <w:multiLevelType w:val="hybridMultilevel"/>${levels('bullet')}
+  </w:abstractNum>
+  <w:abstractNum w:abstractNumId="1">
+    <w:multiLevelType w:val="hybridMultilevel"/>${levels('decimal')}
+  </w:abstractNum>
+  <w:num w:numId="${DOCX_BULLET_NUM_ID}"><w:abstractNumId w:val="0"/></w:num>${orderedNums}
+</w:numbering>
+`;
+}
+
+/**
+ * Build the parts of a .docx file for the course
+ * @param {Object} courseData - Course data returned by the scraper
+ * @param {Object} options - Export options
+ * @param {Function} options.onProgress - Called with (done, total) while images download (optional)
+ * @returns {Promise<Array<Object>>} - { path, data } entries for createZip
+ */
+async function buildDocxExport(courseData, options = {}) {
+    const chapters = courseData.chapters || [];
+    const baseUrl = courseData.curriculumUrl;
+    const courseTitle = courseData.courseTitle || 'Course';
+
+    // Download the images in lesson HTML; only formats Word can embed are kept
+    const imageUrls = new Set();
+    for (const chapter of chapters) {
+        for (const lesson of chapter.lessons || []) {
+            if (!lesson.content) continue;
+            findNodes(parseHtml(lesson.content), node => node.tag === 'img').forEach(node => {
+                const url = resolveAssetUrl(node.attrs.src || node.attrs['data-src'], baseUrl);
+                if (url) imageUrls.add(url);
+            });
+        }
+    }
+
+    const images = new Map();
+    const mediaEntries = [];
+    let done = 0;
+    for (const url of imageUrls) {
+        try {
+            const bytes = await fetchAsset(url);
+            const info = getImageInfo(bytes);
+            if (info) {
+                const path = `word/media/image${mediaEntries.length + 1}.${info.extension}`;
+                images.set(url, { path, info });
+                mediaEntries.push({ path, data: bytes });
+            } else {
+                console.warn('[Docx] Image format cannot be embedded:', url);
+            }
+        } catch (error) {
+            console.warn('[Docx] Could not download image:', url, error);
+        }
+        done++;
+        if (options.onProgress) options.onProgress(done, imageUrls.size);
+    }
+
+    const context = createDocxContext(images, baseUrl);
+    const body = [docxParagraph([docxTextRun(courseTitle)], { style: 'Title' })];
+
+    chapters.forEach((chapter, chapterIndex) => {
+        body.push(docxParagraph([docxTextRun(chapter.chapterTitle || `Chapter ${chapterIndex + 1}`)], { style: 'Heading1' }));
+        for (const lesson of chapter.lessons || []) {
+            body.push(...renderDocxLesson(lesson, context));
+        }
+    });
+
+    const document = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="${DOCX_NAMESPACES.w}" xmlns:r="${DOCX_NAMESPACES.r}" xmlns:wp="${DOCX_NAMESPACES.wp}" xmlns:a="${DOCX_NAMESPACES.a}" xmlns:pic="${DOCX_NAMESPACES.pic}">
+<w:body>
+${body.join('\n')}
+<w:sectPr><w:pgSz w:w="12240" w:h="15840"/><w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="720" w:footer="720" w:gutter="0"/></w:sectPr>
+</w:body>
+</w:document>
+`;
+
+    const documentRelationships = [
+        { id: 'rIdStyles', type: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles', target: 'styles.xml' },
+        { id: 'rIdNumbering', type: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/numbering', target: 'numbering.xml' },
+        ...context.relationships
+    ].map(rel => `  <Relationship Id="${rel.id}" Type="${rel.type}" Target="${escapeXml(rel.target)}"${rel.external ? ' TargetMode="External"' : ''}/>`);
+
+    const contentTypes = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+  <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+  <Default Extension="xml" ContentType="application/xml"/>
+  <Default Extension="png" ContentType="image/png"/>
+  <Default Extension="jpeg" ContentType="image/jpeg"/>
+  <Default Extension="gif" ContentType="image/gif"/>
+  <Default Extension="bmp" ContentType="image/bmp"/>
+  <Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+  <Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+  <Override PartName="/word/numbering.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml"/>
+  <Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+</Types>
+`;
+
+    const packageRelationships = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="${DOCX_NAMESPACES.relationships}">
+  <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+  <Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>
+</Relationships>
+`;
+
+    const coreProperties = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+  <dc:title>${escapeXml(courseTitle)}</dc:title>
+  <dc:source>${escapeXml(courseData.curriculumUrl || '')}</dc:source>
+  <dcterms:created xsi:type="dcterms:W3CDTF">${escapeXml(courseData.extractedAt || new Date().toISOString())}</dcterms:created>
+</cp:coreProperties>
+`;
+
+    return [
+        { path: '[Content_Types].xml', data: contentTypes },
+        { path: '_rels/.rels', data: packageRelationships },
+        { path: 'docProps/core.xml', data: coreProperties },
+        { path: 'word/document.xml', data: document },
+        { path: 'word/styles.xml', data: buildDocxStyles() },
+        { path: 'word/numbering.xml', data: buildDocxNumbering(context.orderedLists) },
+        {
+            path: 'word/_rels/document.xml.rels',
+            data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="${DOCX_NAMESPACES.relationships}">
+${documentRelationships.join('\n')}
+</Relationships>
+`
+        },
+        ...mediaEntries
+    ];
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        getImageInfo,
+        buildDocxExport
+    };
+}
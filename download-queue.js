@@ -0,0 +1,176 @@
+/**
+ * Thinkific Course Scraper - Download Queue
+ * Bulk download of the attachments and directly hosted videos found during
+ * a scrape. Files are downloaded a few at a time, each retried with
+ * retryOperation, and the queue can be paused and resumed. The actual
+ * transfer is passed in by the background worker (chrome.downloads), so the
+ * queue itself only tracks order and status.
+ * Depends on utils.js.
+ */
+
+// Files downloading at the same time
+const DOWNLOAD_QUEUE_CONCURRENCY = 3;
+
+// Attempts per file, and the delay before the first retry
+const DOWNLOAD_QUEUE_MAX_RETRIES = 3;
+const DOWNLOAD_QUEUE_BACKOFF_MS = 2000;
+
+/**
+ * Make a file name safe for chrome.downloads (no path separators or
+ * characters Windows rejects)
+ * @param {string} name - File name
+ * @returns {string}
+ */
+function sanitizeDownloadName(name) {
+    const safe = String(name || '')
+        .replace(/[<>:"/\\|?*\x00-\x1f]/g, '_')
+        .replace(/^[.\s]+|[.\s]+$/g, '')
+        .slice(0, 120);
+    return safe || 'file';
+}
+
+/**
+ * List the files of a course to download: every attachment with a URL and
+ * every directly hosted video source (video files and AWS S3 URLs; embeds
+ * such as Vimeo or YouTube are skipped). Each file goes in a folder per
+ * chapter and lesson; a URL found in several lessons is downloaded once.
+ * @param {Object} courseData - Course data returned by the scraper
+ * @param {string} folder - Downloads folder for the course
+ * @returns {Array<Object>} - Queue items: { url, filename, kind, lessonTitle,
+ *   status: "queued", attempts: 0, error: null }
+ */
+function collectCourseDownloads(courseData, folder) {
+    const chapters = courseData.chapters || [];
+    const seenUrls = new Set();
+    const usedFilenames = new Set();
+    const items = [];
+
+    const add = (url, name, kind, lessonFolder, lessonTitle) => {
+        if (!url || !/^https?:/i.test(url) || seenUrls.has(url)) return;
+        seenUrls.add(url);
+
+        const safeName = sanitizeDownloadName(name || extractFilename(url));
+        const dot = safeName.lastIndexOf('.');
+        const stem = dot > 0 ? safeName.slice(0, dot) : safeName;
+        const extension = dot > 0 ? safeName.slice(dot) : '';
+
+        let filename;
+        for (let n = 1; !filename || usedFilenames.has(filename); n++) {
+            filename = `${lessonFolder}/${stem}${n > 1 ? `-${n}` : ''}${extension}`;
+        }
+        usedFilenames.add(filename);
+
+        items.push({ url, filename, kind, lessonTitle, status: 'queued', attempts: 0, error: null });
+    };
+
+    chapters.forEach((chapter, chapterIndex) => {
+        const chapterFolder = `${formatPosition(chapterIndex, chapters.length)}-${slugify(chapter.chapterTitle, 'chapter')}`;
+        const lessons = chapter.lessons || [];
+
+        lessons.forEach((lesson, lessonIndex) => {
+            const lessonFolder = `${folder}/${chapterFolder}/${formatPosition(lessonIndex, lessons.length)}-${slugify(lesson.title, 'lesson')}`;
+
+            for (const file of lesson.files || []) {
+                add(file.url, file.name, 'attachment', lessonFolder, lesson.title);
+            }
+
+            for (const source of (lesson.video && lesson.video.sources) || []) {
+                if (source.type === 'embed' || !source.url) continue;
+                if (isVideoFile(source.url) || isAwsS3Url(source.url)) {
+                    add(source.url, source.filename || lesson.video.fileName, 'video', lessonFolder, lesson.title);
+                }
+            }
+        });
+    });
+
+    return items;
+}
+
+/**
+ * Create a download queue over a list of items
+ * @param {Array<Object>} items - Queue items from collectCourseDownloads (updated in place)
+ * @param {Object} options - Queue options
+ * @param {Function} options.download - Async function that downloads one item
+ *   and rejects if the download fails; an error with final set to true (e.g. the
+ *   user cancelled the download) fails the item without retrying
+ * @param {Function} options.onChange - Called with the item after each status change (optional)
+ * @param {number} options.concurrency - Files downloading at the same time (default: DOWNLOAD_QUEUE_CONCURRENCY)
+ * @param {number} options.maxRetries - Attempts per file (default: DOWNLOAD_QUEUE_MAX_RETRIES)
+ * @param {number} options.backoffMs - Delay before the first retry (default: DOWNLOAD_QUEUE_BACKOFF_MS)
+ * @returns {Object} - { run, pause, resume, isPaused }; run() resolves with the
+ *   items that failed once every item has finished
+ */
+function createDownloadQueue(items, options = {}) {
+    const concurrency = options.concurrency || DOWNLOAD_QUEUE_CONCURRENCY;
+    const onChange = options.onChange || (() => {});
+    let paused = false;
+    let resumeWaiters = [];
+    let next = 0;
+
+    const waitWhilePaused = () => (paused ? new Promise(resolve => resumeWaiters.push(resolve)) : Promise.resolve());
+
+    const downloadItem = async (item) => {
+        item.status = 'downloading';
+        onChange(item);
+
+        try {
+            await retryOperation(async () => {
+                await waitWhilePaused();
+                item.attempts++;
+                onChange(item);
+                return options.download(item);
+            }, {
+                maxRetries: options.maxRetries || DOWNLOAD_QUEUE_MAX_RETRIES,
+                backoffMs: options.backoffMs ?? DOWNLOAD_QUEUE_BACKOFF_MS,
+                onRetry: (attempt, error) => {
+                    item.error = error.message;
+                    onChange(item);
+                },
+                shouldRetry: error => !error.final
+            });
+            item.status = 'done';
+            item.error = null;
+        } catch (error) {
+            console.warn('[DownloadQueue] Download failed:', item.url, error);
+            item.status = 'failed';
+            item.error = error.message;
+        }
+        onChange(item);
+    };
+
+    const worker = async () => {
+        while (next < items.length) {
+            await waitWhilePaused();
+            if (next >= items.length) break;
+            await downloadItem(items[next++]);
+        }
+    };
+
+    return {
+        run: async () => {
+            const workers = Array.from({ length: Math.min(concurrency, items.length) }, worker);
+            await Promise.all(workers);
+            return items.filter(item => item.status === 'failed');
+        },
+        pause: () => {
+            paused = true;
+        },
+        resume: () => {
+            paused = false;
+            resumeWaiters.forEach(resolve => resolve());
+            resumeWaiters = [];
+        },
+        isPaused: () => paused
+    };
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DOWNLOAD_QUEUE_CONCURRENCY,
+        DOWNLOAD_QUEUE_MAX_RETRIES,
+        sanitizeDownloadName,
+        collectCourseDownloads,
+        createDownloadQueue
+    };
+}
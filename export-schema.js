@@ -0,0 +1,205 @@
+/**
+ * Thinkific Course Scraper - Export Schema
+ * Versioning, validation and upgrades for the JSON export format.
+ * The schema itself is export-schema.json (JSON Schema 2020-12); this file
+ * checks exports against it and upgrades files written by older versions.
+ * Depends on checkpoint.js.
+ */
+
+// Bump when the export shape changes, and add an upgrade step below
+const EXPORT_SCHEMA_VERSION = 2;
+
+// Upgrade steps, keyed by the version they upgrade from
+const EXPORT_UPGRADES = {
+    1: upgradeExportFromV1
+};
+
+// Validation stops collecting problems after this many
+const MAX_SCHEMA_PROBLEMS = 50;
+
+/**
+ * Get the schema version of an export; files without schemaVersion are version 1
+ * @param {Object} exportData - Export or course data
+ * @returns {number}
+ */
+function getExportSchemaVersion(exportData) {
+    return Number.isInteger(exportData.schemaVersion) ? exportData.schemaVersion : 1;
+}
+
+/**
+ * Upgrade a version 1 export: lessons get one plain text field
+ * (plainTextContent, replacing the duplicate textContent), a url (null when
+ * unknown), their position and a status; course maps without scraped
+ * content become exports whose lessons are all not_attempted.
+ * @param {Object} exportData - Version 1 export or course map
+ * @returns {Object} - Version 2 export
+ */
+function upgradeExportFromV1(exportData) {
+    const chapters = (exportData.chapters || []).map((chapter, chapterIndex) => ({
+        ...chapter,
+        chapterTitle: chapter.chapterTitle || `Chapter ${chapterIndex + 1}`,
+        chapterIndex: chapter.chapterIndex ?? chapterIndex,
+        lessons: (chapter.lessons || []).map((lesson, lessonIndex) => {
+            const { textContent, ...rest } = lesson;
+            const upgraded = {
+                ...rest,
+                title: lesson.title || `Lesson ${lessonIndex + 1}`,
+                type: lesson.type || 'unknown',
+                url: lesson.url ?? null,
+                chapterIndex: lesson.chapterIndex ?? chapter.chapterIndex ?? chapterIndex,
+                lessonIndex: lesson.lessonIndex ?? lessonIndex,
+                content: lesson.content ?? null,
+                plainTextContent: lesson.plainTextContent ?? textContent ?? null
+            };
+
+            if (!['scraped', 'failed', 'not_attempted'].includes(upgraded.status)) {
+                upgraded.status = upgraded.error ? 'failed' : (isLessonComplete(upgraded) ? 'scraped' : 'not_attempted');
+            }
+            return upgraded;
+        })
+    }));
+
+    const lessons = chapters.flatMap(chapter => chapter.lessons);
+    const { schemaVersion, ...rest } = exportData;
+
+    return {
+        schemaVersion: 2,
+        ...rest,
+        cancelled: exportData.cancelled ?? false,
+        courseTitle: exportData.courseTitle || 'Unknown Course',
+        curriculumUrl: exportData.curriculumUrl || '',
+        extractedAt: exportData.extractedAt || '',
+        totalChapters: chapters.length,
+        totalLessons: lessons.length,
+        completedLessons: lessons.filter(lesson => lesson.status === 'scraped').length,
+        errors: exportData.errors || [],
+        chapters
+    };
+}
+
+/**
+ * Upgrade an export (or course data fresh from the scraper) to the current
+ * schema version. Upgrading a current export changes nothing.
+ * @param {Object} exportData - Export file contents
+ * @returns {Object} - Export at EXPORT_SCHEMA_VERSION
+ * @throws {Error} - If the data is not an export, or is newer than this extension
+ */
+function upgradeExport(exportData) {
+    if (!exportData || typeof exportData !== 'object' || !Array.isArray(exportData.chapters)) {
+        throw new Error('Not a course export (no chapters).');
+    }
+
+    let version = getExportSchemaVersion(exportData);
+    if (version > EXPORT_SCHEMA_VERSION) {
+        throw new Error(`Export schema version ${version} is newer than this extension supports (${EXPORT_SCHEMA_VERSION}).`);
+    }
+
+    let upgraded = exportData;
+    while (version < EXPORT_SCHEMA_VERSION) {
+        upgraded = EXPORT_UPGRADES[version](upgraded);
+        version++;
+    }
+    return upgraded;
+}
+
+/**
+ * Get the JSON type name of a value as used by the schema "type" keyword
+ * @param {*} value - Value
+ * @returns {string}
+ */
+function getSchemaType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+/**
+ * Validate a value against a JSON Schema. Supports the keywords that
+ * export-schema.json uses: $ref (local), const, enum, type, minimum,
+ * required, properties, additionalProperties and items.
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema (or subschema) to check against
+ * @param {Object} rootSchema - Schema that $ref pointers resolve against
+ * @param {string} path - Location of the value, for problem messages
+ * @param {Array<string>} problems - Problems found so far (appended to)
+ * @returns {Array<string>} - problems
+ */
+function validateSchemaValue(value, schema, rootSchema, path, problems) {
+    if (problems.length >= MAX_SCHEMA_PROBLEMS) return problems;
+
+    if (schema.$ref) {
+        const target = schema.$ref.replace(/^#\//, '').split('/')
+            .reduce((node, key) => (node ? node[key] : undefined), rootSchema);
+        if (!target) {
+            problems.push(`${path}: unknown schema reference ${schema.$ref}`);
+            return problems;
+        }
+        return validateSchemaValue(value, target, rootSchema, path, problems);
+    }
+
+    if ('const' in schema && value !== schema.const) {
+        problems.push(`${path}: must be ${JSON.stringify(schema.const)}`);
+        return problems;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        problems.push(`${path}: must be one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}`);
+        return problems;
+    }
+
+    if (schema.type) {
+        const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+        const actual = getSchemaType(value);
+        const matches = allowed.includes(actual) || (actual === 'integer' && allowed.includes('number'));
+        if (!matches) {
+            problems.push(`${path}: must be ${allowed.join(' or ')} (got ${actual})`);
+            return problems;
+        }
+    }
+
+    if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+        problems.push(`${path}: must be at least ${schema.minimum}`);
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => validateSchemaValue(item, schema.items, rootSchema, `${path}[${index}]`, problems));
+    }
+
+    if (getSchemaType(value) === 'object') {
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) problems.push(`${path}: missing required field "${key}"`);
+        });
+
+        Object.keys(value).forEach(key => {
+            const propertySchema = schema.properties && schema.properties[key];
+            if (propertySchema) {
+                validateSchemaValue(value[key], propertySchema, rootSchema, `${path}.${key}`, problems);
+            } else if (schema.additionalProperties === false) {
+                problems.push(`${path}: unexpected field "${key}"`);
+            }
+        });
+    }
+
+    return problems;
+}
+
+/**
+ * Validate an export against the export schema
+ * @param {Object} exportData - Export to check
+ * @param {Object} schema - Parsed export-schema.json
+ * @returns {Array<string>} - Problems such as '$.chapters[0].lessons[2]: missing required field "url"'; empty if valid
+ */
+function validateExport(exportData, schema) {
+    return validateSchemaValue(exportData, schema, schema, '$', []);
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        EXPORT_SCHEMA_VERSION,
+        getExportSchemaVersion,
+        upgradeExport,
+        validateExport
+    };
+}
@@ -0,0 +1,327 @@
+/**
+ * Thinkific Course Scraper - HTML Parser
+ * Lightweight HTML parser for the exporters. The background service worker
+ * has no DOMParser, so lesson HTML is turned into a plain node tree here:
+ *   { type: 'root', children }
+ *   { type: 'element', tag, attrs, children }
+ *   { type: 'text', text }
+ */
+
+// Elements that never have children or a closing tag
+const VOID_ELEMENTS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+    'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+// Elements whose content is raw text up to their closing tag
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title']);
+
+// Block elements that implicitly close an open <p>
+const CLOSES_PARAGRAPH = new Set([
+    'address', 'article', 'aside', 'blockquote', 'div', 'dl', 'fieldset', 'figure',
+    'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'main',
+    'nav', 'ol', 'p', 'pre', 'section', 'table', 'ul'
+]);
+
+// Elements whose text is set apart from the text around them (see getNodeBlockText)
+const TEXT_BLOCK_ELEMENTS = new Set([
+    ...CLOSES_PARAGRAPH, 'br', 'dd', 'dt', 'figcaption', 'li', 'td', 'th', 'tr'
+]);
+
+// Named entities commonly produced by the Froala editor
+const NAMED_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+    ndash: '–', mdash: '—', lsquo: '‘', rsquo: '’',
+    ldquo: '“', rdquo: '”', hellip: '…', bull: '•',
+    middot: '·', copy: '©', reg: '®', trade: '™',
+    deg: '°', times: '×', divide: '÷', euro: '€',
+    pound: '£', laquo: '«', raquo: '»', shy: '­'
+};
+
+const START_TAG_PATTERN = /<([a-zA-Z][a-zA-Z0-9:-]*)((?:\s+[^\s=\/>]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*(\/?)>/y;
+const END_TAG_PATTERN = /<\/([a-zA-Z][a-zA-Z0-9:-]*)\s*>/y;
+const ATTRIBUTE_PATTERN = /([^\s=\/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+
+/**
+ * Decode HTML character references
+ * @param {string} text - Text with entities
+ * @returns {string} - Decoded text
+ */
+function decodeHtmlEntities(text) {
+    if (!text || text.indexOf('&') === -1) return text || '';
+
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const codePoint = entity[1] === 'x' || entity[1] === 'X'
+                ? parseInt(entity.slice(2), 16)
+                : parseInt(entity.slice(1), 10);
+            try {
+                return String.fromCodePoint(codePoint);
+            } catch (error) {
+                return match;
+            }
+        }
+        const decoded = NAMED_ENTITIES[entity.toLowerCase()];
+        return decoded !== undefined ? decoded : match;
+    });
+}
+
+/**
+ * Escape text for use in HTML content or attribute values
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Parse a tag's attribute string
+ * @param {string} source - Attribute part of a start tag
+ * @returns {Object} - Attribute name (lowercase) to decoded value
+ */
+function parseAttributes(source) {
+    const attrs = {};
+    if (!source) return attrs;
+
+    ATTRIBUTE_PATTERN.lastIndex = 0;
+    let match;
+    while ((match = ATTRIBUTE_PATTERN.exec(source)) !== null) {
+        const name = match[1].toLowerCase();
+        const value = match[2] ?? match[3] ?? match[4] ?? '';
+        if (!(name in attrs)) {
+            attrs[name] = decodeHtmlEntities(value);
+        }
+    }
+    return attrs;
+}
+
+/**
+ * Parse an HTML fragment into a node tree.
+ * Not a full HTML5 parser: it handles the well-formed-ish markup the
+ * lesson editor produces, including unclosed <p>, <li>, <tr> and <td>.
+ * @param {string} html - HTML fragment
+ * @returns {Object} - Root node
+ */
+function parseHtml(html) {
+    const root = { type: 'root', children: [] };
+    const stack = [root];
+    const source = html || '';
+    let position = 0;
+
+    const current = () => stack[stack.length - 1];
+
+    const appendText = (text) => {
+        if (!text) return;
+        const parent = current();
+        const last = parent.children[parent.children.length - 1];
+        if (last && last.type === 'text') {
+            last.text += text;
+        } else {
+            parent.children.push({ type: 'text', text });
+        }
+    };
+
+    // Pop up to and including the nearest open `tag`, unless a `boundary` element comes first
+    const closeOpen = (tags, boundaries) => {
+        for (let i = stack.length - 1; i > 0; i--) {
+            const tag = stack[i].tag;
+            if (tags.includes(tag)) {
+                stack.length = i;
+                return;
+            }
+            if (boundaries.includes(tag)) return;
+        }
+    };
+
+    while (position < source.length) {
+        const tagStart = source.indexOf('<', position);
+        if (tagStart === -1) {
+            appendText(decodeHtmlEntities(source.slice(position)));
+            break;
+        }
+        if (tagStart > position) {
+            appendText(decodeHtmlEntities(source.slice(position, tagStart)));
+        }
+        position = tagStart;
+
+        // Comments, doctypes and processing instructions are dropped
+        if (source.startsWith('<!--', position)) {
+            const end = source.indexOf('-->', position + 4);
+            position = end === -1 ? source.length : end + 3;
+            continue;
+        }
+        if (source[position + 1] === '!' || source[position + 1] === '?') {
+            const end = source.indexOf('>', position);
+            position = end === -1 ? source.length : end + 1;
+            continue;
+        }
+
+        END_TAG_PATTERN.lastIndex = position;
+        const endMatch = END_TAG_PATTERN.exec(source);
+        if (endMatch) {
+            const tag = endMatch[1].toLowerCase();
+            // Stray end tags without an open element are ignored
+            if (stack.some(node => node.tag === tag)) {
+                closeOpen([tag], []);
+            }
+            position = END_TAG_PATTERN.lastIndex;
+            continue;
+        }
+
+        START_TAG_PATTERN.lastIndex = position;
+        const startMatch = START_TAG_PATTERN.exec(source);
+        if (!startMatch) {
+            appendText('<');
+            position++;
+            continue;
+        }
+        position = START_TAG_PATTERN.lastIndex;
+
+        const tag = startMatch[1].toLowerCase();
+
+        // Implied end tags
+        if (CLOSES_PARAGRAPH.has(tag) && current().tag === 'p') {
+            stack.pop();
+        }
+        if (tag === 'li') {
+            closeOpen(['li'], ['ul', 'ol']);
+        } else if (tag === 'td' || tag === 'th') {
+            closeOpen(['td', 'th'], ['tr', 'table']);
+        } else if (tag === 'tr') {
+            closeOpen(['tr'], ['table', 'thead', 'tbody', 'tfoot']);
+        } else if (tag === 'dt' || tag === 'dd') {
+            closeOpen(['dt', 'dd'], ['dl']);
+        }
+
+        const element = { type: 'element', tag, attrs: parseAttributes(startMatch[2]), children: [] };
+        current().children.push(element);
+
+        if (VOID_ELEMENTS.has(tag) || startMatch[3] === '/') {
+            continue;
+        }
+
+        if (RAW_TEXT_ELEMENTS.has(tag)) {
+            const closeIndex = source.toLowerCase().indexOf(`</${tag}`, position);
+            const end = closeIndex === -1 ? source.length : closeIndex;
+            const text = source.slice(position, end);
+            if (text) {
+                element.children.push({ type: 'text', text: tag === 'textarea' || tag === 'title' ? decodeHtmlEntities(text) : text });
+            }
+            const closeEnd = closeIndex === -1 ? -1 : source.indexOf('>', closeIndex);
+            position = closeEnd === -1 ? source.length : closeEnd + 1;
+            continue;
+        }
+
+        stack.push(element);
+    }
+
+    return root;
+}
+
+/**
+ * Get the concatenated text of a node and its descendants
+ * @param {Object} node - Parsed node
+ * @returns {string}
+ */
+function getNodeText(node) {
+    if (!node) return '';
+    if (node.type === 'text') return node.text;
+    if (node.tag === 'script' || node.tag === 'style') return '';
+    return (node.children || []).map(getNodeText).join('');
+}
+
+/**
+ * Get the text of a node and its descendants with a line break around each
+ * block element, so a heading and the paragraph after it don't run together
+ * @param {Object} node - Parsed node
+ * @returns {string}
+ */
+function getNodeBlockText(node) {
+    if (!node) return '';
+    if (node.type === 'text') return node.text;
+    if (node.tag === 'script' || node.tag === 'style') return '';
+
+    const text = (node.children || []).map(getNodeBlockText).join('');
+    return TEXT_BLOCK_ELEMENTS.has(node.tag) ? `\n${text}\n` : text;
+}
+
+/**
+ * Find every element below a node that matches a predicate (document order)
+ * @param {Object} node - Parsed node to search
+ * @param {Function} predicate - Called with each element node
+ * @returns {Array<Object>} - Matching element nodes
+ */
+function findNodes(node, predicate) {
+    const matches = [];
+    const visit = (parent) => {
+        for (const child of parent.children || []) {
+            if (child.type !== 'element') continue;
+            if (predicate(child)) matches.push(child);
+            visit(child);
+        }
+    };
+    visit(node);
+    return matches;
+}
+
+// Attributes that hold URLs (srcset holds a list, style may hold CSS url(...) values)
+const URL_ATTRIBUTE_PATTERN = /(\s(src|href|data-src|poster|srcset|style)\s*=\s*)(?:"([^"]*)"|'([^']*)')/gi;
+
+/**
+ * Rewrite the URLs in an HTML fragment's attributes without reparsing it.
+ * Covers src, href, data-src, poster, srcset and url(...) in style attributes.
+ * @param {string} html - HTML fragment
+ * @param {Function} replaceUrl - Called with each URL as written; returns the
+ *   new URL, or null/undefined to keep it
+ * @returns {string} - Rewritten HTML
+ */
+function rewriteHtmlUrls(html, replaceUrl) {
+    if (!html) return html;
+
+    const replace = (url) => replaceUrl(url) ?? url;
+
+    return html.replace(URL_ATTRIBUTE_PATTERN, (match, prefix, name, doubleQuoted, singleQuoted) => {
+        const quote = doubleQuoted !== undefined ? '"' : "'";
+        const value = decodeHtmlEntities(doubleQuoted ?? singleQuoted);
+        let rewritten;
+
+        switch (name.toLowerCase()) {
+            case 'srcset':
+                rewritten = value.split(',').map(candidate => {
+                    const [url, ...descriptors] = candidate.trim().split(/\s+/);
+                    return url ? [replace(url), ...descriptors].join(' ') : candidate;
+                }).join(', ');
+                break;
+
+            case 'style':
+                rewritten = value.replace(/url\(\s*(['"]?)([^'")]+)\1\s*\)/gi,
+                    (urlMatch, urlQuote, url) => `url(${urlQuote}${replace(url.trim())}${urlQuote})`);
+                break;
+
+            default:
+                rewritten = replace(value);
+        }
+
+        return rewritten === value ? match : `${prefix}${quote}${escapeHtml(rewritten)}${quote}`;
+    });
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        VOID_ELEMENTS,
+        decodeHtmlEntities,
+        escapeHtml,
+        parseHtml,
+        getNodeText,
+        getNodeBlockText,
+        findNodes,
+        rewriteHtmlUrls
+    };
+}
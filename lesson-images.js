@@ -0,0 +1,139 @@
+/**
+ * Thinkific Course Scraper - Lesson Images
+ * Localizes the images embedded in lesson HTML for the JSON export: every
+ * <img> and CSS background image is downloaded, recorded in an asset
+ * manifest and the lesson content is rewritten to the local copies.
+ * The background worker saves each file next to the JSON through
+ * chrome.downloads (the save option of localizeLessonImages). Depends on utils.js, html-parser.js and bundle-exporter.js.
+ */
+
+// Folder of the images, relative to the course JSON
+const LESSON_IMAGES_FOLDER = 'images';
+
+/**
+ * List the image URLs embedded in a lesson's content: <img> src, data-src
+ * and srcset, and url(...) values in style attributes
+ * @param {Object} lesson - Scraped lesson
+ * @param {string} baseUrl - Curriculum URL to resolve relative URLs against
+ * @returns {Array<string>} - Absolute URLs, without duplicates
+ */
+function collectLessonImageUrls(lesson, baseUrl) {
+    const urls = new Set();
+    const add = (url) => {
+        const resolved = resolveAssetUrl(url, baseUrl);
+        if (resolved && !isVideoFile(resolved)) urls.add(resolved);
+    };
+
+    if (!lesson.content) return [];
+
+    for (const node of findNodes(parseHtml(lesson.content), () => true)) {
+        const attrs = node.attrs;
+
+        if (node.tag === 'img') {
+            add(attrs.src || attrs['data-src']);
+            (attrs.srcset || '').split(',').forEach(candidate => add(candidate.trim().split(/\s+/)[0]));
+        }
+
+        const backgroundPattern = /url\(\s*(['"]?)([^'")]+)\1\s*\)/gi;
+        let match;
+        while ((match = backgroundPattern.exec(attrs.style || '')) !== null) {
+            add(match[2]);
+        }
+    }
+
+    return [...urls];
+}
+
+/**
+ * Hash file contents with SHA-256
+ * @param {Uint8Array} bytes - File bytes
+ * @returns {Promise<string>} - Lowercase hex digest
+ */
+async function sha256Hex(bytes) {
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+    return [...digest].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Download the images of every lesson and rewrite the lessons to use them.
+ * Images with identical contents are stored once.
+ * @param {Object} courseData - Course data at the current export schema version
+ * @param {Object} options - Download options
+ * @param {Function} options.onProgress - Called with (done, total) after each image (optional)
+ * @param {Function} options.save - Async function that saves one { path, data } file
+ *   (optional). If it rejects, the image gets the error in the manifest and its
+ *   references keep the original URL.
+ * @returns {Promise<Object>} - { courseData, entries }: a copy of the course
+ *   data with rewritten lesson content and an `assets` manifest
+ *   ({ url, path, sha256, size, error } per image), and the { path, data }
+ *   files (saved ones only when save is given), with paths relative to the course JSON
+ */
+async function localizeLessonImages(courseData, options = {}) {
+    const baseUrl = courseData.curriculumUrl;
+    const imageUrls = new Set();
+    for (const chapter of courseData.chapters || []) {
+        for (const lesson of chapter.lessons || []) {
+            collectLessonImageUrls(lesson, baseUrl).forEach(url => imageUrls.add(url));
+        }
+    }
+
+    const { assets, entries: downloaded } = await downloadAssets(imageUrls, {
+        folder: LESSON_IMAGES_FOLDER,
+        onProgress: options.onProgress
+    });
+
+    const dataByPath = new Map(downloaded.map(entry => [entry.path, entry.data]));
+    // Where each distinct file was stored: { path, error }
+    const storedByHash = new Map();
+    const entries = [];
+    const manifest = [];
+
+    // Save one file; a failure only affects the images with its contents
+    const store = async (entry) => {
+        try {
+            if (options.save) await options.save(entry);
+            entries.push(entry);
+            return { path: entry.path, error: null };
+        } catch (error) {
+            console.warn('[LessonImages] Could not save image:', entry.path, error);
+            return { path: null, error: `Could not save: ${error.message}` };
+        }
+    };
+
+    for (const asset of assets) {
+        const item = { url: asset.url, path: asset.path, sha256: null, size: asset.size, error: asset.error };
+
+        if (asset.path) {
+            const data = dataByPath.get(asset.path);
+            item.sha256 = await sha256Hex(data);
+
+            if (!storedByHash.has(item.sha256)) {
+                storedByHash.set(item.sha256, await store({ path: item.path, data }));
+            }
+            Object.assign(item, storedByHash.get(item.sha256));
+        }
+        manifest.push(item);
+    }
+
+    const localPaths = new Map(manifest.filter(item => item.path).map(item => [item.url, item.path]));
+    const localUrl = (url) => localPaths.get(resolveAssetUrl(url, baseUrl)) || null;
+
+    const chapters = (courseData.chapters || []).map(chapter => ({
+        ...chapter,
+        lessons: (chapter.lessons || []).map(lesson => (
+            lesson.content ? { ...lesson, content: rewriteHtmlUrls(lesson.content, localUrl) } : lesson
+        ))
+    }));
+
+    return { courseData: { ...courseData, assets: manifest, chapters }, entries };
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        LESSON_IMAGES_FOLDER,
+        collectLessonImageUrls,
+        sha256Hex,
+        localizeLessonImages
+    };
+}
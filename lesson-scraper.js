@@ -27,7 +27,7 @@ async function scrapeLessonContent(lessonData) {
 
         // Wait for lesson page to load
         await waitForNavigation();
-        await sleep(2000); // Extra wait for dynamic content
+        await waitForNetworkIdle(); // Lesson data still being fetched
 
         // Route to appropriate extractor based on lesson type
         switch (lessonData.type) {
@@ -170,9 +170,10 @@ function extractFromIframe() {
 
 /**
  * Extract video metadata
+ * @param {Document|Element} context - DOM context to search within (default: document)
  * @returns {Promise<Object>} Video metadata
  */
-async function extractVideoContent() {
+async function extractVideoContent(context = document) {
     console.log('[LessonScraper] Extracting video content...');
 
     const videoData = {
@@ -186,7 +187,7 @@ async function extractVideoContent() {
 
     try {
         // Strategy 1: HTML5 video element
-        const videoElement = findElement(SELECTORS.videoPlayer);
+        const videoElement = findElement(SELECTORS.videoPlayer, context);
 
         if (videoElement && videoElement.tagName === 'VIDEO') {
             console.log('[LessonScraper] Found HTML5 video element');
@@ -214,7 +215,7 @@ async function extractVideoContent() {
         }
 
         // Strategy 2: Embedded video iframes (Vimeo, YouTube, Wistia)
-        const videoIframe = document.querySelector('iframe[src*="vimeo"], iframe[src*="youtube"], iframe[src*="youtu.be"], iframe[src*="wistia"]');
+        const videoIframe = context.querySelector('iframe[src*="vimeo"], iframe[src*="youtube"], iframe[src*="youtu.be"], iframe[src*="wistia"]');
         if (videoIframe) {
             const src = videoIframe.src;
             console.log('[LessonScraper] Found video iframe:', src);
@@ -231,7 +232,7 @@ async function extractVideoContent() {
         }
 
         // Strategy 3: Check for video URLs in data attributes
-        const elementsWithVideoData = document.querySelectorAll('[data-video-url], [data-video-src], [data-video-id]');
+        const elementsWithVideoData = context.querySelectorAll('[data-video-url], [data-video-src], [data-video-id]');
         elementsWithVideoData.forEach(element => {
             const videoUrl = element.getAttribute('data-video-url') ||
                            element.getAttribute('data-video-src');
@@ -244,7 +245,7 @@ async function extractVideoContent() {
         });
 
         // Strategy 4: Scan for AWS S3 video URLs in links
-        const allLinks = document.querySelectorAll('a[href], source[src], video[src]');
+        const allLinks = context.querySelectorAll('a[href], source[src], video[src]');
         allLinks.forEach(link => {
             const url = link.href || link.src;
             if (url && isAwsS3Url(url) && isVideoFile(url)) {
@@ -271,11 +272,97 @@ async function extractVideoContent() {
     }
 }
 
+/**
+ * Extract video lesson data from the curriculum editor panel.
+ * Called by the click-through scraper while a video lesson is open.
+ * Only the editor panel (SELECTORS.lessonEditorPanel) is searched.
+ * @returns {Promise<Object|null>} Video data, or null if the editor shows no video
+ *   or no editor panel is found
+ */
+async function extractEditorVideo() {
+    console.log('[LessonScraper] Extracting video from editor panel...');
+
+    const panel = findElement(SELECTORS.lessonEditorPanel);
+    if (!panel) {
+        console.log('[LessonScraper] No lesson editor panel found; skipping video extraction');
+        return null;
+    }
+
+    const videoData = await extractVideoContent(panel);
+
+    // Natively hosted (Wistia) videos are often a div like .wistia_async_abc123
+    if (!videoData.videoId) {
+        const wistiaElement = panel.querySelector('[class*="wistia_async_"]');
+        const wistiaMatch = wistiaElement && wistiaElement.className.match(/wistia_async_([a-z0-9]+)/i);
+        if (wistiaMatch) {
+            videoData.provider = 'wistia';
+            videoData.videoId = wistiaMatch[1];
+            videoData.embedUrl = videoData.embedUrl || `https://fast.wistia.net/embed/iframe/${wistiaMatch[1]}`;
+        }
+    }
+
+    // Uploaded file name and duration as shown by the editor's video uploader
+    const fileNameElement = findElement(SELECTORS.videoFileName, panel);
+    const fileName = fileNameElement?.textContent.trim() ||
+        videoData.sources.find(source => source.filename)?.filename ||
+        null;
+
+    const durationElement = findElement(SELECTORS.videoDuration, panel);
+    const videoElement = panel.querySelector('video');
+    let duration = durationElement ? parseDuration(durationElement.textContent) : null;
+    if (duration === null && videoElement && Number.isFinite(videoElement.duration)) {
+        duration = Math.round(videoElement.duration);
+    }
+
+    if (!videoData.thumbnail) {
+        const thumbnailElement = findElement(SELECTORS.videoThumbnail, panel);
+        videoData.thumbnail = thumbnailElement?.src || null;
+    }
+
+    if (videoData.sources.length === 0 && !videoData.videoId && !fileName) {
+        console.log('[LessonScraper] No video found in editor panel');
+        return null;
+    }
+
+    return {
+        provider: videoData.provider,
+        videoId: videoData.videoId,
+        embedUrl: videoData.embedUrl,
+        thumbnail: videoData.thumbnail,
+        duration: duration,
+        fileName: fileName,
+        sources: videoData.sources
+    };
+}
+
+/**
+ * Parse a duration label such as "12:34", "1:02:03" or "5 min" into seconds
+ * @param {string} text - Duration text
+ * @returns {number|null} Duration in seconds, or null if not recognized
+ */
+function parseDuration(text) {
+    if (!text) return null;
+
+    const clockMatch = text.match(/(\d+):(\d{2})(?::(\d{2}))?/);
+    if (clockMatch) {
+        const parts = clockMatch.slice(1).filter(part => part !== undefined).map(Number);
+        return parts.reduce((total, part) => total * 60 + part, 0);
+    }
+
+    const minutesMatch = text.match(/(\d+)\s*min/i);
+    if (minutesMatch) {
+        return Number(minutesMatch[1]) * 60;
+    }
+
+    return null;
+}
+
 /**
  * Extract downloadable file links
+ * @param {Document|Element} context - DOM context to search within (default: document)
  * @returns {Promise<Object>} Download links data
  */
-async function extractDownloadContent() {
+async function extractDownloadContent(context = document) {
     console.log('[LessonScraper] Extracting download content...');
 
     const downloadData = {
@@ -284,7 +371,7 @@ async function extractDownloadContent() {
     };
 
     try {
-        const downloadLinks = findElements(SELECTORS.downloadLinks);
+        const downloadLinks = findElements(SELECTORS.downloadLinks, context);
         console.log(`[LessonScraper] Found ${downloadLinks.length} download links`);
 
         downloadLinks.forEach(link => {
@@ -315,19 +402,313 @@ async function extractDownloadContent() {
 }
 
 /**
- * Extract quiz content (basic - just detects presence)
- * @returns {Promise<Object>} Quiz data
+ * Extract the files attached to a download lesson in the curriculum editor panel.
+ * Called by the click-through scraper while a download lesson is open.
+ * Only the editor panel (SELECTORS.lessonEditorPanel) is searched.
+ * @returns {Promise<Array<Object>>} Attached files (empty if none found, or no editor panel is found)
  */
-async function extractQuizContent() {
-    console.log('[LessonScraper] Quiz content extraction not fully implemented');
+async function extractEditorDownloads() {
+    console.log('[LessonScraper] Extracting attached files from editor panel...');
+
+    const files = [];
+
+    const panel = findElement(SELECTORS.lessonEditorPanel);
+    if (!panel) {
+        console.log('[LessonScraper] No lesson editor panel found; skipping file extraction');
+        return files;
+    }
+
+    try {
+        // Strategy 1: File rows of the download uploader (name + size + link)
+        const fileItems = findElements(SELECTORS.downloadFileItem, panel);
+        fileItems.forEach(item => {
+            const link = item.matches('a[href]') ? item : item.querySelector('a[href]');
+            const url = link && link.href && link.href.startsWith('http') ? link.href : null;
+            const nameElement = findElement(SELECTORS.downloadFileName, item);
+            const sizeElement = findElement(SELECTORS.downloadFileSize, item);
+
+            const name = nameElement?.textContent.trim() ||
+                link?.getAttribute('download') ||
+                (url ? extractFilename(url) : null);
+
+            if (!name && !url) return;
+
+            // Fall back to a size mentioned anywhere in the row, e.g. "notes.pdf (2.4 MB)"
+            const sizeLabel = sizeElement?.textContent.trim() ||
+                (item.textContent.match(/[\d.,]+\s*(?:bytes|kb|mb|gb)\b/i) || [])[0] ||
+                null;
+
+            files.push(buildFileEntry(name, url, sizeLabel));
+        });
+
+        // Strategy 2: Plain download links anywhere in the editor panel
+        if (files.length === 0) {
+            const downloadData = await extractDownloadContent(panel);
+            downloadData.files.forEach(file => {
+                files.push(buildFileEntry(file.filename, file.url, null));
+            });
+        }
+
+        // Remove duplicates (files without a URL are keyed by name)
+        const seen = new Set();
+        return files.filter(file => {
+            const key = file.url || file.name;
+            if (seen.has(key)) {
+                return false;
+            }
+            seen.add(key);
+            return true;
+        });
+
+    } catch (error) {
+        console.error('[LessonScraper] Error extracting attached files:', error);
+        return files;
+    }
+}
 
+/**
+ * Build an attached file entry for a download lesson
+ * @param {string|null} name - File name
+ * @param {string|null} url - File URL (usually AWS S3)
+ * @param {string|null} sizeLabel - Size as shown in the editor, e.g. "2.4 MB"
+ * @returns {Object} File entry
+ */
+function buildFileEntry(name, url, sizeLabel) {
+    const fileName = name || (url ? extractFilename(url) : 'unknown');
     return {
+        name: fileName,
+        size: sizeLabel,
+        sizeBytes: parseFileSize(sizeLabel),
+        type: extractFileExtension(fileName) !== 'unknown'
+            ? extractFileExtension(fileName)
+            : (url ? extractFileExtension(url) : 'unknown'),
+        url: url,
+        isAwsS3: url ? isAwsS3Url(url) : false
+    };
+}
+
+/**
+ * Parse a file size label such as "2.4 MB", "2,4 MB" or "1,024 KB" into bytes.
+ * A comma before exactly three digits separates thousands; any other comma
+ * is a decimal point.
+ * @param {string|null} text - Size label
+ * @returns {number|null} Size in bytes, or null if not recognized
+ */
+function parseFileSize(text) {
+    if (!text) return null;
+
+    const match = text.match(/([\d.,]+)\s*(bytes|b|kb|mb|gb)\b/i);
+    if (!match) return null;
+
+    const units = { b: 1, bytes: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+    const value = parseFloat(match[1].replace(/,(?=\d{3}(?!\d))/g, '').replace(',', '.'));
+    return Math.round(value * units[match[2].toLowerCase()]);
+}
+
+/**
+ * Extract quiz content from the quiz editor: settings plus every question
+ * with its type, prompt, answer choices, correct answers and explanation
+ * @param {Document|Element} context - DOM context to search within (default: document)
+ * @returns {Promise<Object>} Quiz data
+ */
+async function extractQuizContent(context = document) {
+    console.log('[LessonScraper] Extracting quiz content...');
+
+    const quizData = {
         type: 'quiz',
-        message: 'Quiz content extraction not implemented',
-        pageUrl: window.location.href
+        settings: null,
+        questions: []
+    };
+
+    try {
+        quizData.settings = extractQuizSettings(context);
+
+        const questionElements = findElements(SELECTORS.quizQuestion, context);
+        console.log(`[LessonScraper] Found ${questionElements.length} quiz questions`);
+
+        questionElements.forEach((questionElement, index) => {
+            quizData.questions.push(extractQuizQuestion(questionElement, index));
+        });
+
+        return quizData;
+
+    } catch (error) {
+        console.error('[LessonScraper] Error extracting quiz content:', error);
+        return {
+            ...quizData,
+            error: error.message
+        };
+    }
+}
+
+/**
+ * Extract quiz lesson data from the curriculum editor panel.
+ * Called by the click-through scraper while a quiz lesson is open.
+ * Only the editor panel (SELECTORS.lessonEditorPanel) is searched.
+ * @returns {Promise<Object|null>} Quiz data, or null if no editor panel is found
+ */
+async function extractEditorQuiz() {
+    console.log('[LessonScraper] Extracting quiz from editor panel...');
+
+    const panel = findElement(SELECTORS.lessonEditorPanel);
+    if (!panel) {
+        console.log('[LessonScraper] No lesson editor panel found; skipping quiz extraction');
+        return null;
+    }
+
+    return extractQuizContent(panel);
+}
+
+/**
+ * Extract a single quiz question from its editor card
+ * @param {Element} questionElement - Question card element
+ * @param {number} index - Question position in the quiz
+ * @returns {Object} Question data
+ */
+function extractQuizQuestion(questionElement, index) {
+    const promptElement = findElement(SELECTORS.quizQuestionPrompt, questionElement);
+    const prompt = readRichText(promptElement);
+
+    const choices = findElements(SELECTORS.quizAnswer, questionElement).map((answerElement, choiceIndex) => {
+        const choiceText = readRichText(findElement(SELECTORS.quizAnswerText, answerElement) || answerElement);
+        return {
+            index: choiceIndex,
+            html: choiceText.html,
+            text: choiceText.text,
+            correct: isCorrectAnswer(answerElement)
+        };
+    });
+
+    const explanation = readRichText(findElement(SELECTORS.quizExplanation, questionElement));
+
+    return {
+        index: index,
+        type: detectQuestionType(questionElement, choices),
+        promptHtml: prompt.html,
+        promptText: prompt.text,
+        choices: choices,
+        correctChoices: choices.filter(choice => choice.correct).map(choice => choice.index),
+        explanationHtml: explanation.html,
+        explanationText: explanation.text
+    };
+}
+
+/**
+ * Read quiz-level settings (passing grade, retakes, randomization)
+ * @param {Document|Element} context - DOM context to search within (default: document)
+ * @returns {Object} Quiz settings; unknown values are null
+ */
+function extractQuizSettings(context = document) {
+    const passingGradeElement = findElement(SELECTORS.quizPassingGrade, context);
+    const retakesElement = findElement(SELECTORS.quizRetakes, context);
+    const randomizeElement = findElement(SELECTORS.quizRandomize, context);
+
+    const passingGrade = passingGradeElement ? parseFloat(readFieldValue(passingGradeElement)) : NaN;
+    const retakesValue = retakesElement ? readFieldValue(retakesElement).trim() : '';
+
+    return {
+        passingGrade: Number.isFinite(passingGrade) ? passingGrade : null,
+        // "Unlimited" (or an empty field) is kept as text rather than a number
+        allowedRetakes: /^\d+$/.test(retakesValue) ? Number(retakesValue) : (retakesValue || null),
+        randomizeQuestions: randomizeElement ? isFieldChecked(randomizeElement) : null
+    };
+}
+
+/**
+ * Detect a question's type from the editor's type control, or infer it from its answers
+ * @param {Element} questionElement - Question card element
+ * @param {Array<Object>} choices - Extracted answer choices
+ * @returns {string} multiple_choice | multiple_select | true_false | open | unknown (or the editor's own label)
+ */
+function detectQuestionType(questionElement, choices) {
+    const typeElement = findElement(SELECTORS.quizQuestionType, questionElement);
+    const typeLabel = typeElement ? readFieldValue(typeElement).trim().toLowerCase() : '';
+
+    if (typeLabel) {
+        if (typeLabel.includes('true') && typeLabel.includes('false')) return 'true_false';
+        if (typeLabel.includes('select') || typeLabel.includes('all that apply') || typeLabel.includes('multiple answer')) return 'multiple_select';
+        if (typeLabel.includes('choice') || typeLabel.includes('single')) return 'multiple_choice';
+        if (typeLabel.includes('open') || typeLabel.includes('text') || typeLabel.includes('essay')) return 'open';
+        return typeLabel.replace(/\s+/g, '_');
+    }
+
+    // No type control: infer from the answer inputs
+    if (choices.length === 0) return 'open';
+    if (questionElement.querySelector('input[type="checkbox"]')) return 'multiple_select';
+
+    const texts = choices.map(choice => (choice.text || '').toLowerCase()).sort();
+    if (texts.length === 2 && texts[0] === 'false' && texts[1] === 'true') return 'true_false';
+
+    if (questionElement.querySelector('input[type="radio"]')) return 'multiple_choice';
+    return 'unknown';
+}
+
+/**
+ * Check whether an answer choice is marked as correct in the editor
+ * @param {Element} answerElement - Answer choice element
+ * @returns {boolean}
+ */
+function isCorrectAnswer(answerElement) {
+    const correctElement = findElement(SELECTORS.quizAnswerCorrect, answerElement);
+    if (correctElement) {
+        if (correctElement.matches('input')) return correctElement.checked;
+        const state = correctElement.getAttribute('aria-checked') || correctElement.getAttribute('aria-pressed');
+        if (state !== null) return state === 'true';
+        return true;
+    }
+
+    // Some editors only mark the correct row with a class
+    const classes = (answerElement.className || '').toString().toLowerCase();
+    return /(^|[-_\s])correct/.test(classes) && !classes.includes('incorrect');
+}
+
+/**
+ * Read HTML and text from a rich text editor, form field or plain element
+ * @param {Element|null} element - Element to read
+ * @returns {Object} { html, text } (both null if element is missing)
+ */
+function readRichText(element) {
+    if (!element) {
+        return { html: null, text: null };
+    }
+
+    if (element.matches('input, textarea, select')) {
+        const value = readFieldValue(element);
+        return { html: value || null, text: value || null };
+    }
+
+    return {
+        html: element.innerHTML || null,
+        text: sanitizeText(element.innerText || element.textContent) || null
     };
 }
 
+/**
+ * Read a form field's current value (or its text for non-fields)
+ * @param {Element} element - Input, textarea, select or other element
+ * @returns {string}
+ */
+function readFieldValue(element) {
+    if (element.matches('select')) {
+        const option = element.options[element.selectedIndex];
+        return option ? option.textContent : '';
+    }
+    if (element.matches('input, textarea')) {
+        return element.value || '';
+    }
+    return element.textContent || '';
+}
+
+/**
+ * Check whether a checkbox/toggle setting is on
+ * @param {Element} element - Checkbox input or ARIA switch
+ * @returns {boolean}
+ */
+function isFieldChecked(element) {
+    if (element.matches('input')) return element.checked;
+    return element.getAttribute('aria-checked') === 'true' || element.getAttribute('aria-pressed') === 'true';
+}
+
 /**
  * Extract all content types (when type is unknown)
  * @returns {Promise<Object>} All extracted content
@@ -388,8 +769,8 @@ function extractVideoId(url, provider) {
                 return youtubeMatch ? youtubeMatch[1] : null;
 
             case 'wistia':
-                // Wistia: various formats
-                const wistiaMatch = url.match(/wistia\.com\/medias\/([^?\/]+)/);
+                // Wistia: /medias/abc123, /embed/iframe/abc123 or /embed/medias/abc123.jsonp
+                const wistiaMatch = url.match(/wistia\.(?:com|net)\/(?:medias|embed\/(?:iframe|medias))\/([^?\/.]+)/);
                 return wistiaMatch ? wistiaMatch[1] : null;
 
             default:
@@ -452,8 +833,13 @@ if (typeof module !== 'undefined' && module.exports) {
         scrapeLessonContent,
         extractTextContent,
         extractVideoContent,
+        extractEditorVideo,
         extractDownloadContent,
+        extractEditorDownloads,
+        extractQuizContent,
+        extractEditorQuiz,
         extractFromIframe,
+        parseFileSize,
         isOnLessonPage
     };
 }
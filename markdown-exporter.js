@@ -0,0 +1,446 @@
+/**
+ * Thinkific Course Scraper - Markdown Exporter
+ * Converts lesson HTML to Markdown and lays the course out as
+ * NN-chapter-slug/NN-lesson-slug.md files with YAML front matter.
+ * Depends on html-parser.js and utils.js.
+ */
+
+// Elements rendered as their own Markdown block
+const MARKDOWN_BLOCK_TAGS = new Set([
+    'address', 'article', 'aside', 'blockquote', 'dd', 'div', 'dl', 'dt', 'figcaption',
+    'figure', 'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li',
+    'main', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'ul',
+    'iframe', 'video', 'audio', 'embed', 'object'
+]);
+
+// Elements dropped from the Markdown output entirely
+const MARKDOWN_SKIPPED_TAGS = new Set(['script', 'style', 'noscript', 'template', 'head', 'button', 'input', 'select']);
+
+/**
+ * Convert lesson HTML to Markdown
+ * @param {string} html - Lesson HTML (e.g. Froala editor output)
+ * @returns {string} - Markdown
+ */
+function htmlToMarkdown(html) {
+    if (!html) return '';
+
+    const root = parseHtml(html);
+    return renderMarkdownBlocks(root.children, {})
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * Render a list of sibling nodes as Markdown blocks.
+ * Runs of inline nodes become paragraphs; block elements render on their own.
+ * @param {Array<Object>} nodes - Parsed nodes
+ * @param {Object} context - Render context ({ tight } joins blocks with one newline)
+ * @returns {string}
+ */
+function renderMarkdownBlocks(nodes, context) {
+    const blocks = [];
+    let inlineRun = [];
+
+    const flushInline = () => {
+        const paragraph = escapeMarkdownLineStarts(cleanMarkdownParagraph(renderMarkdownInline(inlineRun)));
+        if (paragraph) blocks.push(paragraph);
+        inlineRun = [];
+    };
+
+    for (const node of nodes) {
+        if (node.type === 'element' && MARKDOWN_SKIPPED_TAGS.has(node.tag)) continue;
+
+        if (node.type === 'element' && MARKDOWN_BLOCK_TAGS.has(node.tag)) {
+            flushInline();
+            const block = renderMarkdownBlock(node, context);
+            if (block) blocks.push(block);
+        } else {
+            inlineRun.push(node);
+        }
+    }
+    flushInline();
+
+    return blocks.join(context.tight ? '\n' : '\n\n');
+}
+
+/**
+ * Render one block element
+ * @param {Object} node - Element node
+ * @param {Object} context - Render context
+ * @returns {string}
+ */
+function renderMarkdownBlock(node, context) {
+    const tag = node.tag;
+
+    if (/^h[1-6]$/.test(tag)) {
+        const text = cleanMarkdownParagraph(renderMarkdownInline(node.children)).replace(/\s*\n\s*/g, ' ');
+        return text ? `${'#'.repeat(Number(tag[1]))} ${text}` : '';
+    }
+
+    switch (tag) {
+        case 'hr':
+            return '---';
+
+        case 'pre':
+            return renderMarkdownCodeBlock(node);
+
+        case 'blockquote': {
+            const inner = renderMarkdownBlocks(node.children, { ...context, tight: false });
+            return inner
+                ? inner.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n')
+                : '';
+        }
+
+        case 'ul':
+        case 'ol':
+            return renderMarkdownList(node, context);
+
+        case 'table':
+            return renderMarkdownTable(node);
+
+        case 'iframe':
+        case 'video':
+        case 'audio':
+        case 'embed':
+        case 'object':
+            return renderMarkdownEmbed(node);
+
+        default:
+            // p, div, section, li content, figure, ...
+            return renderMarkdownBlocks(node.children, context);
+    }
+}
+
+/**
+ * Render inline nodes to a Markdown string
+ * @param {Array<Object>} nodes - Parsed nodes
+ * @returns {string}
+ */
+function renderMarkdownInline(nodes) {
+    return nodes.map(renderMarkdownInlineNode).join('');
+}
+
+/**
+ * Render one inline node
+ * @param {Object} node - Parsed node
+ * @returns {string}
+ */
+function renderMarkdownInlineNode(node) {
+    if (node.type === 'text') {
+        return escapeMarkdown(node.text.replace(/\s+/g, ' '));
+    }
+    if (MARKDOWN_SKIPPED_TAGS.has(node.tag)) return '';
+
+    const inner = () => renderMarkdownInline(node.children);
+
+    switch (node.tag) {
+        case 'br':
+            return '  \n';
+
+        case 'strong':
+        case 'b':
+            return wrapMarkdownInline(inner(), '**');
+
+        case 'em':
+        case 'i':
+            return wrapMarkdownInline(inner(), '_');
+
+        case 's':
+        case 'del':
+        case 'strike':
+            return wrapMarkdownInline(inner(), '~~');
+
+        case 'code': {
+            const code = getNodeText(node);
+            if (!code) return '';
+            const fence = code.includes('`') ? '``' : '`';
+            return `${fence}${code}${fence}`;
+        }
+
+        case 'a': {
+            const text = inner().trim();
+            const href = node.attrs.href;
+            if (!href || href.startsWith('javascript:')) return text;
+            return `[${text || href}](${formatMarkdownUrl(href)})`;
+        }
+
+        case 'img': {
+            const src = node.attrs.src || node.attrs['data-src'];
+            if (!src) return '';
+            return `![${escapeMarkdown(node.attrs.alt || '')}](${formatMarkdownUrl(src)})`;
+        }
+
+        default:
+            // Block elements nested inside inline ones (e.g. <a><div>) render as inline text
+            if (MARKDOWN_BLOCK_TAGS.has(node.tag)) {
+                return ` ${inner()} `;
+            }
+            return inner();
+    }
+}
+
+/**
+ * Render a fenced code block
+ * @param {Object} node - <pre> element
+ * @returns {string}
+ */
+function renderMarkdownCodeBlock(node) {
+    const codeNode = node.children.find(child => child.type === 'element' && child.tag === 'code');
+    const className = `${node.attrs.class || ''} ${codeNode ? codeNode.attrs.class || '' : ''}`;
+    const languageMatch = className.match(/(?:language|lang)-([\w+#-]+)/);
+    const code = getNodeText(node).replace(/^\n/, '').replace(/\n+$/, '');
+    const fence = code.includes('```') ? '~~~' : '```';
+
+    return `${fence}${languageMatch ? languageMatch[1] : ''}\n${code}\n${fence}`;
+}
+
+/**
+ * Render a <ul> or <ol>, nesting child lists by indentation
+ * @param {Object} node - List element
+ * @param {Object} context - Render context
+ * @returns {string}
+ */
+function renderMarkdownList(node, context) {
+    const ordered = node.tag === 'ol';
+    let number = ordered ? parseInt(node.attrs.start, 10) || 1 : 0;
+
+    const items = node.children.filter(child => child.type === 'element' && child.tag === 'li');
+
+    return items.map(item => {
+        const marker = ordered ? `${number++}. ` : '- ';
+        const indent = ' '.repeat(marker.length);
+        const content = renderMarkdownBlocks(item.children, { ...context, tight: true }) || '';
+
+        return content
+            .split('\n')
+            .map((line, index) => (index === 0 ? marker + line : (line ? indent + line : line)))
+            .join('\n');
+    }).join('\n');
+}
+
+/**
+ * Render a table as a GitHub-flavored Markdown table (first row is the header)
+ * @param {Object} node - <table> element
+ * @returns {string}
+ */
+function renderMarkdownTable(node) {
+    const rows = findNodes(node, child => child.tag === 'tr').map(row =>
+        row.children
+            .filter(cell => cell.type === 'element' && (cell.tag === 'td' || cell.tag === 'th'))
+            .map(cell => cleanMarkdownParagraph(renderMarkdownInline(cell.children))
+                .replace(/\s*\n\s*/g, ' ')
+                .replace(/\|/g, '\\|'))
+    );
+
+    const columnCount = Math.max(0, ...rows.map(row => row.length));
+    if (rows.length === 0 || columnCount === 0) return '';
+
+    const formatRow = (cells) => {
+        const padded = [...cells];
+        while (padded.length < columnCount) padded.push('');
+        return `| ${padded.join(' | ')} |`;
+    };
+
+    return [
+        formatRow(rows[0]),
+        formatRow(new Array(columnCount).fill('---')),
+        ...rows.slice(1).map(formatRow)
+    ].join('\n');
+}
+
+/**
+ * Render an embedded player (iframe, video, audio) as a link to its source
+ * @param {Object} node - Embed element
+ * @returns {string}
+ */
+function renderMarkdownEmbed(node) {
+    const sourceNode = node.children.find(child => child.type === 'element' && child.tag === 'source');
+    const src = node.attrs.src || node.attrs['data-src'] || node.attrs.data ||
+        (sourceNode && sourceNode.attrs.src);
+    if (!src) return '';
+
+    const label = node.attrs.title ||
+        (node.tag === 'audio' ? 'Embedded audio' : node.tag === 'video' ? 'Embedded video' : 'Embedded content');
+    return `[${escapeMarkdown(label)}](${formatMarkdownUrl(src)})`;
+}
+
+/**
+ * Wrap inline content in an emphasis marker, keeping surrounding spaces outside
+ * @param {string} content - Rendered inline content
+ * @param {string} marker - Marker such as ** or _
+ * @returns {string}
+ */
+function wrapMarkdownInline(content, marker) {
+    const match = content.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    if (!match[2]) return content;
+    return `${match[1]}${marker}${match[2]}${marker}${match[3]}`;
+}
+
+/**
+ * Tidy a rendered paragraph: trim it and the start of each line
+ * @param {string} text - Rendered inline Markdown
+ * @returns {string}
+ */
+function cleanMarkdownParagraph(text) {
+    return text
+        .split('\n')
+        .map(line => line.replace(/^ +/, '').replace(/ {3,}$/, '  '))
+        .join('\n')
+        .replace(/ {2}$/, '')
+        .trim();
+}
+
+/**
+ * Escape characters that Markdown would read as formatting
+ * @param {string} text - Plain text
+ * @returns {string}
+ */
+function escapeMarkdown(text) {
+    return text.replace(/([\\`*_[\]<>])/g, '\\$1');
+}
+
+/**
+ * Escape the markers that would turn a line of paragraph text into a
+ * heading, list item or quote: "# ", "1. ", "1) ", "> ", "- " and "+ "
+ * @param {string} text - Rendered paragraph (one or more lines)
+ * @returns {string}
+ */
+function escapeMarkdownLineStarts(text) {
+    return text
+        .split('\n')
+        .map(line => line
+            .replace(/^(#{1,6})(?=\s|$)/, '\\$1')
+            .replace(/^(\d+)([.)])(?=\s|$)/, '$1\\$2')
+            .replace(/^([>+-])(?=\s|$)/, '\\$1'))
+        .join('\n');
+}
+
+/**
+ * Format a URL for a Markdown link target
+ * @param {string} url - URL
+ * @returns {string}
+ */
+function formatMarkdownUrl(url) {
+    const trimmed = url.trim();
+    return /[\s()]/.test(trimmed) ? `<${trimmed.replace(/>/g, '%3E')}>` : trimmed;
+}
+
+/**
+ * Build the YAML front matter block for a lesson
+ * @param {Object} fields - Front matter fields (strings, numbers, booleans or null)
+ * @returns {string}
+ */
+function buildFrontMatter(fields) {
+    const lines = Object.entries(fields).map(([key, value]) => {
+        // JSON strings are valid YAML double-quoted scalars
+        const formatted = value === null || value === undefined
+            ? 'null'
+            : typeof value === 'string' ? JSON.stringify(value) : String(value);
+        return `${key}: ${formatted}`;
+    });
+    return `---\n${lines.join('\n')}\n---\n`;
+}
+
+/**
+ * Render the non-text parts of a lesson (video, files, quiz) as Markdown sections
+ * @param {Object} lesson - Scraped lesson
+ * @returns {Array<string>} - Markdown blocks
+ */
+function renderLessonExtras(lesson) {
+    const blocks = [];
+
+    if (lesson.video) {
+        const video = lesson.video;
+        const link = video.embedUrl || video.url;
+        const label = `${video.provider || 'Video'}${video.videoId ? ` ${video.videoId}` : ''}`;
+        blocks.push('## Video');
+        blocks.push(link ? `[${escapeMarkdown(label)}](${formatMarkdownUrl(link)})` : escapeMarkdown(label));
+    }
+
+    if (Array.isArray(lesson.files) && lesson.files.length > 0) {
+        blocks.push('## Files');
+        blocks.push(lesson.files.map(file => {
+            const name = escapeMarkdown(file.name || 'file');
+            const size = file.size ? ` (${file.size})` : '';
+            return file.url ? `- [${name}](${formatMarkdownUrl(file.url)})${size}` : `- ${name}${size}`;
+        }).join('\n'));
+    }
+
+    if (lesson.quiz && Array.isArray(lesson.quiz.questions) && lesson.quiz.questions.length > 0) {
+        blocks.push('## Quiz');
+        lesson.quiz.questions.forEach((question, index) => {
+            blocks.push(`### Question ${index + 1}`);
+            const prompt = htmlToMarkdown(question.promptHtml) || escapeMarkdownLineStarts(escapeMarkdown(question.promptText || ''));
+            if (prompt) blocks.push(prompt);
+            if (question.choices.length > 0) {
+                blocks.push(question.choices.map(choice => {
+                    const text = (htmlToMarkdown(choice.html) || escapeMarkdown(choice.text || '')).replace(/\n+/g, ' ');
+                    return `- [${choice.correct ? 'x' : ' '}] ${text}`;
+                }).join('\n'));
+            }
+            const explanation = htmlToMarkdown(question.explanationHtml);
+            if (explanation) blocks.push(`**Explanation:** ${explanation}`);
+        });
+    }
+
+    return blocks;
+}
+
+/**
+ * Build the files of a Markdown export: an index plus one file per lesson
+ * at NN-chapter-slug/NN-lesson-slug.md
+ * @param {Object} courseData - Course data returned by the scraper
+ * @returns {Array<Object>} - { path, data } entries for createZip
+ */
+function buildMarkdownExport(courseData) {
+    const chapters = courseData.chapters || [];
+    const entries = [];
+    const indexLines = [`# ${escapeMarkdown(courseData.courseTitle || 'Course')}`, ''];
+
+    chapters.forEach((chapter, chapterIndex) => {
+        const chapterTitle = chapter.chapterTitle || `Chapter ${chapterIndex + 1}`;
+        const chapterFolder = `${formatPosition(chapterIndex, chapters.length)}-${slugify(chapterTitle, 'chapter')}`;
+        const lessons = chapter.lessons || [];
+
+        indexLines.push(`## ${escapeMarkdown(chapterTitle)}`, '');
+
+        lessons.forEach((lesson, lessonIndex) => {
+            const fileName = `${formatPosition(lessonIndex, lessons.length)}-${slugify(lesson.title, 'lesson')}.md`;
+            const path = `${chapterFolder}/${fileName}`;
+
+            const frontMatter = buildFrontMatter({
+                title: lesson.title || `Lesson ${lessonIndex + 1}`,
+                type: lesson.type || 'unknown',
+                url: lesson.url || null,
+                chapter: chapterTitle,
+                chapterIndex: lesson.chapterIndex ?? chapterIndex,
+                lessonIndex: lesson.lessonIndex ?? lessonIndex,
+                extractedAt: courseData.extractedAt || null,
+                ...(lesson.error ? { error: lesson.error } : {})
+            });
+
+            const body = [htmlToMarkdown(lesson.content), ...renderLessonExtras(lesson)]
+                .filter(Boolean)
+                .join('\n\n');
+
+            entries.push({ path, data: `${frontMatter}\n${body}\n` });
+            indexLines.push(`- [${escapeMarkdown(lesson.title || `Lesson ${lessonIndex + 1}`)}](${path})`);
+        });
+
+        indexLines.push('');
+    });
+
+    entries.unshift({ path: 'index.md', data: indexLines.join('\n') });
+    return entries;
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        htmlToMarkdown,
+        escapeMarkdown,
+        escapeMarkdownLineStarts,
+        buildFrontMatter,
+        buildMarkdownExport
+    };
+}
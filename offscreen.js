@@ -0,0 +1,53 @@
+/**
+ * Thinkific Course Scraper - Offscreen Document
+ * Builds Blobs and their object URLs for the background service worker,
+ * which has no URL.createObjectURL. The worker sends a file in chunks
+ * (blob-chunk), then asks for its URL (blob-finish) and revokes the URL
+ * once the download is done (blob-revoke).
+ */
+
+// Chunks of the files still being received, by blob ID
+const pendingBlobs = new Map();
+
+/**
+ * Decode a base64 chunk to bytes
+ * @param {string} base64 - Base64 data
+ * @returns {Uint8Array}
+ */
+function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (!message || message.target !== 'offscreen') return;
+
+  switch (message.type) {
+    case 'blob-chunk': {
+      const chunks = pendingBlobs.get(message.blobId) || [];
+      chunks.push(message.base64 !== undefined ? base64ToBytes(message.base64) : message.text);
+      pendingBlobs.set(message.blobId, chunks);
+      sendResponse({ ok: true });
+      break;
+    }
+
+    case 'blob-finish': {
+      const blob = new Blob(pendingBlobs.get(message.blobId) || [], { type: message.mimeType });
+      pendingBlobs.delete(message.blobId);
+      sendResponse({ url: URL.createObjectURL(blob) });
+      break;
+    }
+
+    case 'blob-revoke':
+      URL.revokeObjectURL(message.url);
+      sendResponse({ ok: true });
+      break;
+
+    default:
+      sendResponse({ error: `Unknown offscreen request: ${message.type}` });
+  }
+});
@@ -0,0 +1,295 @@
+/**
+ * Thinkific Course Scraper - Options Page Controller
+ * Shows the built-in SELECTORS lists (selectors.js), or a layout profile's
+ * lists, and edits the user's selector overrides, which are saved in
+ * chrome.storage.sync and tried before the built-in selectors by
+ * findElement/findElements.
+ */
+
+document.addEventListener('DOMContentLoaded', () => {
+  const keysContainer = document.getElementById('selectorKeys');
+  const filterInput = document.getElementById('selectorFilter');
+  const layoutSelect = document.getElementById('layoutProfile');
+  const saveButton = document.getElementById('saveBtn');
+  const statusDiv = document.getElementById('status');
+
+  // Override textarea and list refresh function of each SELECTORS key
+  const overrideInputs = new Map();
+  const sectionRefreshers = new Map();
+
+  function setStatus(msg, kind) {
+    if (!statusDiv) return;
+    statusDiv.textContent = msg;
+    statusDiv.className = kind ? `status ${kind}` : 'status';
+  }
+
+  /**
+   * Split an override textarea into selectors, one per line
+   * @param {HTMLTextAreaElement} textarea - Override input
+   * @returns {Array<string>}
+   */
+  function readOverrides(textarea) {
+    return textarea.value.split('\n').map(line => line.trim()).filter(Boolean);
+  }
+
+  /**
+   * Check a selector's syntax without a page to run it on
+   * @param {string} selector - CSS selector
+   * @returns {boolean}
+   */
+  function isValidSelector(selector) {
+    try {
+      document.createDocumentFragment().querySelector(selector);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Find the Thinkific tab to test against: the active one if there is
+   * one, otherwise the most recently used
+   * @returns {Promise<Object|null>} - Tab or null
+   */
+  async function findThinkificTab() {
+    const tabs = await chrome.tabs.query({ url: 'https://*.thinkific.com/*' });
+    tabs.sort((a, b) => (b.active - a.active) || ((b.lastAccessed || 0) - (a.lastAccessed || 0)));
+    return tabs[0] || null;
+  }
+
+  /**
+   * Count the elements each selector matches in the Thinkific tab
+   * @param {Array<string>} selectors - CSS selectors
+   * @returns {Promise<Array<Object>>} - { selector, count } or { selector, error } per selector
+   */
+  async function testSelectors(selectors) {
+    const tab = await findThinkificTab();
+    if (!tab) {
+      throw new Error('Open a Thinkific course curriculum page in a tab first.');
+    }
+
+    const [{ result }] = await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      func: (selectorList) => selectorList.map(selector => {
+        try {
+          return { selector, count: document.querySelectorAll(selector).length };
+        } catch (error) {
+          return { selector, error: 'Invalid selector' };
+        }
+      }),
+      args: [selectors]
+    });
+    return result;
+  }
+
+  /**
+   * Fingerprint the Thinkific tab like the scraper does (detectLayoutProfile).
+   * The fingerprints are passed in rather than injecting selectors.js, which
+   * would make the scraper think its scripts are already loaded in the tab.
+   * @returns {Promise<string|null>} - Profile name, "unknown", or null without a Thinkific tab
+   */
+  async function detectTabLayout() {
+    const tab = await findThinkificTab();
+    if (!tab) return null;
+
+    const fingerprints = Object.entries(LAYOUT_PROFILES).map(([name, profile]) => [name, profile.fingerprint]);
+    const [{ result }] = await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      func: (profiles) => {
+        const matches = (selector) => {
+          try {
+            return document.querySelector(selector) !== null;
+          } catch (error) {
+            return false;
+          }
+        };
+        const profile = profiles.find(([, selectors]) => selectors.some(matches));
+        return profile ? profile[0] : 'unknown';
+      },
+      args: [fingerprints]
+    });
+    return result;
+  }
+
+  /**
+   * Render a list of selectors with their test results, marking the one a
+   * lookup would use (the first that matches)
+   * @param {HTMLOListElement} list - List element to fill
+   * @param {Array<string>} selectors - Selectors in the order they are tried
+   * @param {number} overrideCount - How many of them are overrides
+   * @param {Array<Object>} results - Test results (optional)
+   */
+  function renderSelectorList(list, selectors, overrideCount, results) {
+    list.textContent = '';
+    const firstMatch = results ? results.findIndex(result => result.count > 0) : -1;
+
+    selectors.forEach((selector, index) => {
+      const item = document.createElement('li');
+      if (index < overrideCount) item.classList.add('override');
+      if (index === firstMatch) item.classList.add('first-match');
+      if (GENERIC_SELECTORS.has(selector) && index >= overrideCount) item.classList.add('generic');
+
+      const code = document.createElement('code');
+      code.textContent = selector;
+      item.appendChild(code);
+
+      const result = results && results[index];
+      if (result) {
+        const count = document.createElement('span');
+        count.className = 'match-count';
+        count.textContent = result.error
+          ? result.error
+          : `${result.count} ${result.count === 1 ? 'match' : 'matches'}${index === firstMatch ? ' · used' : ''}`;
+        item.appendChild(count);
+      }
+
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * Build the section of one SELECTORS key: its overrides, a test button and
+   * the full list of selectors in the order they are tried
+   * @param {string} key - SELECTORS key
+   * @param {Array<string>} overrides - Saved overrides for the key
+   * @returns {HTMLDetailsElement}
+   */
+  function buildKeySection(key, overrides) {
+    const section = document.createElement('details');
+    section.className = 'selector-key';
+    section.dataset.key = key;
+
+    const summary = document.createElement('summary');
+    const name = document.createElement('span');
+    name.textContent = key;
+    const badge = document.createElement('span');
+    badge.className = 'override-badge';
+    summary.appendChild(name);
+    summary.appendChild(badge);
+    section.appendChild(summary);
+
+    const textarea = document.createElement('textarea');
+    textarea.rows = 3;
+    textarea.placeholder = 'Your selectors for this key, one per line';
+    textarea.value = overrides.join('\n');
+    section.appendChild(textarea);
+    overrideInputs.set(key, textarea);
+
+    const testButton = document.createElement('button');
+    testButton.className = 'btn-secondary';
+    testButton.textContent = 'Test on current tab';
+    section.appendChild(testButton);
+
+    const list = document.createElement('ol');
+    list.className = 'selector-list';
+    section.appendChild(list);
+
+    const refresh = (results) => {
+      const { selectors, overrideCount } = resolveSelectors(SELECTORS[key]);
+      renderSelectorList(list, selectors, overrideCount, results);
+      badge.textContent = overrideCount > 0 ? `${overrideCount} override${overrideCount === 1 ? '' : 's'}` : '';
+    };
+
+    // Show the list as it would be tried with the edited overrides
+    const applyEdits = () => {
+      setSelectorOverrides(collectOverrides());
+      refresh();
+    };
+
+    textarea.addEventListener('input', () => {
+      applyEdits();
+      setStatus('Unsaved changes.', 'warning');
+    });
+
+    testButton.addEventListener('click', async () => {
+      applyEdits();
+      const { selectors } = resolveSelectors(SELECTORS[key]);
+      testButton.disabled = true;
+      try {
+        refresh(await testSelectors(selectors));
+        setStatus(`Tested ${key}. Counts are for the whole page; the scraper looks up some keys inside a chapter or lesson card.`, 'info');
+      } catch (err) {
+        console.error('[Options] Error testing selectors:', err);
+        setStatus(`Error: ${err.message}`, 'error');
+      } finally {
+        testButton.disabled = false;
+      }
+    });
+
+    sectionRefreshers.set(key, refresh);
+    refresh();
+    if (overrides.length > 0) section.open = true;
+    return section;
+  }
+
+  /**
+   * Read the overrides of every key from the page
+   * @returns {Object} - { key: [selector, ...] }
+   */
+  function collectOverrides() {
+    const overrides = {};
+    overrideInputs.forEach((textarea, key) => {
+      overrides[key] = readOverrides(textarea);
+    });
+    return normalizeSelectorOverrides(overrides);
+  }
+
+  if (saveButton) {
+    saveButton.addEventListener('click', async () => {
+      const overrides = collectOverrides();
+      const invalid = Object.values(overrides).flat().filter(selector => !isValidSelector(selector));
+      if (invalid.length > 0) {
+        setStatus(`Not saved: invalid selector ${invalid.map(selector => `"${selector}"`).join(', ')}.`, 'error');
+        return;
+      }
+
+      try {
+        await chrome.storage.sync.set({ [SELECTOR_OVERRIDES_KEY]: overrides });
+        setSelectorOverrides(overrides);
+        const count = Object.values(overrides).flat().length;
+        setStatus(`Saved ${count} override selector${count === 1 ? '' : 's'}. The next scrape uses them.`);
+      } catch (err) {
+        console.error('[Options] Error saving overrides:', err);
+        setStatus(`Error: ${err.message}`, 'error');
+      }
+    });
+  }
+
+  // Show the lists of the chosen layout profile
+  if (layoutSelect) {
+    layoutSelect.addEventListener('change', () => {
+      setLayoutProfile(layoutSelect.value);
+      sectionRefreshers.forEach(refresh => refresh());
+    });
+  }
+
+  if (filterInput) {
+    filterInput.addEventListener('input', () => {
+      const query = filterInput.value.trim().toLowerCase();
+      keysContainer.querySelectorAll('.selector-key').forEach(section => {
+        const key = section.dataset.key;
+        const text = [key, ...resolveSelectors(SELECTORS[key]).selectors].join('\n').toLowerCase();
+        section.classList.toggle('hidden', !!query && !text.includes(query));
+      });
+    });
+  }
+
+  loadSelectorOverrides().then(async overrides => {
+    for (const key of Object.keys(SELECTORS)) {
+      keysContainer.appendChild(buildKeySection(key, overrides[key] || []));
+    }
+    setStatus(`${Object.keys(SELECTORS).length} selector keys. Keys with overrides are expanded.`);
+
+    // Start with the layout of the open Thinkific tab
+    const layout = await detectTabLayout().catch(err => {
+      console.warn('[Options] Could not detect the tab layout:', err);
+      return null;
+    });
+    if (layout && layoutSelect) {
+      layoutSelect.value = layout;
+      setLayoutProfile(layout);
+      sectionRefreshers.forEach(refresh => refresh());
+      setStatus(`${Object.keys(SELECTORS).length} selector keys. The open Thinkific tab uses the ${layout} layout.`);
+    }
+  });
+});
@@ -1,19 +1,35 @@
 /**
  * Thinkific Course Scraper - Popup Controller
- * Click-through DOM scraping architecture: stays on curriculum page,
- * clicks each lesson, and extracts text from the editor panel
+ * View of the scrape run owned by the background service worker
+ * (background.js). Closing the popup does not stop the run; reopening
+ * it reconnects to the run in progress.
  */
 
-// Module-level state for cancellation and progress tracking
-let isScraping = false;
-let currentTabId = null;
-let totalLessonsGlobal = 0;
-let wasCancelled = false;
+const EXPORT_FORMAT_KEY = 'tcs-export-format';
+const DOWNLOAD_IMAGES_KEY = 'tcs-download-images';
+const DOWNLOAD_FILES_KEY = 'tcs-download-files';
 
 document.addEventListener('DOMContentLoaded', () => {
   const startButton = document.getElementById('startBtn');
   const cancelButton = document.getElementById('cancelBtn');
+  const exportFormatSelect = document.getElementById('exportFormat');
+  const downloadImagesCheckbox = document.getElementById('downloadImages');
+  const downloadFilesCheckbox = document.getElementById('downloadFiles');
+  const resumeSection = document.getElementById('resumeSection');
+  const resumeText = document.getElementById('resumeText');
+  const resumeButton = document.getElementById('resumeBtn');
+  const exportFileInput = document.getElementById('exportFile');
+  const retryText = document.getElementById('retryText');
+  const retryButton = document.getElementById('retryBtn');
+  const upgradeButton = document.getElementById('upgradeBtn');
+  const csvButton = document.getElementById('csvBtn');
+  const partialSection = document.getElementById('partialSection');
+  const savePartialButton = document.getElementById('savePartialBtn');
   const statusDiv = document.getElementById('status');
+  const partialErrorDiv = document.getElementById('partialError');
+  const schemaErrorDiv = document.getElementById('schemaError');
+  const selectorWarningDiv = document.getElementById('selectorWarning');
+  const checkpointWarningDiv = document.getElementById('checkpointWarning');
   const progressSection = document.getElementById('progressSection');
   const progressText = document.getElementById('progressText');
   const progressPercent = document.getElementById('progressPercent');
@@ -22,6 +38,11 @@ document.addEventListener('DOMContentLoaded', () => {
   const errorLogSection = document.getElementById('errorLogSection');
   const errorSummary = document.getElementById('errorSummary');
   const errorList = document.getElementById('errorList');
+  const downloadSection = document.getElementById('downloadSection');
+  const downloadSummary = document.getElementById('downloadSummary');
+  const pauseDownloadsButton = document.getElementById('pauseDownloadsBtn');
+  const downloadList = document.getElementById('downloadList');
+  const optionsLink = document.getElementById('optionsLink');
 
   if (!startButton) {
     console.error('[Popup] startBtn not found');
@@ -29,34 +50,228 @@ document.addEventListener('DOMContentLoaded', () => {
   }
 
   startButton.addEventListener('click', () => {
-    runScrape().catch(err => {
-      console.error('[Popup] Unhandled error in runScrape:', err);
+    startScrape({ resume: false }).catch(err => {
+      console.error('[Popup] Unhandled error starting scrape:', err);
       setStatus(`Error: ${err.message}`);
     });
   });
 
+  if (resumeButton) {
+    resumeButton.addEventListener('click', () => {
+      startScrape({ resume: true }).catch(err => {
+        console.error('[Popup] Unhandled error starting scrape:', err);
+        setStatus(`Error: ${err.message}`);
+      });
+    });
+  }
+
+  if (optionsLink) {
+    optionsLink.addEventListener('click', (event) => {
+      event.preventDefault();
+      chrome.runtime.openOptionsPage();
+    });
+  }
+
+  // Remember the chosen export format between popup openings
+  if (exportFormatSelect) {
+    chrome.storage.local.get(EXPORT_FORMAT_KEY).then(stored => {
+      if (stored[EXPORT_FORMAT_KEY]) exportFormatSelect.value = stored[EXPORT_FORMAT_KEY];
+      updateDownloadImagesOption();
+    });
+    exportFormatSelect.addEventListener('change', () => {
+      chrome.storage.local.set({ [EXPORT_FORMAT_KEY]: exportFormatSelect.value });
+      updateDownloadImagesOption();
+    });
+  }
+
+  // Image downloads apply to the JSON export only; the archive formats
+  // already package the images they use
+  if (downloadImagesCheckbox) {
+    chrome.storage.local.get(DOWNLOAD_IMAGES_KEY).then(stored => {
+      downloadImagesCheckbox.checked = !!stored[DOWNLOAD_IMAGES_KEY];
+    });
+    downloadImagesCheckbox.addEventListener('change', () => {
+      chrome.storage.local.set({ [DOWNLOAD_IMAGES_KEY]: downloadImagesCheckbox.checked });
+    });
+  }
+
+  if (downloadFilesCheckbox) {
+    chrome.storage.local.get(DOWNLOAD_FILES_KEY).then(stored => {
+      downloadFilesCheckbox.checked = !!stored[DOWNLOAD_FILES_KEY];
+    });
+    downloadFilesCheckbox.addEventListener('change', () => {
+      chrome.storage.local.set({ [DOWNLOAD_FILES_KEY]: downloadFilesCheckbox.checked });
+    });
+  }
+
+  // Pause or resume the file download queue
+  let downloadsStatus = 'idle';
+  if (pauseDownloadsButton) {
+    pauseDownloadsButton.addEventListener('click', async () => {
+      try {
+        await chrome.runtime.sendMessage({
+          type: downloadsStatus === 'paused' ? 'tcs-resume-downloads' : 'tcs-pause-downloads'
+        });
+      } catch (err) {
+        console.error('[Popup] Error pausing or resuming downloads:', err);
+        setStatus('Error pausing or resuming downloads. See console.');
+      }
+    });
+  }
+
+  // Previous export loaded for "Retry failed lessons" (upgraded to the
+  // current schema version) with its failed lesson count, and the file as
+  // it was read for "Upgrade"
+  let loadedExport = null;
+  let loadedFailedCount = 0;
+  let loadedFileData = null;
+
+  if (exportFileInput) {
+    exportFileInput.addEventListener('change', async () => {
+      loadedExport = null;
+      loadedFailedCount = 0;
+      loadedFileData = null;
+      if (retryButton) retryButton.disabled = true;
+      if (upgradeButton) upgradeButton.disabled = true;
+      if (csvButton) csvButton.disabled = true;
+      if (retryText) retryText.textContent = '';
+
+      const file = exportFileInput.files && exportFileInput.files[0];
+      if (!file) return;
+
+      try {
+        const data = JSON.parse(await file.text());
+        const upgraded = upgradeExport(data);
+        const version = getExportSchemaVersion(data);
+
+        const failedCount = upgraded.chapters
+          .flatMap(chapter => chapter.lessons)
+          .filter(lesson => !isLessonComplete(lesson))
+          .length;
+
+        loadedExport = upgraded;
+        loadedFailedCount = failedCount;
+        loadedFileData = data;
+        if (retryText) {
+          const versionNote = version < EXPORT_SCHEMA_VERSION
+            ? ` Schema version ${version} (current: ${EXPORT_SCHEMA_VERSION}).`
+            : '';
+          retryText.textContent = `${data.courseTitle || file.name}: ${failedCount} failed or empty lessons.${versionNote}`;
+        }
+        if (retryButton) retryButton.disabled = failedCount === 0;
+        if (upgradeButton) upgradeButton.disabled = version >= EXPORT_SCHEMA_VERSION;
+        if (csvButton) csvButton.disabled = false;
+      } catch (err) {
+        console.error('[Popup] Could not read export file:', err);
+        if (retryText) retryText.textContent = `Could not read file: ${err.message}`;
+      }
+    });
+  }
+
+  if (retryButton) {
+    retryButton.addEventListener('click', () => {
+      if (!loadedExport) return;
+      startScrape({ baseExport: loadedExport }).catch(err => {
+        console.error('[Popup] Unhandled error starting scrape:', err);
+        setStatus(`Error: ${err.message}`);
+      });
+    });
+  }
+
+  if (upgradeButton) {
+    upgradeButton.addEventListener('click', async () => {
+      if (!loadedFileData) return;
+      upgradeButton.disabled = true;
+      try {
+        const response = await chrome.runtime.sendMessage({
+          type: 'tcs-upgrade-export',
+          exportData: loadedFileData
+        });
+        if (response && !response.ok) {
+          setStatus(`Error: ${response.error}`);
+          upgradeButton.disabled = false;
+        }
+      } catch (err) {
+        console.error('[Popup] Error upgrading export:', err);
+        setStatus('Error upgrading export. See console.');
+        upgradeButton.disabled = false;
+      }
+    });
+  }
+
+  if (csvButton) {
+    csvButton.addEventListener('click', async () => {
+      if (!loadedFileData) return;
+      csvButton.disabled = true;
+      try {
+        const response = await chrome.runtime.sendMessage({
+          type: 'tcs-export-csv',
+          exportData: loadedFileData
+        });
+        if (response && !response.ok) {
+          setStatus(`Error: ${response.error}`);
+        }
+      } catch (err) {
+        console.error('[Popup] Error exporting lesson inventory:', err);
+        setStatus('Error exporting lesson inventory. See console.');
+      }
+      csvButton.disabled = false;
+    });
+  }
+
   // Cancel button handler
   if (cancelButton) {
     cancelButton.addEventListener('click', async () => {
-      if (!isScraping || !currentTabId) {
-        return;
+      try {
+        await chrome.runtime.sendMessage({ type: 'tcs-cancel' });
+      } catch (err) {
+        console.error('[Popup] Error requesting cancel:', err);
+        setStatus('Error requesting cancel. See console.');
       }
+    });
+  }
 
+  // Save partial export handler (after a cancelled run)
+  if (savePartialButton) {
+    savePartialButton.addEventListener('click', async () => {
+      savePartialButton.disabled = true;
       try {
-        await chrome.scripting.executeScript({
-          target: { tabId: currentTabId },
-          func: () => {
-            window.__TCS_CANCELLED = true;
-          }
+        const response = await chrome.runtime.sendMessage({
+          type: 'tcs-save-partial',
+          format: getExportFormat(),
+          downloadImages: getDownloadImages(),
+          downloadFiles: getDownloadFiles()
         });
-        setStatus('Cancel requested... Finishing current lesson.');
+        if (response && !response.ok) {
+          setStatus(`Error: ${response.error}`);
+        }
       } catch (err) {
-        console.error('[Popup] Error requesting cancel:', err);
-        setStatus('Error requesting cancel. See console.');
+        console.error('[Popup] Error saving partial export:', err);
+        setStatus('Error saving partial export. See console.');
+      } finally {
+        savePartialButton.disabled = false;
       }
     });
   }
 
+  function getExportFormat() {
+    return exportFormatSelect ? exportFormatSelect.value : 'json';
+  }
+
+  function getDownloadImages() {
+    return !!downloadImagesCheckbox && downloadImagesCheckbox.checked && getExportFormat() === 'json';
+  }
+
+  function getDownloadFiles() {
+    return !!downloadFilesCheckbox && downloadFilesCheckbox.checked;
+  }
+
+  function updateDownloadImagesOption() {
+    if (!downloadImagesCheckbox) return;
+    const running = !!startButton && startButton.disabled;
+    downloadImagesCheckbox.disabled = running || getExportFormat() !== 'json';
+  }
+
   function setStatus(msg) {
     if (statusDiv) statusDiv.textContent = msg;
     console.log('[Popup] Status:', msg);
@@ -76,579 +291,276 @@ document.addEventListener('DOMContentLoaded', () => {
     progressBar.style.width = `${pct}%`;
   }
 
-  function resetErrors() {
-    if (!errorList || !errorSummary || !errorLogSection) return;
-    errorList.innerHTML = '';
-    errorSummary.textContent = 'Errors (0)';
-    errorLogSection.classList.add('hidden');
-  }
-
-  // Listen for progress messages from the injected scraper
-  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-    if (!message || !message.type) return;
-
-    switch (message.type) {
-      case 'tcs-init':
-        wasCancelled = false;  // Reset on new run
-        totalLessonsGlobal = message.totalLessons || 0;
-        updateProgress(0, totalLessonsGlobal);
-        setStatus('Scanning lessons...');
-        break;
-
-      case 'tcs-progress':
-        totalLessonsGlobal = message.totalLessons || totalLessonsGlobal;
-        updateProgress(message.completed || 0, totalLessonsGlobal);
-        if (message.lessonTitle) {
-          setStatus(`Scraping: ${message.lessonTitle}`);
-        }
-        break;
-
-      case 'tcs-done':
-        wasCancelled = false;  // Explicitly mark as not cancelled
-        isScraping = false;
-        if (startButton) startButton.disabled = false;
-        if (cancelButton) cancelButton.disabled = true;
-        updateProgress(message.completed || totalLessonsGlobal, message.totalLessons || totalLessonsGlobal);
-        setStatus('Scraping complete. Downloading JSON...');
-        break;
-
-      case 'tcs-cancelled':
-        wasCancelled = true;  // Mark as cancelled
-        isScraping = false;
-        if (startButton) startButton.disabled = false;
-        if (cancelButton) cancelButton.disabled = true;
-        updateProgress(message.completed || 0, message.totalLessons || totalLessonsGlobal);
-        setStatus('Scraping cancelled. No file downloaded.');
-        break;
-    }
-  });
-
-  async function runScrape() {
-    resetErrors();
-    setStatus('Preparing to scrape...');
-
-    try {
-      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-      if (!tab || !tab.id || !tab.url) {
-        setStatus('No active tab found.');
-        return;
-      }
+  /**
+   * Render the run state received from the background service worker
+   * @param {Object} state - Run state
+   */
+  function renderState(state) {
+    if (!state) return;
 
-      if (!/thinkific\.com/.test(tab.url)) {
-        setStatus('Please navigate to a Thinkific course curriculum page before starting.');
-        return;
-      }
+    const running = state.status === 'running';
 
-      // Set state and update UI
-      isScraping = true;
-      currentTabId = tab.id;
-      wasCancelled = false;  // Reset cancellation flag for new run
+    if (startButton) startButton.disabled = running;
+    if (cancelButton) cancelButton.disabled = !running;
+    if (resumeButton) resumeButton.disabled = running;
+    if (retryButton) retryButton.disabled = running || !loadedExport || loadedFailedCount === 0;
+    if (upgradeButton) {
+      upgradeButton.disabled = running || !loadedFileData || getExportSchemaVersion(loadedFileData) >= EXPORT_SCHEMA_VERSION;
+    }
+    if (csvButton) csvButton.disabled = running || !loadedFileData;
+    if (exportFormatSelect) exportFormatSelect.disabled = running;
+    if (downloadFilesCheckbox) downloadFilesCheckbox.disabled = running;
+    updateDownloadImagesOption();
 
-      if (startButton) startButton.disabled = true;
-      if (cancelButton) cancelButton.disabled = false;
+    if (state.status !== 'idle' || state.totalLessons) {
+      updateProgress(state.completed, state.totalLessons);
+    }
 
-      // Reset progress UI
-      totalLessonsGlobal = 0;
-      if (progressSection) progressSection.classList.remove('hidden');
-      if (progressText) progressText.textContent = '0 / 0 lessons';
-      if (progressPercent) progressPercent.textContent = '0%';
-      if (progressBar) progressBar.style.width = '0%';
+    if (partialSection) {
+      partialSection.classList.toggle('hidden', !state.canSavePartial);
+    }
 
-      setStatus('Injecting scraper scripts into Thinkific page...');
+    if (currentLessonDiv) {
+      currentLessonDiv.textContent = running && state.lessonTitle ? `Current: ${state.lessonTitle}` : '';
+    }
 
-      // Inject selectors and utils into the page
-      await chrome.scripting.executeScript({
-        target: { tabId: tab.id },
-        files: ['selectors.js', 'utils.js']
-      });
+    renderErrors(state.errors || []);
+    renderPartialError(state.partialError);
+    renderSchemaError(state.schemaProblems || []);
+    renderSelectorWarning(state.selectorWarnings || []);
+    renderCheckpointWarning(state.checkpointFailures || 0, state.checkpointError);
 
-      setStatus('Starting click-through scraping...');
+    if (state.message) setStatus(state.message);
 
-      // Execute the click-through scraper in the page context
-      const [{ result: courseData }] = await chrome.scripting.executeScript({
-        target: { tabId: tab.id },
-        func: clickThroughAndScrapeCourse
-      });
+    if (!running) refreshResumeOption();
+  }
 
-      if (!courseData) {
-        setStatus('No data returned from scraper.');
-        isScraping = false;
-        if (startButton) startButton.disabled = false;
-        if (cancelButton) cancelButton.disabled = true;
-        return;
-      }
+  /**
+   * Show the Resume option when the active tab's course has a saved checkpoint
+   */
+  async function refreshResumeOption() {
+    if (!resumeSection || !resumeText) return;
 
-      console.log('[Popup] Course data received:', courseData);
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      const checkpoint = tab && tab.url && /thinkific\.com/.test(tab.url)
+        ? await loadCheckpoint(tab.url, { includeLessons: false })
+        : null;
 
-      // If the scraper marked this run as cancelled, or we saw a cancellation message,
-      // do NOT download a file.
-      if (courseData.cancelled || wasCancelled) {
-        console.log('[Popup] Scrape was cancelled; skipping download.');
-        setStatus('Scraping cancelled. No file downloaded.');
-        isScraping = false;
-        if (startButton) startButton.disabled = false;
-        if (cancelButton) cancelButton.disabled = true;
+      if (!checkpoint) {
+        resumeSection.classList.add('hidden');
         return;
       }
 
-      // Normal successful path: download JSON
-      setStatus('Creating download file...');
-
-      const blob = new Blob([JSON.stringify(courseData, null, 2)], { type: 'application/json' });
-      const url = URL.createObjectURL(blob);
-      const safeTitle = (courseData.courseTitle || 'course').replace(/[^a-z0-9]/gi, '_').toLowerCase();
-      const filename = `thinkific_${safeTitle}_${Date.now()}.json`;
-
-      await chrome.downloads.download({ url, filename });
-
-      // Reset state and update UI
-      isScraping = false;
-      if (startButton) startButton.disabled = false;
-      if (cancelButton) cancelButton.disabled = true;
-      setStatus(`Complete! ${filename} has been downloaded.`);
-
-    } catch (error) {
-      console.error('[Popup] Error during scraping:', error);
-      setStatus(`Error: ${error.message}`);
-    } finally {
-      // Reset state (unless already reset by message handler)
-      isScraping = false;
-      if (startButton) startButton.disabled = false;
-      if (cancelButton) cancelButton.disabled = true;
+      const savedCount = checkpoint.lessonIds.length;
+      resumeText.textContent = `${savedCount} / ${checkpoint.totalLessons || '?'} lessons saved from an earlier run.`;
+      resumeSection.classList.remove('hidden');
+    } catch (err) {
+      console.warn('[Popup] Could not read checkpoint:', err);
+      resumeSection.classList.add('hidden');
     }
   }
-});
-
-/**
- * This function runs in the Thinkific page context.
- * It clicks through each lesson and extracts text content.
- *
- * @returns {Promise<Object>} Complete course data with lesson content
- */
-async function clickThroughAndScrapeCourse() {
-  console.log('[Scraper] Starting click-through course scraping...');
-
-  // Initialize cancellation flag
-  window.__TCS_CANCELLED = window.__TCS_CANCELLED || false;
 
-  // Helper: Sleep
-  const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+  /**
+   * Show why the data of a cancelled run could not be kept for "Save partial export"
+   * @param {string|null} error - Storage error
+   */
+  function renderPartialError(error) {
+    if (!partialErrorDiv) return;
 
-  // Helper: Normalize text for comparison
-  const normalizeText = (text) => {
-    if (!text) return '';
-    return text.trim().replace(/\s+/g, ' ').toLowerCase();
-  };
+    partialErrorDiv.classList.toggle('hidden', !error);
+    partialErrorDiv.textContent = error
+      ? `Error: the partial data could not be kept (${error}), so it cannot be saved. The lessons finished so far are in the checkpoint; use Resume to continue the scrape.`
+      : '';
+  }
 
   /**
-   * Simulate a real mouse click with full event sequence
-   * @param {Element} element - Element to click
+   * Show the export schema problems of the last download (validateExport in
+   * export-schema.js); the file was still saved, but may not import cleanly
+   * @param {Array<string>} problems - Problem messages
    */
-  function simulateRealClick(element) {
-    if (!element) return;
-    const rect = element.getBoundingClientRect();
-    const centerX = rect.left + rect.width / 2;
-    const centerY = rect.top + rect.height / 2;
-
-    const eventOptions = {
-      bubbles: true,
-      cancelable: true,
-      view: window,
-      clientX: centerX,
-      clientY: centerY
-    };
-
-    const events = ['pointerdown', 'mousedown', 'mouseup', 'click'];
-
-    for (const type of events) {
-      const evt = new MouseEvent(type, eventOptions);
-      element.dispatchEvent(evt);
-    }
+  function renderSchemaError(problems) {
+    if (!schemaErrorDiv) return;
+
+    const shown = problems.slice(0, 3);
+    const more = problems.length - shown.length;
+    schemaErrorDiv.classList.toggle('hidden', problems.length === 0);
+    schemaErrorDiv.textContent = problems.length > 0
+      ? `Error: the downloaded export does not match the export schema (${problems.length} ${problems.length === 1 ? 'problem' : 'problems'}): ${shown.join('; ')}${more > 0 ? `; and ${more} more (see the service worker console)` : ''}.`
+      : '';
   }
 
   /**
-   * Wait for the lesson editor panel to load with a specific lesson
-   * @param {string} expectedTitle - The expected lesson title
-   * @param {number} timeoutMs - Max wait time in ms
-   * @returns {Promise<boolean>} - True if loaded, false if timeout
+   * Warn when critical selector keys only matched generic fallback selectors,
+   * which usually means Thinkific's markup changed and the data may be wrong
+   * @param {Array<string>} keys - SELECTORS keys (see diagnostics in the export)
    */
-  async function waitForLessonLoaded(expectedTitle, timeoutMs = 10000) {
-    console.log('[Scraper] Waiting for lesson "' + expectedTitle + '" to load in editor...');
-
-    const start = Date.now();
-    const normalize = (s) => (s || '').trim().replace(/\s+/g, ' ');
-
-    const normalizedExpected = normalize(expectedTitle);
-
-    while (Date.now() - start < timeoutMs) {
-      // Try more specific selectors first if available
-      const editorTitleSelectors = [
-        '[data-qa="lesson-title"]',
-        '[data-qa*="lesson-title"]',
-        '.lesson-title',
-        '.content-form-header h1',
-        '.content-form h1',
-        'h1'
-      ];
-
-      let titleEl = null;
-      for (const sel of editorTitleSelectors) {
-        try {
-          const candidate = document.querySelector(sel);
-          if (candidate) {
-            titleEl = candidate;
-            break;
-          }
-        } catch (e) {
-          console.warn('[Scraper] Selector failed in waitForLessonLoaded:', sel, e);
-        }
-      }
-
-      const currentText = titleEl ? normalize(titleEl.textContent) : '';
-      if (titleEl) {
-        console.log('[Scraper] Editor title candidate:', currentText);
-      } else {
-        console.log('[Scraper] No editor title element found yet');
-      }
+  function renderSelectorWarning(keys) {
+    if (!selectorWarningDiv) return;
 
-      if (titleEl && currentText === normalizedExpected) {
-        console.log('[Scraper] Lesson "' + expectedTitle + '" loaded in editor.');
-        // Extra wait for editor content to render
-        await sleep(500);
-        return true;
-      }
-
-      await sleep(500);
-    }
-
-    console.warn('[Scraper] Timeout waiting for lesson "' + expectedTitle + '"');
-    return false;
+    selectorWarningDiv.classList.toggle('hidden', keys.length === 0);
+    selectorWarningDiv.textContent = keys.length > 0
+      ? `Warning: ${keys.join(', ')} only matched generic fallback selectors. Check the scraped data; the export's diagnostics section lists every match.`
+      : '';
   }
 
   /**
-   * Extract lesson text content from the editor panel
-   * @returns {Object|null} - { html, plainText } or null
+   * Warn when finished lessons could not be saved to the resume checkpoint
+   * (e.g. storage full); the export still has them, but Resume would not
+   * @param {number} failures - Lessons whose checkpoint write failed
+   * @param {string|null} error - Error of the last failed write
    */
-  function extractLessonText() {
-    console.log('[Scraper] Attempting to extract lesson text...');
-
-    // Strategy 1: Try direct content-editable div (like Froala .fr-element.fr-view)
-    const editorEl = findElement(SELECTORS.lessonTextEditor);
-
-    if (editorEl) {
-      // Check if it's an iframe
-      if (editorEl.tagName === 'IFRAME') {
-        try {
-          console.log('[Scraper] Found iframe editor, attempting to access content...');
-          const iframeDoc = editorEl.contentDocument || editorEl.contentWindow?.document;
-
-          if (iframeDoc && iframeDoc.body) {
-            const html = iframeDoc.body.innerHTML;
-            const plainText = iframeDoc.body.innerText || iframeDoc.body.textContent || '';
-
-            console.log(`[Scraper] Extracted from iframe: ${html.length} chars HTML, ${plainText.length} chars text`);
-            return { html, plainText, source: 'iframe_body' };
-          }
-        } catch (err) {
-          console.warn('[Scraper] iframe access blocked (cross-origin):', err.message);
-          return null;
-        }
-      } else {
-        // Direct div with contenteditable
-        const html = editorEl.innerHTML;
-        const plainText = editorEl.innerText || editorEl.textContent || '';
+  function renderCheckpointWarning(failures, error) {
+    if (!checkpointWarningDiv) return;
 
-        console.log(`[Scraper] Extracted from direct element: ${html.length} chars HTML, ${plainText.length} chars text`);
-        return { html, plainText, source: 'direct_div' };
-      }
-    }
-
-    console.warn('[Scraper] Could not find lesson text editor element');
-    return null;
+    checkpointWarningDiv.classList.toggle('hidden', failures === 0);
+    checkpointWarningDiv.textContent = failures > 0
+      ? `Warning: ${failures} ${failures === 1 ? 'lesson' : 'lessons'} could not be saved to the resume checkpoint${error ? ` (${error})` : ''}. If this run is interrupted, Resume will scrape ${failures === 1 ? 'it' : 'them'} again.`
+      : '';
   }
 
-  try {
-    // Get course title and URL
-    const courseTitle = document.title || 'Unknown Course';
-    const curriculumUrl = window.location.href;
-
-    console.log('[Scraper] Course title:', courseTitle);
-    console.log('[Scraper] Curriculum URL:', curriculumUrl);
+  function resetErrors() {
+    if (!errorList || !errorSummary || !errorLogSection) return;
+    errorList.innerHTML = '';
+    errorSummary.textContent = 'Errors (0)';
+    errorLogSection.classList.add('hidden');
+  }
 
-    // Build course structure by finding chapters and lessons
-    const chapterElements = findElements(SELECTORS.chapterContainer);
-    console.log(`[Scraper] Found ${chapterElements.length} chapters`);
+  /**
+   * Fill the error log with the structured lesson errors of the run
+   * @param {Array<Object>} errors - Error reports (see logError in utils.js)
+   */
+  function renderErrors(errors) {
+    if (!errorList || !errorSummary || !errorLogSection) return;
 
-    if (chapterElements.length === 0) {
-      throw new Error('No chapters found. Make sure you are on the curriculum page.');
+    if (errors.length === 0) {
+      resetErrors();
+      return;
     }
 
-    const chapters = [];
-    let totalLessons = 0;
-
-    // Build course plan (chapters + lessons)
-    for (let chapterIndex = 0; chapterIndex < chapterElements.length; chapterIndex++) {
-      const chapterElement = chapterElements[chapterIndex];
-
-      const chapterTitleEl = findElement(SELECTORS.chapterTitle, chapterElement);
-      const chapterTitle = chapterTitleEl?.textContent.trim() || `Chapter ${chapterIndex + 1}`;
-
-      const lessonCards = findElements(SELECTORS.lessonCard, chapterElement);
-      console.log(`[Scraper] Chapter "${chapterTitle}": found ${lessonCards.length} lessons`);
+    // Errors only ever get appended during a run, so render just the new ones
+    for (let i = errorList.children.length; i < errors.length; i++) {
+      const error = errors[i];
+      const item = document.createElement('li');
+
+      const heading = document.createElement('strong');
+      let position = 'Course';
+      if (error.chapterIndex !== null && error.lessonIndex !== null) {
+        position = `Ch ${error.chapterIndex + 1}, Lesson ${error.lessonIndex + 1}`;
+      } else if (error.chapterIndex !== null) {
+        position = `Ch ${error.chapterIndex + 1}`;
+      }
+      heading.textContent = `${error.code} · ${position}: ${error.lessonTitle || error.context}`;
 
-      const lessons = [];
+      const detail = document.createElement('span');
+      const time = new Date(error.timestamp).toLocaleTimeString();
+      detail.textContent = `${error.message} (${time})`;
 
-      for (let lessonIndex = 0; lessonIndex < lessonCards.length; lessonIndex++) {
-        const lessonCard = lessonCards[lessonIndex];
-        const lessonTitleEl = findElement(SELECTORS.lessonTitle, lessonCard);
-        const lessonTitle = lessonTitleEl?.textContent.trim() || `Lesson ${lessonIndex + 1}`;
-        const lessonType = detectLessonType(lessonCard);
+      item.appendChild(heading);
+      item.appendChild(detail);
+      errorList.appendChild(item);
+    }
 
-        // DIAGNOSTIC: Log each lesson as we build the plan
-        console.log(`[Plan] chapterIndex=${chapterIndex} lessonIndex=${lessonIndex} title="${lessonTitle}" type="${lessonType}"`);
-        if (lessonIndex === 0) {
-          const htmlSnippet = lessonCard.outerHTML.substring(0, 200);
-          console.log(`[Plan] First lesson card HTML snippet:`, htmlSnippet);
-        }
+    errorSummary.textContent = `Errors (${errors.length})`;
+    errorLogSection.classList.remove('hidden');
+  }
 
-        lessons.push({
-          chapterIndex,
-          lessonIndex,
-          title: lessonTitle,
-          type: lessonType,
-          content: null,
-          textContent: null,
-          plainTextContent: null
-        });
+  /**
+   * Render the file download queue: a summary, the pause/resume button and
+   * each file's status, with the error of every failed download
+   * @param {Object} downloads - Download queue state
+   */
+  function renderDownloads(downloads) {
+    if (!downloads || !downloadSection || !downloadSummary || !downloadList) return;
+
+    const items = downloads.items || [];
+    downloadsStatus = downloads.status;
+    downloadSection.classList.toggle('hidden', items.length === 0);
+    if (items.length === 0) return;
+
+    const finished = items.filter(item => item.status === 'done').length;
+    const failed = items.filter(item => item.status === 'failed').length;
+    const active = downloads.status === 'running' || downloads.status === 'paused';
+
+    let summary = `Files: ${finished} / ${items.length} downloaded`;
+    if (failed > 0) summary += `, ${failed} failed`;
+    if (downloads.status === 'paused') summary += ' (paused)';
+    downloadSummary.textContent = summary;
+
+    if (pauseDownloadsButton) {
+      pauseDownloadsButton.classList.toggle('hidden', !active);
+      pauseDownloadsButton.textContent = downloads.status === 'paused' ? 'Resume' : 'Pause';
+    }
 
-        totalLessons++;
+    // Once the queue is done, only the failed downloads are listed as its report
+    const listed = active ? items : items.filter(item => item.status === 'failed');
+    downloadList.textContent = '';
+    for (const item of listed) {
+      const row = document.createElement('li');
+      row.className = item.status;
+
+      const name = document.createElement('span');
+      name.textContent = item.filename.split('/').pop();
+      name.title = `${item.lessonTitle}: ${item.url}`;
+
+      const status = document.createElement('span');
+      if (item.status === 'failed') {
+        status.textContent = `Failed: ${item.error}`;
+      } else if (item.status === 'downloading' && item.attempts > 1) {
+        status.textContent = `Retrying (attempt ${item.attempts})`;
+      } else {
+        status.textContent = item.status === 'done' ? 'Done' : item.status === 'queued' ? 'Queued' : 'Downloading';
       }
 
-      chapters.push({
-        chapterTitle,
-        chapterIndex,
-        lessons
-      });
+      row.appendChild(name);
+      row.appendChild(status);
+      downloadList.appendChild(row);
     }
+  }
 
-    console.log(`[Scraper] Built course plan: ${chapters.length} chapters, ${totalLessons} lessons`);
-
-    // Send init message with total lesson count
-    let completed = 0;
-    try {
-      chrome.runtime && chrome.runtime.sendMessage({
-        type: 'tcs-init',
-        totalLessons
-      });
-    } catch (e) {
-      console.warn('[Scraper] Failed to send init message:', e);
-    }
+  // Listen for run state and download queue updates from the background service worker
+  chrome.runtime.onMessage.addListener((message) => {
+    if (!message) return;
+    if (message.type === 'tcs-state') renderState(message.state);
+    if (message.type === 'tcs-download-state') renderDownloads(message.downloads);
+  });
 
-    // Now click through each lesson and extract content
-    let processedLessons = 0;
-    let cancelled = false;
-
-    for (const chapter of chapters) {
-      if (cancelled) break;
-
-      for (const lesson of chapter.lessons) {
-        try {
-          // Check cancellation flag
-          if (window.__TCS_CANCELLED) {
-            console.warn('[Scraper] Cancellation flag set; stopping after completing', completed, 'lessons');
-            try {
-              chrome.runtime && chrome.runtime.sendMessage({
-                type: 'tcs-cancelled',
-                completed,
-                totalLessons
-              });
-            } catch (e) {
-              console.warn('[Scraper] Failed to send cancellation message:', e);
-            }
-            cancelled = true;
-            break;
-          }
-
-          processedLessons++;
-          console.log(`[Scraper] Processing lesson ${processedLessons}/${totalLessons}: title="${lesson.title}" chapterIndex=${lesson.chapterIndex} lessonIndex=${lesson.lessonIndex}`);
-
-          // Find the lesson card in the current DOM by title
-          const lessonCards = findElements(SELECTORS.lessonCard);
-
-          // DIAGNOSTIC: Log how many cards we found globally
-          console.log(`[Debug] Global lessonCard query returned ${lessonCards.length} elements`);
-
-          // DIAGNOSTIC: Log the first few lesson titles we can see in the DOM
-          const visibleTitles = [];
-          for (let i = 0; i < Math.min(5, lessonCards.length); i++) {
-            const titleEl = findElement(SELECTORS.lessonTitle, lessonCards[i]);
-            if (titleEl) {
-              visibleTitles.push(titleEl.textContent.trim());
-            }
-          }
-          console.log(`[Debug] First ${visibleTitles.length} lesson titles in DOM:`, visibleTitles);
-
-          let targetLessonCard = null;
-          const normalizedTarget = normalizeText(lesson.title);
-          console.log(`[Debug] Looking for normalized title: "${normalizedTarget}"`);
-
-          for (const card of lessonCards) {
-            const titleElement = findElement(SELECTORS.lessonTitle, card);
-            if (titleElement) {
-              const normalizedCard = normalizeText(titleElement.textContent);
-
-              // DIAGNOSTIC: Log each comparison attempt for first 3 cards
-              if (lessonCards.indexOf(card) < 3) {
-                console.log(`[Debug] Comparing card title: "${normalizedCard}" vs target: "${normalizedTarget}" → match=${normalizedCard === normalizedTarget}`);
-              }
-
-              if (normalizedCard === normalizedTarget) {
-                targetLessonCard = card;
-                console.log(`[Debug] ✓ Match found at card index ${lessonCards.indexOf(card)}`);
-                break;
-              }
-            }
-          }
-
-          if (!targetLessonCard) {
-            console.error(`[Scraper] Could not find lesson card for "${lesson.title}"`);
-
-            // DIAGNOSTIC: Log ALL visible titles when we fail to find a match
-            console.error(`[Debug] Complete list of ${lessonCards.length} lesson titles currently in DOM:`);
-            for (let i = 0; i < lessonCards.length; i++) {
-              const titleEl = findElement(SELECTORS.lessonTitle, lessonCards[i]);
-              if (titleEl) {
-                console.error(`[Debug]   ${i}: "${titleEl.textContent.trim()}" (normalized: "${normalizeText(titleEl.textContent)}")`);
-              }
-            }
-
-            lesson.content = null;
-            lesson.textContent = null;
-            lesson.plainTextContent = null;
-            lesson.error = 'Could not find lesson card in DOM';
-            continue;
-          }
-
-          // Find the truly clickable element within the card
-          let clickableElement =
-            findElement(SELECTORS.clickableLesson, targetLessonCard) ||
-            targetLessonCard.querySelector('button, [role="button"]') ||
-            targetLessonCard;
-
-          console.log('[Scraper] Click target:', clickableElement, 'for lesson:', lesson.title);
-
-          // Scroll into view and wait for layout to settle
-          clickableElement.scrollIntoView({ block: 'center', behavior: 'smooth' });
-          await sleep(200);
-
-          console.log(`[Scraper] Clicking lesson: "${lesson.title}"`);
-          simulateRealClick(clickableElement);
-          await sleep(500);
-
-          // Wait for the lesson to load in the editor panel
-          const loaded = await waitForLessonLoaded(lesson.title, 12000);
-
-          if (!loaded) {
-            console.error(`[Scraper] Lesson "${lesson.title}" did not load in editor panel`);
-            lesson.content = null;
-            lesson.textContent = null;
-            lesson.plainTextContent = null;
-            lesson.error = 'Lesson did not load in editor panel (timeout)';
-            continue;
-          }
-
-          // Extract text content from the editor
-          const textResult = extractLessonText();
-
-          if (textResult) {
-            lesson.content = textResult.html || null;
-            lesson.textContent = textResult.plainText || null;
-            lesson.plainTextContent = textResult.plainText || null;
-            console.log(`[Scraper] Successfully extracted content for "${lesson.title}"`);
-          } else {
-            lesson.content = null;
-            lesson.textContent = null;
-            lesson.plainTextContent = null;
-            lesson.error = 'Could not extract text from editor';
-            console.warn(`[Scraper] Failed to extract content for "${lesson.title}"`);
-          }
-
-          // Increment completed count and send progress message
-          completed++;
-          try {
-            chrome.runtime && chrome.runtime.sendMessage({
-              type: 'tcs-progress',
-              completed,
-              totalLessons,
-              lessonTitle: lesson.title
-            });
-          } catch (e) {
-            console.warn('[Scraper] Failed to send progress message:', e);
-          }
-
-          // Small delay between lessons
-          await sleep(500);
-
-        } catch (lessonError) {
-          console.error(`[Scraper] Error processing lesson "${lesson.title}":`, lessonError);
-          lesson.content = null;
-          lesson.textContent = null;
-          lesson.plainTextContent = null;
-          lesson.error = lessonError.message || 'Unknown error';
-        }
-      }
-    }
+  /**
+   * Ask the background service worker to scrape the active tab
+   * @param {Object} options - Run options
+   * @param {boolean} options.resume - Skip lessons saved in the course checkpoint
+   * @param {Object} options.baseExport - Previous export whose failed lessons to retry
+   */
+  async function startScrape(options = {}) {
+    resetErrors();
+    setStatus('Preparing to scrape...');
 
-    // DIAGNOSTIC: Count successes and failures
-    let successCount = 0;
-    let failureCount = 0;
-    for (const chapter of chapters) {
-      for (const lesson of chapter.lessons) {
-        if (lesson.error) {
-          failureCount++;
-        } else if (lesson.content || lesson.textContent) {
-          successCount++;
-        } else {
-          failureCount++;
-        }
-      }
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab || !tab.id) {
+      setStatus('No active tab found.');
+      return;
     }
 
-    console.log(`[Scraper] ===== SCRAPING SUMMARY =====`);
-    console.log(`[Scraper] Total lessons: ${totalLessons}`);
-    console.log(`[Scraper] Successfully scraped: ${successCount}`);
-    console.log(`[Scraper] Failed to scrape: ${failureCount}`);
-    console.log(`[Scraper] ============================`);
+    const response = await chrome.runtime.sendMessage({
+      type: 'tcs-start',
+      tabId: tab.id,
+      resume: !!options.resume,
+      baseExport: options.baseExport || null,
+      format: getExportFormat(),
+      downloadImages: getDownloadImages(),
+      downloadFiles: getDownloadFiles()
+    });
 
-    // Send done message (if not cancelled)
-    if (!cancelled) {
-      try {
-        chrome.runtime && chrome.runtime.sendMessage({
-          type: 'tcs-done',
-          completed,
-          totalLessons
-        });
-      } catch (e) {
-        console.warn('[Scraper] Failed to send done message:', e);
-      }
+    if (response && !response.ok) {
+      setStatus(response.error || 'Could not start scraping.');
     }
-
-    // Return final course data
-    const finalData = {
-      cancelled,                  // Include cancellation flag
-      courseTitle,
-      curriculumUrl,
-      extractedAt: new Date().toISOString(),
-      totalChapters: chapters.length,
-      totalLessons: totalLessons,
-      chapters
-    };
-
-    console.log('[Scraper] Course scraping complete:', finalData);
-    return finalData;
-
-  } catch (error) {
-    console.error('[Scraper] Fatal error:', error);
-    throw new Error(`Course scraping failed: ${error.message}`);
   }
-}
+
+  // Reconnect to the current (or last) run
+  chrome.runtime.sendMessage({ type: 'tcs-get-state' })
+    .then(response => {
+      renderState(response && response.state);
+      renderDownloads(response && response.downloads);
+    })
+    .catch(err => console.warn('[Popup] Could not get run state:', err));
+});
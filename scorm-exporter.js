@@ -0,0 +1,186 @@
+/**
+ * Thinkific Course Scraper - SCORM Exporter
+ * Packages the course as a single-SCO SCORM 1.2 or SCORM 2004 package:
+ * an HTML player with lesson navigation (scorm-player.js), one page per
+ * lesson, the lesson assets, and the imsmanifest.xml.
+ * Depends on html-parser.js, utils.js and bundle-exporter.js.
+ */
+
+const SCORM_MANIFEST_HEADERS = {
+    '1.2': {
+        schemaVersion: '1.2',
+        attributes: `xmlns="http://www.imsproject.org/xsd/imscp_rootv1p1p2"
+  xmlns:adlcp="http://www.adlnet.org/xsd/adlcp_rootv1p2"
+  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="http://www.imsproject.org/xsd/imscp_rootv1p1p2 imscp_rootv1p1p2.xsd http://www.imsglobal.org/xsd/imsmd_rootv1p2p1 imsmd_rootv1p2p1.xsd http://www.adlnet.org/xsd/adlcp_rootv1p2 adlcp_rootv1p2.xsd"`,
+        scoAttribute: 'adlcp:scormtype="sco"'
+    },
+    '2004': {
+        schemaVersion: '2004 4th Edition',
+        attributes: `xmlns="http://www.imsglobal.org/xsd/imscp_v1p1"
+  xmlns:adlcp="http://www.adlnet.org/xsd/adlcp_v1p3"
+  xmlns:adlseq="http://www.adlnet.org/xsd/adlseq_v1p3"
+  xmlns:adlnav="http://www.adlnet.org/xsd/adlnav_v1p3"
+  xmlns:imsss="http://www.imsglobal.org/xsd/imsss"
+  xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+  xsi:schemaLocation="http://www.imsglobal.org/xsd/imscp_v1p1 imscp_v1p1.xsd http://www.adlnet.org/xsd/adlcp_v1p3 adlcp_v1p3.xsd http://www.adlnet.org/xsd/adlseq_v1p3 adlseq_v1p3.xsd http://www.adlnet.org/xsd/adlnav_v1p3 adlnav_v1p3.xsd http://www.imsglobal.org/xsd/imsss imsss_v1p0.xsd"`,
+        scoAttribute: 'adlcp:scormType="sco"'
+    }
+};
+
+/**
+ * Build the player page that hosts the lesson navigation and content frame
+ * @param {Object} playerCourse - Course outline for the player (SCORM_COURSE)
+ * @returns {string}
+ */
+function buildScormPlayerPage(playerCourse) {
+    // Keep "</script>" in titles from ending the inline script
+    const courseJson = JSON.stringify(playerCourse).replace(/</g, '\\u003c');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(playerCourse.title)}</title>
+<style>
+    * { box-sizing: border-box; }
+    body { margin: 0; height: 100vh; display: flex; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Arial, sans-serif; color: #333; }
+    #sidebar { width: 300px; display: flex; flex-direction: column; border-right: 1px solid #ddd; background: #f5f5f5; }
+    #sidebar h1 { font-size: 18px; margin: 0; padding: 15px; border-bottom: 1px solid #ddd; }
+    #lessonNav { flex: 1; overflow-y: auto; padding: 0 15px 15px; }
+    #lessonNav h2 { font-size: 14px; margin: 15px 0 5px; }
+    #lessonNav ol { margin: 0; padding-left: 20px; font-size: 13px; line-height: 1.6; }
+    #lessonNav a { color: #007cba; text-decoration: none; }
+    #lessonNav a.visited { color: #555; }
+    #lessonNav a.current { font-weight: 600; color: #1a1a1a; }
+    #controls { display: flex; gap: 10px; align-items: center; padding: 10px 15px; border-top: 1px solid #ddd; font-size: 12px; }
+    #controls button { padding: 6px 12px; border: 1px solid #007cba; border-radius: 4px; background: white; color: #007cba; cursor: pointer; }
+    #controls button:disabled { opacity: 0.5; cursor: not-allowed; }
+    #progressText { flex: 1; text-align: center; color: #666; }
+    #lessonFrame { flex: 1; border: 0; height: 100%; }
+</style>
+</head>
+<body>
+<div id="sidebar">
+    <h1>${escapeHtml(playerCourse.title)}</h1>
+    <nav id="lessonNav"></nav>
+    <div id="controls">
+        <button id="prevBtn" type="button">Previous</button>
+        <span id="progressText"></span>
+        <button id="nextBtn" type="button">Next</button>
+    </div>
+</div>
+<iframe id="lessonFrame" title="Lesson"></iframe>
+<script>window.SCORM_COURSE = ${courseJson};</script>
+<script src="scorm-player.js"></script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Build the SCORM manifest for a single SCO that contains every file
+ * @param {string} version - "1.2" or "2004"
+ * @param {string} courseTitle - Course title
+ * @param {Array<string>} files - Every file path in the package
+ * @returns {string}
+ */
+function buildScormManifest(version, courseTitle, files) {
+    const header = SCORM_MANIFEST_HEADERS[version];
+    const identifier = `TCS_${slugify(courseTitle, 'course').replace(/-/g, '_')}`;
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<manifest identifier="${identifier}" version="1"
+  ${header.attributes}>
+  <metadata>
+    <schema>ADL SCORM</schema>
+    <schemaversion>${header.schemaVersion}</schemaversion>
+  </metadata>
+  <organizations default="ORG_1">
+    <organization identifier="ORG_1">
+      <title>${escapeHtml(courseTitle)}</title>
+      <item identifier="ITEM_1" identifierref="SCO_1">
+        <title>${escapeHtml(courseTitle)}</title>
+      </item>
+    </organization>
+  </organizations>
+  <resources>
+    <resource identifier="SCO_1" type="webcontent" ${header.scoAttribute} href="index.html">
+${files.map(path => `      <file href="${escapeHtml(path)}"/>`).join('\n')}
+    </resource>
+  </resources>
+</manifest>
+`;
+}
+
+/**
+ * Build the files of a SCORM package
+ * @param {Object} courseData - Course data returned by clickThroughAndScrapeCourse
+ * @param {Object} options - Export options
+ * @param {string} options.version - "1.2" or "2004" (default: "1.2")
+ * @param {string} options.playerScript - Source of scorm-player.js
+ * @param {Function} options.onProgress - Called with (done, total) while assets download (optional)
+ * @returns {Promise<Array<Object>>} - { path, data } entries for createZip
+ */
+async function buildScormExport(courseData, options = {}) {
+    const version = SCORM_MANIFEST_HEADERS[options.version] ? options.version : '1.2';
+    const chapters = courseData.chapters || [];
+    const baseUrl = courseData.curriculumUrl;
+    const courseTitle = courseData.courseTitle || 'Course';
+
+    const assetUrls = new Set();
+    for (const chapter of chapters) {
+        for (const lesson of chapter.lessons || []) {
+            collectLessonAssetUrls(lesson, baseUrl).forEach(url => assetUrls.add(url));
+        }
+    }
+
+    const assets = await downloadAssets(assetUrls, { onProgress: options.onProgress });
+
+    // Lesson pages live two folders below the package root, like the offline bundle
+    const localUrl = (url) => {
+        const path = assets.paths.get(resolveAssetUrl(url, baseUrl));
+        return path ? `../../${path}` : null;
+    };
+
+    const entries = [];
+    const playerCourse = { title: courseTitle, scormVersion: version, chapters: [] };
+
+    chapters.forEach((chapter, chapterIndex) => {
+        const chapterTitle = chapter.chapterTitle || `Chapter ${chapterIndex + 1}`;
+        const chapterFolder = `${formatPosition(chapterIndex, chapters.length)}-${slugify(chapterTitle, 'chapter')}`;
+        const lessons = chapter.lessons || [];
+        const playerChapter = { title: chapterTitle, lessons: [] };
+
+        lessons.forEach((lesson, lessonIndex) => {
+            const title = lesson.title || `Lesson ${lessonIndex + 1}`;
+            const path = `lessons/${chapterFolder}/${formatPosition(lessonIndex, lessons.length)}-${slugify(title, 'lesson')}.html`;
+            const html = rewriteHtmlUrls(lesson.content || '', localUrl);
+
+            // Lessons open inside the player, so they need no link back to an index
+            entries.push({ path, data: buildLessonPage(lesson, html, localUrl, null) });
+            playerChapter.lessons.push({ title, href: path });
+        });
+
+        playerCourse.chapters.push(playerChapter);
+    });
+
+    entries.push(
+        { path: 'index.html', data: buildScormPlayerPage(playerCourse) },
+        { path: 'scorm-player.js', data: options.playerScript || '' },
+        ...assets.entries
+    );
+
+    const manifest = buildScormManifest(version, courseTitle, entries.map(entry => entry.path));
+    return [{ path: 'imsmanifest.xml', data: manifest }, ...entries];
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        buildScormPlayerPage,
+        buildScormManifest,
+        buildScormExport
+    };
+}
@@ -0,0 +1,205 @@
+/**
+ * Thinkific Course Scraper - SCORM Player
+ * Runtime of the exported SCORM package (copied into it by scorm-exporter.js;
+ * not loaded by the extension). Shows the lesson tree and the current lesson,
+ * and reports bookmark, progress and completion to the LMS through the
+ * SCORM 1.2 (API) or SCORM 2004 (API_1484_11) runtime API.
+ *
+ * Expects window.SCORM_COURSE = { title, scormVersion, chapters: [{ title, lessons: [{ title, href }] }] }
+ */
+
+(function () {
+    const course = window.SCORM_COURSE;
+    if (!course) {
+        console.error('[ScormPlayer] SCORM_COURSE is missing');
+        return;
+    }
+
+    const lessons = [];
+    course.chapters.forEach(chapter => {
+        chapter.lessons.forEach(lesson => lessons.push(lesson));
+    });
+
+    /**
+     * Look for the LMS API object in this window's parents, then in its opener
+     * @param {string} name - API object name (API or API_1484_11)
+     * @returns {Object|null}
+     */
+    function findApi(name) {
+        const search = (win) => {
+            for (let depth = 0; win && depth < 10; depth++) {
+                try {
+                    if (win[name]) return win[name];
+                } catch (error) {
+                    return null;  // Cross-origin frame
+                }
+                if (win.parent === win) break;
+                win = win.parent;
+            }
+            return null;
+        };
+        return search(window) || (window.opener ? search(window.opener) : null);
+    }
+
+    /**
+     * Wrap the SCORM 1.2 and 2004 APIs behind one interface.
+     * Without an LMS (package opened directly) every call is a no-op.
+     * @param {string} version - "1.2" or "2004"
+     * @returns {Object} - { connected, initialize, get, set, commit, terminate }
+     */
+    function createScormConnection(version) {
+        const is2004 = version === '2004';
+        const api = findApi(is2004 ? 'API_1484_11' : 'API');
+
+        // Data model elements differ between the two versions
+        const elements = is2004
+            ? { location: 'cmi.location', status: 'cmi.completion_status', exit: 'cmi.exit', progress: 'cmi.progress_measure' }
+            : { location: 'cmi.core.lesson_location', status: 'cmi.core.lesson_status', exit: 'cmi.core.exit', progress: null };
+
+        const call = (method12, method2004, ...args) => {
+            if (!api) return '';
+            try {
+                return api[is2004 ? method2004 : method12](...args);
+            } catch (error) {
+                console.warn('[ScormPlayer] SCORM call failed:', method2004, error);
+                return '';
+            }
+        };
+
+        return {
+            connected: !!api,
+            elements,
+            initialize: () => call('LMSInitialize', 'Initialize', ''),
+            get: (element) => (element ? call('LMSGetValue', 'GetValue', element) : ''),
+            set: (element, value) => (element ? call('LMSSetValue', 'SetValue', element, String(value)) : ''),
+            commit: () => call('LMSCommit', 'Commit', ''),
+            terminate: () => call('LMSFinish', 'Terminate', '')
+        };
+    }
+
+    const scorm = createScormConnection(course.scormVersion);
+    const frame = document.getElementById('lessonFrame');
+    const nav = document.getElementById('lessonNav');
+    const prevButton = document.getElementById('prevBtn');
+    const nextButton = document.getElementById('nextBtn');
+    const progressText = document.getElementById('progressText');
+
+    let visited = new Set();
+    let current = 0;
+    let terminated = false;
+
+    /**
+     * Restore the bookmark and visited lessons saved in the LMS
+     */
+    function restoreState() {
+        try {
+            const saved = JSON.parse(scorm.get('cmi.suspend_data') || '[]');
+            if (Array.isArray(saved)) visited = new Set(saved.filter(index => index < lessons.length));
+        } catch (error) {
+            console.warn('[ScormPlayer] Ignoring unreadable suspend_data:', error);
+        }
+
+        const location = parseInt(scorm.get(scorm.elements.location), 10);
+        if (location >= 0 && location < lessons.length) current = location;
+    }
+
+    /**
+     * Report progress; the course is completed once every lesson was opened
+     */
+    function saveProgress() {
+        const complete = visited.size >= lessons.length;
+
+        scorm.set(scorm.elements.location, current);
+        scorm.set('cmi.suspend_data', JSON.stringify([...visited]));
+        scorm.set(scorm.elements.progress, lessons.length ? (visited.size / lessons.length).toFixed(2) : 1);
+        scorm.set(scorm.elements.status, complete ? 'completed' : 'incomplete');
+        scorm.commit();
+
+        if (progressText) {
+            progressText.textContent = `${visited.size} / ${lessons.length} lessons viewed`;
+        }
+    }
+
+    /**
+     * Open a lesson in the content frame
+     * @param {number} index - Lesson index across all chapters
+     */
+    function showLesson(index) {
+        if (index < 0 || index >= lessons.length) return;
+
+        current = index;
+        visited.add(index);
+        frame.src = lessons[index].href;
+
+        nav.querySelectorAll('a[data-index]').forEach(link => {
+            const linkIndex = Number(link.dataset.index);
+            link.classList.toggle('current', linkIndex === index);
+            link.classList.toggle('visited', visited.has(linkIndex));
+        });
+        prevButton.disabled = index === 0;
+        nextButton.disabled = index === lessons.length - 1;
+
+        saveProgress();
+    }
+
+    /**
+     * Build the chapter and lesson tree
+     */
+    function renderNav() {
+        let index = 0;
+        course.chapters.forEach(chapter => {
+            const heading = document.createElement('h2');
+            heading.textContent = chapter.title;
+            nav.appendChild(heading);
+
+            const list = document.createElement('ol');
+            chapter.lessons.forEach(lesson => {
+                const item = document.createElement('li');
+                const link = document.createElement('a');
+                const lessonIndex = index++;
+                link.href = lesson.href;
+                link.textContent = lesson.title;
+                link.dataset.index = lessonIndex;
+                link.addEventListener('click', (event) => {
+                    event.preventDefault();
+                    showLesson(lessonIndex);
+                });
+                item.appendChild(link);
+                list.appendChild(item);
+            });
+            nav.appendChild(list);
+        });
+    }
+
+    /**
+     * Save the bookmark and end the LMS session (once)
+     */
+    function finish() {
+        if (terminated) return;
+        terminated = true;
+
+        // "suspend" keeps the bookmark for the learner's next session
+        scorm.set(scorm.elements.exit, 'suspend');
+        saveProgress();
+        scorm.terminate();
+    }
+
+    scorm.initialize();
+    if (!scorm.connected) {
+        console.warn('[ScormPlayer] No SCORM API found; progress will not be tracked');
+    }
+
+    restoreState();
+    renderNav();
+
+    prevButton.addEventListener('click', () => showLesson(current - 1));
+    nextButton.addEventListener('click', () => showLesson(current + 1));
+    window.addEventListener('pagehide', finish);
+    window.addEventListener('beforeunload', finish);
+
+    if (lessons.length > 0) {
+        showLesson(current);
+    } else {
+        saveProgress();
+    }
+})();
@@ -7,6 +7,9 @@
  * Level 2: Partial class matching - Moderately stable
  * Level 3: Structural selectors - Less stable
  * Level 4: Semantic/ARIA selectors - Fallback
+ *
+ * The curriculum keys have a list per admin UI version in LAYOUT_PROFILES;
+ * the SELECTORS lists below are used when the page matches no profile.
  */
 
 const SELECTORS = {
@@ -43,6 +46,24 @@ const SELECTORS = {
         'h2, h3, h4'
     ],
 
+    // Chapter accordion header (clicked to expand a collapsed chapter)
+    chapterHeader: [
+        '[data-qa="accordion-header"]',
+        '[class*="accordion__header"]',
+        '[class*="chapter-card__header"]',
+        '[class*="chapter-header"]',
+        'div[role="button"]:has([data-qa="accordion-title"])',
+        '[aria-expanded]:has([data-qa="accordion-title"])'
+    ],
+
+    // Scrollable curriculum sidebar (scrolled to render lazily loaded lessons)
+    curriculumSidebar: [
+        '[data-qa="course-tree"]',
+        '[class*="course-tree"][class*="scroll"]',
+        '[class*="curriculum-sidebar"]',
+        '[class*="course-tree"]'
+    ],
+
     // Lesson/Content cards
     lessonCard: [
         // Exact match from user's HTML structure
@@ -82,7 +103,32 @@ const SELECTORS = {
         'span, p'
     ],
 
-    // Lesson type icon (video, text, quiz, download)
+    // Editor panel form, or a field of it, that names the open lesson's type
+    lessonEditorForm: [
+        '[data-qa="lesson-type"]',
+        'input[name*="contentable_type"]',
+        'input[name*="content_type"]',
+        'form[data-qa*="lesson"]',
+        'form[class*="lesson-form"]',
+        'form[class*="content-form"]',
+        'form[id*="lesson"]'
+    ],
+
+    // Right-hand editor panel of the open lesson; video and file lookups stay
+    // inside it, so links in the sidebar or page header are never picked up
+    lessonEditorPanel: [
+        '[data-qa="lesson-editor"]',
+        '[data-qa*="content-editor"]',
+        '[data-qa*="lesson-form"]',
+        '[class*="content-editor_"]',
+        '[class*="lesson-editor_"]',
+        'form[data-qa*="lesson"]',
+        'form[class*="lesson-form"]',
+        'form[class*="content-form"]',
+        'form[id*="lesson"]'
+    ],
+
+    // Lesson type icon (video, text, quiz, download, ...)
     lessonIcon: [
         '[data-qa="lesson-icon"]',
         '[class*="icon"]',
@@ -126,6 +172,30 @@ const SELECTORS = {
         '.wistia_embed'
     ],
 
+    // Uploaded video file name in the video lesson editor
+    videoFileName: [
+        '[data-qa="video-file-name"]',
+        '[data-qa*="video-name"]',
+        '[class*="video-uploader"] [class*="file-name"]',
+        '[class*="video"] [class*="filename"]',
+        '[class*="video"] [class*="file-name"]'
+    ],
+
+    // Video duration label in the video lesson editor
+    videoDuration: [
+        '[data-qa="video-duration"]',
+        '[class*="video"] [class*="duration"]',
+        '[class*="duration"]'
+    ],
+
+    // Video thumbnail image in the video lesson editor
+    videoThumbnail: [
+        '[data-qa="video-thumbnail"] img',
+        'img[class*="video-thumbnail"]',
+        '[class*="video"] [class*="thumbnail"] img',
+        'img[src*="wistia"]'
+    ],
+
     // Download links
     downloadLinks: [
         'a[download]',
@@ -142,6 +212,114 @@ const SELECTORS = {
         'a[href*="/download"]'
     ],
 
+    // Attached file rows in the download lesson editor
+    downloadFileItem: [
+        '[data-qa="download-file"]',
+        '[data-qa*="uploaded-file"]',
+        '[class*="download-file"]',
+        '[class*="uploaded-file"]',
+        '[class*="file-list"] li'
+    ],
+
+    // File name within an attached file row
+    downloadFileName: [
+        '[data-qa="file-name"]',
+        '[class*="file-name"]',
+        '[class*="filename"]',
+        'a[href]'
+    ],
+
+    // File size within an attached file row
+    downloadFileSize: [
+        '[data-qa="file-size"]',
+        '[class*="file-size"]',
+        '[class*="filesize"]'
+    ],
+
+    // Question cards in the quiz editor
+    quizQuestion: [
+        '[data-qa="quiz-question"]',
+        '[data-qa*="question-card"]',
+        '[class*="question-card"]',
+        '[class*="quiz-question"]',
+        '[class*="question-item"]'
+    ],
+
+    // Question type control within a question card
+    quizQuestionType: [
+        '[data-qa="question-type"]',
+        'select[name*="type"]',
+        '[class*="question-type"]'
+    ],
+
+    // Question prompt within a question card
+    quizQuestionPrompt: [
+        '[data-qa="question-prompt"] .fr-element',
+        '[data-qa="question-prompt"]',
+        '[class*="question-prompt"] .fr-element',
+        '[class*="question-text"]',
+        '.fr-element.fr-view'
+    ],
+
+    // Answer choices within a question card
+    quizAnswer: [
+        '[data-qa="answer-choice"]',
+        '[data-qa*="answer-option"]',
+        '[class*="answer-choice"]',
+        '[class*="answer-option"]',
+        '[class*="choice-item"]',
+        'li[class*="answer"]'
+    ],
+
+    // Answer text within an answer choice
+    quizAnswerText: [
+        '[data-qa="answer-text"]',
+        '.fr-element',
+        '[class*="answer-text"]',
+        'input[type="text"]',
+        'textarea'
+    ],
+
+    // "Correct answer" marker within an answer choice
+    quizAnswerCorrect: [
+        '[data-qa="correct-answer"]',
+        '[data-qa*="correct"]',
+        'input[name*="correct"]',
+        'input[type="checkbox"]',
+        'input[type="radio"]',
+        '[role="checkbox"]',
+        '[role="switch"]'
+    ],
+
+    // Explanation within a question card
+    quizExplanation: [
+        '[data-qa="question-explanation"] .fr-element',
+        '[data-qa="question-explanation"]',
+        '[class*="explanation"] .fr-element',
+        '[class*="explanation"] textarea',
+        '[class*="explanation"]'
+    ],
+
+    // Quiz settings
+    quizPassingGrade: [
+        '[data-qa="passing-grade"] input',
+        'input[name*="passing"]',
+        'input[id*="passing"]'
+    ],
+
+    quizRetakes: [
+        '[data-qa*="retake"] input',
+        '[data-qa*="retake"] select',
+        'input[name*="retake"]',
+        'select[name*="retake"]'
+    ],
+
+    quizRandomize: [
+        '[data-qa*="random"] input[type="checkbox"]',
+        'input[type="checkbox"][name*="random"]',
+        '[role="switch"][id*="random"]'
+    ],
+
     // Course title
     courseTitle: [
         '[data-qa="course-title"]',
@@ -201,22 +379,359 @@ const SELECTORS = {
     ]
 };
 
+// Layout profiles for the versions of the Thinkific admin UI. Each profile
+// replaces the SELECTORS lists of the curriculum keys whose markup differs
+// between versions, so selectors meant for one layout cannot match the
+// wrong element in another (e.g. [class*="chapter"] inside a lesson card).
+// Keys a profile leaves out use the SELECTORS list. Profiles are fingerprinted
+// in this order; the first whose fingerprint matches the page is used.
+const LAYOUT_PROFILES = {
+    // Course tree with hashed CSS-module classes (chapter-card_..., content-card_...)
+    current: {
+        fingerprint: [
+            '[class*="chapter-card_"]',
+            '[class*="content-card_"]',
+            '[class*="course-tree-chapters_"]'
+        ],
+        selectors: {
+            chapterContainer: [
+                '.chapter-card_FVZUV',
+                '[class*="chapter-card"]',
+                '.accordion.course-tree-chapters_m1XqK',
+                '[class*="accordion"].course-tree-chapters'
+            ],
+            chapterTitle: [
+                '[data-qa="accordion-title"]',
+                '[data-qa="chapter-title"]',
+                '[class*="accordion-title"]',
+                '[class*="chapter-title"]',
+                'span[aria-expanded]'
+            ],
+            chapterHeader: [
+                '[data-qa="accordion-header"]',
+                '[class*="chapter-card__header"]',
+                '[class*="accordion__header"]',
+                '[aria-expanded]:has([data-qa="accordion-title"])'
+            ],
+            lessonCard: [
+                '.content-card_kNCsI',
+                '[data-qa="curriculum-lesson-card"]',
+                '[class*="content-card"]'
+            ],
+            clickableLesson: [
+                '[data-qa="curriculum-lesson-card"]',
+                'button[role="button"]',
+                'div[role="button"]',
+                'a[href]',
+                '[class*="content-card"]'
+            ],
+            lessonTitle: [
+                '.content-card__name_GVtnt',
+                '[class*="content-card__name"]',
+                '[data-qa="lesson-title"]'
+            ]
+        }
+    },
+
+    // Accordion chapters marked up with data-qa attributes, without hashed classes
+    accordion: {
+        fingerprint: [
+            '[data-qa="accordion-title"]',
+            '[data-qa="accordion-header"]',
+            '[class*="accordion__header"]'
+        ],
+        selectors: {
+            chapterContainer: [
+                '[class*="accordion__header"]',
+                '[class*="accordion"][role="button"]',
+                'div[role="button"]:has([data-qa="accordion-title"])'
+            ],
+            chapterTitle: [
+                '[data-qa="accordion-title"]',
+                '[class*="accordion-title"]',
+                'span[aria-expanded]'
+            ],
+            chapterHeader: [
+                '[data-qa="accordion-header"]',
+                '[class*="accordion__header"]',
+                'div[role="button"]:has([data-qa="accordion-title"])',
+                '[aria-expanded]:has([data-qa="accordion-title"])'
+            ],
+            // No div[role="button"] here: the chapter headers are buttons too
+            lessonCard: [
+                '[data-qa="curriculum-lesson-card"]',
+                '[data-qa="lesson-card"]',
+                '[class*="lesson-card"]',
+                '[class*="curriculum-item"]'
+            ],
+            clickableLesson: [
+                '[data-qa="curriculum-lesson-card"]',
+                'button[role="button"]',
+                'a[href]',
+                '[class*="lesson-card"]'
+            ],
+            lessonTitle: [
+                '[data-qa="lesson-title"]',
+                '[class*="lesson__name"]',
+                '[class*="lesson-title"]',
+                'span, p'
+            ]
+        }
+    },
+
+    // Older container-based curriculum (chapter containers with lesson items inside)
+    legacy: {
+        fingerprint: [
+            '[data-qa="chapter-container"]',
+            '[data-testid="chapter-card"]',
+            '.course-tree__chapters',
+            '.curriculum-section'
+        ],
+        selectors: {
+            chapterContainer: [
+                '[data-qa="chapter-container"]',
+                '[data-testid="chapter-card"]',
+                '.course-tree__chapters > div',
+                '.curriculum-section'
+            ],
+            chapterTitle: [
+                '[data-qa="chapter-title"]',
+                '[class*="chapter-title"]',
+                '.chapter-header',
+                'h2, h3, h4'
+            ],
+            chapterHeader: [
+                '[class*="chapter-header"]'
+            ],
+            lessonCard: [
+                '[data-qa="lesson-card"]',
+                '[data-testid="lesson-card"]',
+                '[class*="lesson-card"]',
+                '.lesson-item'
+            ],
+            clickableLesson: [
+                '[data-testid="lesson-card"]',
+                'a[href]',
+                'button[role="button"]',
+                'div[role="button"]'
+            ],
+            lessonTitle: [
+                '[data-qa="lesson-title"]',
+                '[class*="lesson-title"]',
+                '.lesson-name',
+                'span, p'
+            ]
+        }
+    }
+};
+
+// Layout profile in effect for findElement/findElements (null: the flat SELECTORS lists)
+let activeLayoutProfile = null;
+
+/**
+ * Fingerprint the page to pick its layout profile
+ * @param {Document|Element} context - DOM context to check (default: document)
+ * @returns {Object} - { name, matched }: the profile name ("unknown" if no
+ *   fingerprint matched) and the fingerprint selectors that matched
+ */
+function detectLayoutProfile(context = document) {
+    for (const [name, profile] of Object.entries(LAYOUT_PROFILES)) {
+        const matched = profile.fingerprint.filter(selector => {
+            try {
+                return context.querySelector(selector) !== null;
+            } catch (error) {
+                return false;
+            }
+        });
+        if (matched.length > 0) {
+            return { name, matched };
+        }
+    }
+    return { name: 'unknown', matched: [] };
+}
+
+/**
+ * Set the layout profile that findElement/findElements use
+ * @param {string} name - Key of LAYOUT_PROFILES; anything else uses the flat SELECTORS lists
+ */
+function setLayoutProfile(name) {
+    activeLayoutProfile = LAYOUT_PROFILES[name] ? name : null;
+}
+
+// Lookups the course structure and lesson text depend on
+const CRITICAL_SELECTOR_KEYS = ['chapterContainer', 'chapterTitle', 'lessonCard', 'lessonTitle', 'lessonTextEditor'];
+
+// Last-resort selectors that match on a tag, role or very common class
+// alone. A lookup that only ever matches one of these has probably found
+// the wrong element after a Thinkific markup change.
+const GENERIC_SELECTORS = new Set([
+    'div[role="region"]',
+    'div[role="button"]',
+    'button[role="button"]',
+    'h2, h3, h4',
+    'span, p',
+    'h1',
+    'h2',
+    'a[href]',
+    'svg',
+    '[class*="icon"]',
+    'iframe',
+    'article',
+    'main',
+    '.content',
+    '[contenteditable="true"]',
+    'input[type="text"]',
+    'input[type="checkbox"]',
+    'input[type="radio"]',
+    'textarea'
+]);
+
+// SELECTORS key of each selector list, to name lookups in the diagnostics
+// and find the user's overrides
+const SELECTOR_KEYS = new Map(Object.entries(SELECTORS).map(([key, selectors]) => [selectors, key]));
+
+// chrome.storage.sync key of the selector overrides set on the options page:
+// { <SELECTORS key>: [selector, ...] }, tried before the built-in selectors
+const SELECTOR_OVERRIDES_KEY = 'tcs-selector-overrides';
+
+// Overrides in effect for findElement/findElements
+let selectorOverrides = {};
+
+/**
+ * Clean up selector overrides: known keys only, trimmed non-empty selectors
+ * @param {Object} overrides - { key: [selector, ...] }
+ * @returns {Object} - Overrides without empty or unknown entries
+ */
+function normalizeSelectorOverrides(overrides) {
+    const normalized = {};
+    for (const [key, selectors] of Object.entries(overrides || {})) {
+        if (!SELECTORS[key] || !Array.isArray(selectors)) continue;
+        const cleaned = [...new Set(selectors.map(selector => String(selector).trim()).filter(Boolean))];
+        if (cleaned.length > 0) normalized[key] = cleaned;
+    }
+    return normalized;
+}
+
+/**
+ * Set the selector overrides that findElement/findElements use
+ * @param {Object} overrides - { key: [selector, ...] }
+ */
+function setSelectorOverrides(overrides) {
+    selectorOverrides = normalizeSelectorOverrides(overrides);
+}
+
+/**
+ * Load the selector overrides saved on the options page
+ * @returns {Promise<Object>} - The overrides now in effect
+ */
+async function loadSelectorOverrides() {
+    try {
+        const stored = await chrome.storage.sync.get(SELECTOR_OVERRIDES_KEY);
+        setSelectorOverrides(stored[SELECTOR_OVERRIDES_KEY]);
+    } catch (error) {
+        console.warn('[Selectors] Could not load selector overrides:', error);
+        setSelectorOverrides({});
+    }
+    return selectorOverrides;
+}
+
 /**
- * Try selectors in order and return first matching element
+ * Get the selectors to try for a lookup: the overrides of its SELECTORS key
+ * first, then the active layout profile's list for the key, or the list itself
+ * @param {Array<string>|string} selectorArray - Selector list (or a single selector)
+ * @returns {Object} - { key, selectors, overrideCount }; key is null for lists not in SELECTORS
+ */
+function resolveSelectors(selectorArray) {
+    const key = SELECTOR_KEYS.get(selectorArray) || null;
+    const profileSelectors = key && activeLayoutProfile && LAYOUT_PROFILES[activeLayoutProfile].selectors[key];
+    const builtIn = profileSelectors || (Array.isArray(selectorArray) ? selectorArray : [selectorArray]);
+    const overrides = (key && selectorOverrides[key]) || [];
+
+    return {
+        key,
+        selectors: [...overrides, ...builtIn.filter(selector => !overrides.includes(selector))],
+        overrideCount: overrides.length
+    };
+}
+
+// Lookup statistics since the last resetSelectorDiagnostics(), keyed by "key|selector"
+let selectorDiagnostics = new Map();
+
+/**
+ * Record the outcome of a findElement/findElements lookup. Lookups with a
+ * selector list that is not one of SELECTORS are not recorded.
+ * @param {string|null} key - SELECTORS key of the lookup
+ * @param {string|null} selector - Selector that matched, or null if none did
+ * @param {number|null} level - 1-based position of the matching selector in
+ *   the list tried (overrides first)
+ * @param {number} count - Number of elements matched
+ * @param {boolean} override - Whether the selector is a user override
+ */
+function recordSelectorLookup(key, selector, level, count, override) {
+    if (!key) return;
+
+    const id = `${key}|${selector}`;
+    let record = selectorDiagnostics.get(id);
+    if (!record) {
+        record = {
+            key,
+            selector,
+            level,
+            generic: selector !== null && !override && GENERIC_SELECTORS.has(selector),
+            override,
+            lookups: 0,
+            maxMatches: 0
+        };
+        selectorDiagnostics.set(id, record);
+    }
+
+    record.lookups++;
+    record.maxMatches = Math.max(record.maxMatches, count);
+}
+
+/**
+ * Forget the lookups recorded so far (called when a scrape starts)
+ */
+function resetSelectorDiagnostics() {
+    selectorDiagnostics = new Map();
+}
+
+/**
+ * Get the selector diagnostics for the export
+ * @returns {Object} - { selectors, genericOnly }: one record per key and
+ *   matched selector ({ key, selector, level, generic, override, lookups, maxMatches };
+ *   selector and level are null for lookups that matched nothing), and the
+ *   CRITICAL_SELECTOR_KEYS that only ever matched generic selectors
+ */
+function getSelectorDiagnostics() {
+    const selectors = [...selectorDiagnostics.values()]
+        .map(record => ({ ...record }))
+        .sort((a, b) => a.key.localeCompare(b.key) || (a.level ?? Infinity) - (b.level ?? Infinity));
+
+    const genericOnly = CRITICAL_SELECTOR_KEYS.filter(key => {
+        const matched = selectors.filter(record => record.key === key && record.selector !== null);
+        return matched.length > 0 && matched.every(record => record.generic);
+    });
+
+    return { selectors, genericOnly };
+}
+
+/**
+ * Try selectors in order and return first matching element.
+ * For SELECTORS lists, the user's overrides for that key are tried first.
  * @param {Array<string>} selectorArray - Array of CSS selectors to try
  * @param {Document|Element} context - DOM context to search within (default: document)
  * @returns {Element|null} - First matching element or null
  */
 function findElement(selectorArray, context = document) {
-    if (!Array.isArray(selectorArray)) {
-        selectorArray = [selectorArray];
-    }
+    const { key, selectors, overrideCount } = resolveSelectors(selectorArray);
 
-    for (const selector of selectorArray) {
+    for (const [index, selector] of selectors.entries()) {
         try {
             const element = context.querySelector(selector);
             if (element) {
                 console.log(`[FindElement] Match found: ${selector}`);
+                recordSelectorLookup(key, selector, index + 1, 1, index < overrideCount);
                 return element;
             }
         } catch (error) {
@@ -224,26 +739,27 @@ function findElement(selectorArray, context = document) {
         }
     }
 
-    console.warn(`[FindElement] No match found for selectors:`, selectorArray);
+    console.warn(`[FindElement] No match found for selectors:`, selectors);
+    recordSelectorLookup(key, null, null, 0, false);
     return null;
 }
 
 /**
- * Try selectors in order and return all matching elements
+ * Try selectors in order and return all matching elements.
+ * For SELECTORS lists, the user's overrides for that key are tried first.
  * @param {Array<string>} selectorArray - Array of CSS selectors to try
  * @param {Document|Element} context - DOM context to search within (default: document)
  * @returns {Array<Element>} - Array of matching elements (empty if none found)
  */
 function findElements(selectorArray, context = document) {
-    if (!Array.isArray(selectorArray)) {
-        selectorArray = [selectorArray];
-    }
+    const { key, selectors, overrideCount } = resolveSelectors(selectorArray);
 
-    for (const selector of selectorArray) {
+    for (const [index, selector] of selectors.entries()) {
         try {
             const elements = context.querySelectorAll(selector);
             if (elements.length > 0) {
                 console.log(`[FindElements] Found ${elements.length} elements with: ${selector}`);
+                recordSelectorLookup(key, selector, index + 1, elements.length, index < overrideCount);
                 return Array.from(elements);
             }
         } catch (error) {
@@ -251,7 +767,8 @@ function findElements(selectorArray, context = document) {
         }
     }
 
-    console.warn(`[FindElements] No matches found for selectors:`, selectorArray);
+    console.warn(`[FindElements] No matches found for selectors:`, selectors);
+    recordSelectorLookup(key, null, null, 0, false);
     return [];
 }
 
@@ -270,66 +787,171 @@ function extractText(container, selectorArray) {
     return container.textContent?.trim() || '';
 }
 
+// Lesson types, and the words that name them in attributes, labels and
+// class names. Checked in this order, so the more specific types win when
+// a value names several (e.g. "video-presentation"). Words match whole, so
+// "test" in an unrelated attribute no longer makes a lesson a quiz.
+const LESSON_TYPE_WORDS = {
+    multimedia: ['multimedia'],
+    presentation: ['presentation', 'slides', 'slideshow'],
+    assignment: ['assignment'],
+    survey: ['survey'],
+    exam: ['exam', 'brillium'],
+    discussion: ['discussion', 'disqus'],
+    live: ['live', 'zoom', 'webinar'],
+    audio: ['audio', 'podcast', 'headphones'],
+    pdf: ['pdf'],
+    quiz: ['quiz'],
+    download: ['download', 'downloads'],
+    video: ['video', 'play'],
+    text: ['text']
+};
+
+// How much each kind of evidence counts toward a lesson type
+const LESSON_TYPE_EVIDENCE_WEIGHTS = {
+    'editor-form': 0.95,        // The editor panel's form for the opened lesson
+    'data-attribute': 0.9,      // data-type and similar attributes on the card
+    'aria-label': 0.8,
+    'tooltip': 0.8,             // title / data-tooltip attributes
+    'icon': 0.5                 // Icon class names and sprite references
+};
+
+// Card attributes that name the lesson type outright
+const LESSON_TYPE_DATA_ATTRIBUTES = ['data-type', 'data-lesson-type', 'data-content-type', 'data-contentable-type', 'data-item-type'];
+
+// Tooltip attributes
+const LESSON_TYPE_TOOLTIP_ATTRIBUTES = ['title', 'data-tooltip', 'data-original-title', 'data-bs-original-title', 'data-tip'];
+
 /**
- * Detect lesson type from icon or other indicators
- * @param {Element} lessonElement - Lesson card element
- * @returns {string} - Lesson type (video|text|quiz|download|unknown)
+ * Find the lesson type a text names
+ * @param {string} text - Attribute value, label or class names
+ * @returns {string|null} - Key of LESSON_TYPE_WORDS, or null
  */
-function detectLessonType(lessonElement) {
-    // Try to find icon element
-    const iconElement = findElement(SELECTORS.lessonIcon, lessonElement);
+function classifyLessonTypeText(text) {
+    if (!text) return null;
+
+    // Split camelCase and punctuation into lowercase words
+    const words = new Set(String(text).replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean));
 
-    if (!iconElement) {
-        return 'unknown';
+    for (const [type, typeWords] of Object.entries(LESSON_TYPE_WORDS)) {
+        if (typeWords.some(word => words.has(word))) return type;
     }
+    return null;
+}
+
+/**
+ * Collect evidence for a lesson's type from its card: data attributes,
+ * aria-labels and tooltips (without the lesson title, which may name any
+ * type) and the type icon
+ * @param {Element} lessonElement - Lesson card element
+ * @param {string} lessonTitle - Lesson title, removed from labels before they are read (optional)
+ * @returns {Array<Object>} - { source, value, type } per piece of evidence
+ */
+function collectLessonTypeEvidence(lessonElement, lessonTitle = '') {
+    const evidence = [];
+    const title = (lessonTitle || '').trim().toLowerCase();
 
-    // Check SVG classes for type indicators
-    const iconHTML = iconElement.outerHTML.toLowerCase();
-    const iconClasses = iconElement.className.toLowerCase();
+    const add = (source, value) => {
+        let text = (value || '').trim();
+        const titleAt = title ? text.toLowerCase().indexOf(title) : -1;
+        if (titleAt !== -1) {
+            text = text.slice(0, titleAt) + text.slice(titleAt + title.length);
+        }
+        const type = classifyLessonTypeText(text);
+        if (type) evidence.push({ source, value: text.trim().slice(0, 80), type });
+    };
 
-    // Video indicators
-    if (iconHTML.includes('video') ||
-        iconHTML.includes('play') ||
-        iconClasses.includes('video') ||
-        iconClasses.includes('play')) {
-        return 'video';
+    const elements = [lessonElement, ...lessonElement.querySelectorAll('*')];
+    for (const element of elements) {
+        LESSON_TYPE_DATA_ATTRIBUTES.forEach(attribute => add('data-attribute', element.getAttribute(attribute)));
+        add('aria-label', element.getAttribute('aria-label'));
+        LESSON_TYPE_TOOLTIP_ATTRIBUTES.forEach(attribute => add('tooltip', element.getAttribute(attribute)));
     }
 
-    // Text/document indicators
-    if (iconHTML.includes('text') ||
-        iconHTML.includes('document') ||
-        iconHTML.includes('file-text') ||
-        iconClasses.includes('text') ||
-        iconClasses.includes('document')) {
-        return 'text';
+    const iconElement = findElement(SELECTORS.lessonIcon, lessonElement);
+    if (iconElement) {
+        const className = iconElement.getAttribute('class') || '';
+        const sprite = iconElement.querySelector('use');
+        add('icon', [
+            className,
+            iconElement.getAttribute('data-icon'),
+            iconElement.getAttribute('data-qa'),
+            sprite && (sprite.getAttribute('href') || sprite.getAttribute('xlink:href'))
+        ].filter(Boolean).join(' '));
     }
 
-    // Quiz indicators
-    if (iconHTML.includes('quiz') ||
-        iconHTML.includes('question') ||
-        iconHTML.includes('test') ||
-        iconClasses.includes('quiz') ||
-        iconClasses.includes('question')) {
-        return 'quiz';
-    }
+    return evidence;
+}
+
+/**
+ * Collect evidence for the type of the lesson open in the editor panel from
+ * the panel's form (its data-qa, id, class or name, or a content type field)
+ * @param {Document|Element} context - DOM context to search within (default: document)
+ * @returns {Array<Object>} - { source: "editor-form", value, type } per piece of evidence
+ */
+function collectEditorFormTypeEvidence(context = document) {
+    const evidence = [];
+
+    for (const element of findElements(SELECTORS.lessonEditorForm, context)) {
+        const isField = element.tagName === 'INPUT' || element.tagName === 'SELECT';
+        const value = isField
+            ? element.value
+            : [
+                element.getAttribute('data-qa'),
+                element.id,
+                element.getAttribute('name'),
+                element.getAttribute('class'),
+                element.children.length === 0 ? element.textContent : ''
+            ].filter(Boolean).join(' ');
 
-    // Download indicators
-    if (iconHTML.includes('download') ||
-        iconHTML.includes('arrow-down') ||
-        iconClasses.includes('download')) {
-        return 'download';
+        const type = classifyLessonTypeText(value);
+        if (type) evidence.push({ source: 'editor-form', value: value.trim().slice(0, 80), type });
     }
 
-    // Fallback: check lesson element itself for type hints
-    const lessonHTML = lessonElement.outerHTML.toLowerCase();
-    if (lessonHTML.includes('type="video"') || lessonHTML.includes('data-type="video"')) {
-        return 'video';
+    return evidence;
+}
+
+/**
+ * Decide a lesson's type from its evidence. Each type scores the combined
+ * weight of its evidence (1 - product of (1 - weight)); the confidence is the
+ * best score, reduced in proportion to the scores of the other types.
+ * @param {Array<Object>} evidence - { source, value, type } from the collect functions
+ * @returns {Object} - { type, confidence (0-1), evidence }; type is "unknown" without evidence
+ */
+function scoreLessonType(evidence) {
+    const scores = {};
+    for (const item of evidence) {
+        const weight = LESSON_TYPE_EVIDENCE_WEIGHTS[item.source] || 0.5;
+        scores[item.type] = 1 - (1 - (scores[item.type] || 0)) * (1 - weight);
     }
-    if (lessonHTML.includes('type="text"') || lessonHTML.includes('data-type="text"')) {
-        return 'text';
+
+    const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+    if (ranked.length === 0) {
+        return { type: 'unknown', confidence: 0, evidence };
     }
 
-    return 'unknown';
+    const [type, score] = ranked[0];
+    const total = ranked.reduce((sum, [, typeScore]) => sum + typeScore, 0);
+    return { type, confidence: Math.round(score * (score / total) * 100) / 100, evidence };
+}
+
+/**
+ * Detect a lesson's type from its card, with the confidence and evidence
+ * @param {Element} lessonElement - Lesson card element
+ * @param {string} lessonTitle - Lesson title (optional, see collectLessonTypeEvidence)
+ * @returns {Object} - { type, confidence, evidence } (see scoreLessonType)
+ */
+function detectLessonTypeDetails(lessonElement, lessonTitle = '') {
+    return scoreLessonType(collectLessonTypeEvidence(lessonElement, lessonTitle));
+}
+
+/**
+ * Detect lesson type from its card's attributes, labels and icon
+ * @param {Element} lessonElement - Lesson card element
+ * @returns {string} - Lesson type (a key of LESSON_TYPE_WORDS, or unknown)
+ */
+function detectLessonType(lessonElement) {
+    return detectLessonTypeDetails(lessonElement).type;
 }
 
 /**
@@ -376,14 +998,74 @@ function getLessonUrl(lessonElement) {
     return null;
 }
 
+/**
+ * Extract a curriculum item ID from a lesson edit URL
+ * @param {string} url - Lesson edit URL (e.g. .../manage/courses/12/contents/345/edit)
+ * @returns {string|null} - Item ID or null
+ */
+function getItemIdFromUrl(url) {
+    if (!url) return null;
+    const match = url.match(/\/(?:contents|items|lessons)\/(\d+)/);
+    return match ? match[1] : null;
+}
+
+/**
+ * Get a stable item ID for a lesson card from its data attributes or edit link
+ * @param {Element} lessonElement - Lesson card element
+ * @returns {string|null} - Item ID or null if the card exposes none
+ */
+function getLessonItemId(lessonElement) {
+    const idAttributes = [
+        'data-item-id',
+        'data-content-id',
+        'data-lesson-id',
+        'data-id',
+        'data-rbd-draggable-id'
+    ];
+
+    for (const attribute of idAttributes) {
+        const selector = `[${attribute}]`;
+        const element = lessonElement.matches(selector) ? lessonElement : lessonElement.querySelector(selector);
+        const value = element && element.getAttribute(attribute);
+        // Draggable IDs look like "content-123"; keep only the number when there is one
+        const idMatch = value && value.match(/\d+/);
+        if (idMatch) {
+            return idMatch[0];
+        }
+    }
+
+    const link = lessonElement.querySelector('a[href]');
+    return link ? getItemIdFromUrl(link.href) : null;
+}
+
 // Export for use in other scripts
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         SELECTORS,
+        LAYOUT_PROFILES,
+        detectLayoutProfile,
+        setLayoutProfile,
+        CRITICAL_SELECTOR_KEYS,
+        GENERIC_SELECTORS,
+        SELECTOR_OVERRIDES_KEY,
+        normalizeSelectorOverrides,
+        setSelectorOverrides,
+        loadSelectorOverrides,
+        resolveSelectors,
+        resetSelectorDiagnostics,
+        getSelectorDiagnostics,
         findElement,
         findElements,
         extractText,
+        LESSON_TYPE_WORDS,
+        classifyLessonTypeText,
+        collectLessonTypeEvidence,
+        collectEditorFormTypeEvidence,
+        scoreLessonType,
+        detectLessonTypeDetails,
         detectLessonType,
-        getLessonUrl
+        getLessonUrl,
+        getItemIdFromUrl,
+        getLessonItemId
     };
 }
@@ -0,0 +1,202 @@
+/**
+ * Thinkific Course Scraper - Static Site Exporter
+ * Builds a self-contained static website from the course data for reading
+ * archived courses without a Thinkific login: an index page with the
+ * chapter and lesson tree and a search box (site-search.js), one styled page
+ * per lesson with previous/next links, and the lesson assets.
+ * Depends on html-parser.js, utils.js and bundle-exporter.js.
+ */
+
+const SITE_STYLESHEET = `* { box-sizing: border-box; }
+body { margin: 0; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, Arial, sans-serif; line-height: 1.6; color: #333; background: #fafafa; }
+a { color: #007cba; }
+header { padding: 12px 20px; background: #1a1a1a; color: white; }
+header a { color: white; text-decoration: none; font-weight: 600; }
+main { max-width: 860px; margin: 0 auto; padding: 20px; background: white; min-height: calc(100vh - 48px); }
+h1 { font-size: 28px; margin: 10px 0 20px; }
+img, video, iframe { max-width: 100%; height: auto; }
+table { border-collapse: collapse; margin: 10px 0; }
+th, td { border: 1px solid #ddd; padding: 6px 10px; text-align: left; }
+pre { padding: 10px; overflow-x: auto; background: #f5f5f5; border-radius: 4px; }
+blockquote { margin: 10px 0; padding-left: 15px; border-left: 4px solid #ddd; color: #555; }
+.chapter-label { margin: 0; font-size: 13px; color: #666; text-transform: uppercase; letter-spacing: 0.5px; }
+.lesson-error { padding: 10px; border-radius: 4px; background: #fdecea; color: #a94442; }
+.explanation { padding: 10px; border-radius: 4px; background: #f0f7fb; }
+.lesson-nav { display: flex; justify-content: space-between; gap: 20px; margin-top: 40px; padding-top: 15px; border-top: 1px solid #ddd; font-size: 14px; }
+.lesson-nav .next { margin-left: auto; text-align: right; }
+.course-meta { color: #666; font-size: 14px; }
+.course-tree h2 { font-size: 18px; margin: 25px 0 5px; }
+.course-tree ol { margin: 0; padding-left: 25px; }
+.lesson-type { margin-left: 6px; padding: 1px 6px; border-radius: 3px; background: #eee; color: #666; font-size: 11px; }
+#siteSearch { width: 100%; padding: 10px; border: 1px solid #ccc; border-radius: 4px; font-size: 15px; }
+#searchResults { list-style: none; padding: 0; }
+#searchResults li { padding: 10px 0; border-bottom: 1px solid #eee; }
+#searchResults .snippet { margin: 4px 0 0; color: #555; font-size: 14px; }
+#searchResults mark { background: #fff3b0; }
+`;
+
+/**
+ * Wrap page content in the site layout
+ * @param {string} title - Page title
+ * @param {string} courseTitle - Course title shown in the header
+ * @param {string} rootHref - Relative path from the page to the site root ("" or "../../")
+ * @param {string} body - Page content
+ * @param {Array<string>} scripts - Script paths relative to the site root (optional)
+ * @returns {string}
+ */
+function buildSitePage(title, courseTitle, rootHref, body, scripts = []) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(title)}</title>
+<link rel="stylesheet" href="${rootHref}site.css">
+</head>
+<body>
+<header><a href="${rootHref}index.html">${escapeHtml(courseTitle)}</a></header>
+<main>
+${body}
+</main>
+${scripts.map(script => `<script src="${rootHref}${script}"></script>`).join('\n')}
+</body>
+</html>
+`;
+}
+
+/**
+ * Get the searchable plain text of a lesson (content and quiz questions).
+ * The content's text keeps its block breaks, so words of neighbouring
+ * paragraphs are never joined.
+ * @param {Object} lesson - Scraped lesson
+ * @returns {string}
+ */
+function getLessonSearchText(lesson) {
+    const contentText = lesson.plainTextContent ||
+        (lesson.content ? getNodeBlockText(parseHtml(lesson.content)) : '');
+    const parts = [contentText];
+
+    if (lesson.quiz && Array.isArray(lesson.quiz.questions)) {
+        lesson.quiz.questions.forEach(question => {
+            parts.push(question.promptText || '', ...question.choices.map(choice => choice.text || ''));
+        });
+    }
+
+    return parts.join(' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Build the files of a static site export:
+ *   index.html, site.css, site-search.js, search-index.js,
+ *   lessons/NN-chapter-slug/NN-lesson-slug.html, assets/<file>
+ * @param {Object} courseData - Course data returned by the scraper
+ * @param {Object} options - Export options
+ * @param {string} options.searchScript - Source of site-search.js
+ * @param {Function} options.onProgress - Called with (done, total) while assets download (optional)
+ * @returns {Promise<Array<Object>>} - { path, data } entries for createZip
+ */
+async function buildSiteExport(courseData, options = {}) {
+    const chapters = courseData.chapters || [];
+    const baseUrl = courseData.curriculumUrl;
+    const courseTitle = courseData.courseTitle || 'Course';
+
+    // Plan every lesson page in reading order, so each one knows its neighbours
+    const pages = [];
+    const assetUrls = new Set();
+    chapters.forEach((chapter, chapterIndex) => {
+        const chapterTitle = chapter.chapterTitle || `Chapter ${chapterIndex + 1}`;
+        const chapterFolder = `${formatPosition(chapterIndex, chapters.length)}-${slugify(chapterTitle, 'chapter')}`;
+        const lessons = chapter.lessons || [];
+
+        lessons.forEach((lesson, lessonIndex) => {
+            const title = lesson.title || `Lesson ${lessonIndex + 1}`;
+            const fileName = `${formatPosition(lessonIndex, lessons.length)}-${slugify(title, 'lesson')}.html`;
+            pages.push({ lesson, title, chapterIndex, chapterTitle, path: `lessons/${chapterFolder}/${fileName}` });
+            collectLessonAssetUrls(lesson, baseUrl).forEach(url => assetUrls.add(url));
+        });
+    });
+
+    const { entries: assetEntries, paths: assetPaths } = await downloadAssets(assetUrls, {
+        onProgress: options.onProgress
+    });
+
+    // Lesson pages live two folders below the site root
+    const localUrl = (url) => {
+        const path = assetPaths.get(resolveAssetUrl(url, baseUrl));
+        return path ? `../../${path}` : null;
+    };
+
+    const entries = [];
+    const searchIndex = [];
+
+    pages.forEach((page, index) => {
+        const previous = pages[index - 1];
+        const next = pages[index + 1];
+        const nav = [
+            previous ? `<a class="previous" href="../../${escapeHtml(previous.path)}">&larr; ${escapeHtml(previous.title)}</a>` : '',
+            next ? `<a class="next" href="../../${escapeHtml(next.path)}">${escapeHtml(next.title)} &rarr;</a>` : ''
+        ].join('');
+
+        const html = rewriteHtmlUrls(page.lesson.content || '', localUrl);
+        const body = `<p class="chapter-label">${escapeHtml(page.chapterTitle)}</p>
+<h1>${escapeHtml(page.title)}</h1>
+${renderLessonBody(page.lesson, html, localUrl)}
+<nav class="lesson-nav">${nav}</nav>`;
+
+        entries.push({ path: page.path, data: buildSitePage(page.title, courseTitle, '../../', body) });
+        searchIndex.push({
+            title: page.title,
+            chapter: page.chapterTitle,
+            href: page.path,
+            text: getLessonSearchText(page.lesson)
+        });
+    });
+
+    // Chapter and lesson tree; chapters are grouped by index, titles may repeat
+    const tree = [];
+    let currentChapter = null;
+    for (const page of pages) {
+        if (page.chapterIndex !== currentChapter) {
+            if (currentChapter !== null) tree.push('</ol>');
+            tree.push(`<h2>${escapeHtml(page.chapterTitle)}</h2>`, '<ol>');
+            currentChapter = page.chapterIndex;
+        }
+        const type = page.lesson.type && page.lesson.type !== 'text'
+            ? `<span class="lesson-type">${escapeHtml(page.lesson.type)}</span>`
+            : '';
+        tree.push(`<li><a href="${escapeHtml(page.path)}">${escapeHtml(page.title)}</a>${type}</li>`);
+    }
+    if (currentChapter !== null) tree.push('</ol>');
+
+    const meta = [
+        `${chapters.length} chapters, ${pages.length} lessons`,
+        courseData.extractedAt ? `archived ${escapeHtml(courseData.extractedAt.slice(0, 10))}` : ''
+    ].filter(Boolean).join(' &middot; ');
+
+    const indexBody = `<h1>${escapeHtml(courseTitle)}</h1>
+<p class="course-meta">${meta}</p>
+<input id="siteSearch" type="search" placeholder="Search lessons..." aria-label="Search lessons">
+<ul id="searchResults" hidden></ul>
+<div id="courseTree" class="course-tree">
+${tree.join('\n')}
+</div>`;
+
+    // The search index is a script rather than JSON so it also loads from file:// URLs
+    entries.push(
+        { path: 'index.html', data: buildSitePage(courseTitle, courseTitle, '', indexBody, ['search-index.js', 'site-search.js']) },
+        { path: 'site.css', data: SITE_STYLESHEET },
+        { path: 'search-index.js', data: `window.SITE_SEARCH_INDEX = ${JSON.stringify(searchIndex)};\n` },
+        { path: 'site-search.js', data: options.searchScript || '' }
+    );
+
+    return [...entries, ...assetEntries];
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        buildSitePage,
+        getLessonSearchText,
+        buildSiteExport
+    };
+}
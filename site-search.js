@@ -0,0 +1,124 @@
+/**
+ * Thinkific Course Scraper - Static Site Search
+ * Runtime of the exported static site (copied into it by site-exporter.js;
+ * not loaded by the extension). Filters the lessons in
+ * window.SITE_SEARCH_INDEX as the user types in the index page's search box.
+ *
+ * Expects window.SITE_SEARCH_INDEX = [{ title, chapter, href, text }]
+ */
+
+(function () {
+    const MAX_RESULTS = 50;
+    const SNIPPET_RADIUS = 80;
+
+    const lessons = window.SITE_SEARCH_INDEX || [];
+    const input = document.getElementById('siteSearch');
+    const results = document.getElementById('searchResults');
+    const tree = document.getElementById('courseTree');
+    if (!input || !results) return;
+
+    /**
+     * Append text to an element, highlighting every occurrence of the terms
+     * @param {HTMLElement} parent - Element to fill
+     * @param {string} text - Text
+     * @param {Array<string>} terms - Lowercase search terms
+     */
+    function appendHighlighted(parent, text, terms) {
+        const lower = text.toLowerCase();
+        let position = 0;
+
+        while (position < text.length) {
+            // Earliest match of any term from the current position
+            let start = -1;
+            let length = 0;
+            terms.forEach(term => {
+                const index = lower.indexOf(term, position);
+                if (index !== -1 && (start === -1 || index < start)) {
+                    start = index;
+                    length = term.length;
+                }
+            });
+
+            if (start === -1) {
+                parent.appendChild(document.createTextNode(text.slice(position)));
+                break;
+            }
+
+            parent.appendChild(document.createTextNode(text.slice(position, start)));
+            const mark = document.createElement('mark');
+            mark.textContent = text.slice(start, start + length);
+            parent.appendChild(mark);
+            position = start + length;
+        }
+    }
+
+    /**
+     * Cut the lesson text around the first match
+     * @param {string} text - Lesson text
+     * @param {Array<string>} terms - Lowercase search terms
+     * @returns {string}
+     */
+    function getSnippet(text, terms) {
+        const lower = text.toLowerCase();
+        const first = Math.min(...terms.map(term => {
+            const index = lower.indexOf(term);
+            return index === -1 ? Infinity : index;
+        }));
+        if (first === Infinity) return text.slice(0, SNIPPET_RADIUS * 2);
+
+        const start = Math.max(0, first - SNIPPET_RADIUS);
+        const end = Math.min(text.length, first + SNIPPET_RADIUS);
+        return `${start > 0 ? '...' : ''}${text.slice(start, end)}${end < text.length ? '...' : ''}`;
+    }
+
+    /**
+     * Show the lessons whose title, chapter or text contain every term
+     */
+    function search() {
+        const terms = input.value.toLowerCase().split(/\s+/).filter(Boolean);
+        results.textContent = '';
+
+        if (terms.length === 0) {
+            results.hidden = true;
+            if (tree) tree.hidden = false;
+            return;
+        }
+
+        const matches = lessons.filter(lesson => {
+            const haystack = `${lesson.title} ${lesson.chapter} ${lesson.text}`.toLowerCase();
+            return terms.every(term => haystack.includes(term));
+        });
+
+        matches.slice(0, MAX_RESULTS).forEach(lesson => {
+            const item = document.createElement('li');
+            const link = document.createElement('a');
+            link.href = lesson.href;
+            appendHighlighted(link, lesson.title, terms);
+            item.appendChild(link);
+            item.appendChild(document.createTextNode(` (${lesson.chapter})`));
+
+            if (lesson.text) {
+                const snippet = document.createElement('p');
+                snippet.className = 'snippet';
+                appendHighlighted(snippet, getSnippet(lesson.text, terms), terms);
+                item.appendChild(snippet);
+            }
+            results.appendChild(item);
+        });
+
+        if (matches.length === 0) {
+            const item = document.createElement('li');
+            item.textContent = 'No lessons match your search.';
+            results.appendChild(item);
+        } else if (matches.length > MAX_RESULTS) {
+            const item = document.createElement('li');
+            item.textContent = `Showing ${MAX_RESULTS} of ${matches.length} matching lessons.`;
+            results.appendChild(item);
+        }
+
+        results.hidden = false;
+        if (tree) tree.hidden = true;
+    }
+
+    input.addEventListener('input', search);
+})();
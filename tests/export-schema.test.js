@@ -0,0 +1,85 @@
+/**
+ * Tests for export-schema.js against export-schema.json
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// The upgrader uses the checkpoint.js globals, as in the service worker
+Object.assign(globalThis, require('../checkpoint.js'));
+const { EXPORT_SCHEMA_VERSION, getExportSchemaVersion, upgradeExport, validateExport } = require('../export-schema.js');
+const schema = require('../export-schema.json');
+
+// A version 1 export: no schemaVersion, url, position or status on lessons
+function createV1Export() {
+    return {
+        courseTitle: 'Course',
+        curriculumUrl: 'https://example.thinkific.com/manage/courses/1/curriculum',
+        extractedAt: '2024-01-01T00:00:00.000Z',
+        totalChapters: 1,
+        totalLessons: 2,
+        completedLessons: 1,
+        errors: [],
+        chapters: [{
+            chapterTitle: 'Intro',
+            lessons: [
+                { title: 'Welcome', type: 'text', content: '<p>Hi</p>', textContent: 'Hi' },
+                { title: 'Video', type: 'video', content: null, error: 'Timed out' }
+            ]
+        }]
+    };
+}
+
+test('getExportSchemaVersion treats files without schemaVersion as version 1', () => {
+    assert.equal(getExportSchemaVersion({}), 1);
+    assert.equal(getExportSchemaVersion({ schemaVersion: 2 }), 2);
+});
+
+test('upgradeExport upgrades a version 1 export to a valid current export', () => {
+    const upgraded = upgradeExport(createV1Export());
+    const [welcome, video] = upgraded.chapters[0].lessons;
+
+    assert.equal(upgraded.schemaVersion, EXPORT_SCHEMA_VERSION);
+    assert.equal(upgraded.cancelled, false);
+    assert.equal(upgraded.completedLessons, 1);
+    assert.equal(welcome.plainTextContent, 'Hi');
+    assert.equal('textContent' in welcome, false);
+    assert.equal(welcome.url, null);
+    assert.equal(welcome.status, 'scraped');
+    assert.equal(video.lessonIndex, 1);
+    assert.equal(video.status, 'failed');
+    assert.deepEqual(validateExport(upgraded, schema), []);
+});
+
+test('upgradeExport turns a course map into an export of not_attempted lessons', () => {
+    const courseMap = { courseTitle: 'Course', chapters: [{ chapterTitle: 'Intro', lessons: [{ title: 'Welcome', type: 'text' }] }] };
+    const upgraded = upgradeExport(courseMap);
+
+    assert.equal(upgraded.chapters[0].lessons[0].status, 'not_attempted');
+    assert.equal(upgraded.completedLessons, 0);
+    assert.deepEqual(validateExport(upgraded, schema), []);
+});
+
+test('upgradeExport leaves a current export unchanged', () => {
+    const current = upgradeExport(createV1Export());
+    assert.equal(upgradeExport(current), current);
+});
+
+test('upgradeExport rejects non-exports and newer schema versions', () => {
+    assert.throws(() => upgradeExport({ courseTitle: 'Course' }), /no chapters/);
+    assert.throws(() => upgradeExport({ schemaVersion: EXPORT_SCHEMA_VERSION + 1, chapters: [] }), /newer than this extension supports/);
+});
+
+test('validateExport reports each problem with its path', () => {
+    const exportData = upgradeExport(createV1Export());
+    exportData.totalLessons = '2';
+    delete exportData.chapters[0].lessons[0].url;
+    exportData.chapters[0].lessons[1].status = 'done';
+
+    assert.deepEqual(validateExport(exportData, schema), [
+        '$.totalLessons: must be integer (got string)',
+        '$.chapters[0].lessons[0]: missing required field "url"',
+        '$.chapters[0].lessons[1].status: must be one of "scraped", "failed", "not_attempted"'
+    ]);
+});
@@ -0,0 +1,62 @@
+/**
+ * Tests for html-parser.js
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { decodeHtmlEntities, escapeHtml, parseHtml, getNodeText, findNodes, rewriteHtmlUrls } = require('../html-parser.js');
+
+test('decodeHtmlEntities decodes named and numeric entities and keeps unknown ones', () => {
+    assert.equal(decodeHtmlEntities('&lt;b&gt; &amp; &#169; &#x41;'), '<b> & © A');
+    assert.equal(decodeHtmlEntities('&nbsp;'), ' ');
+    assert.equal(decodeHtmlEntities('&unknown;'), '&unknown;');
+});
+
+test('escapeHtml escapes markup characters', () => {
+    assert.equal(escapeHtml('<a href="x">&</a>'), '&lt;a href=&quot;x&quot;&gt;&amp;&lt;/a&gt;');
+});
+
+test('parseHtml builds a tree with decoded attributes and text', () => {
+    const root = parseHtml('<p class="intro">A &amp; B<br>C</p><img src="x.png">');
+
+    assert.equal(root.type, 'root');
+    assert.equal(root.children.length, 2);
+
+    const [paragraph, image] = root.children;
+    assert.equal(paragraph.tag, 'p');
+    assert.deepEqual(paragraph.attrs, { class: 'intro' });
+    assert.deepEqual(paragraph.children.map(child => child.type === 'text' ? child.text : child.tag), ['A & B', 'br', 'C']);
+    assert.equal(image.tag, 'img');
+    assert.deepEqual(image.children, []);
+});
+
+test('parseHtml closes implied end tags and keeps script text raw', () => {
+    const root = parseHtml('<ul><li>one<li>two</ul><script>if (a<b) {}</script>');
+
+    assert.equal(findNodes(root, node => node.tag === 'li').length, 2);
+    assert.equal(getNodeText(root.children[0]), 'onetwo');
+    assert.equal(root.children[1].children[0].text, 'if (a<b) {}');
+});
+
+test('getNodeText leaves out script and style text', () => {
+    assert.equal(getNodeText(parseHtml('<p>Text</p><style>p {}</style><script>x()</script>')), 'Text');
+});
+
+test('rewriteHtmlUrls rewrites src, href, srcset and style URLs', () => {
+    const html = '<img src="a.png" srcset="a.png 1x, b.png 2x"><a href=\'page.html\'>x</a>' +
+        '<div style="background: url(&quot;c.png&quot;)" title="d.png"></div>';
+
+    assert.equal(rewriteHtmlUrls(html, url => `assets/${url}`),
+        '<img src="assets/a.png" srcset="assets/a.png 1x, assets/b.png 2x"><a href=\'assets/page.html\'>x</a>' +
+        '<div style="background: url(&quot;assets/c.png&quot;)" title="d.png"></div>');
+});
+
+test('rewriteHtmlUrls keeps URLs the callback leaves alone', () => {
+    const html = '<a href="#top">Top</a><img src="x.png?a=1&amp;b=2">';
+
+    assert.equal(rewriteHtmlUrls(html, () => null), html);
+    assert.equal(rewriteHtmlUrls(html, url => url.startsWith('#') ? null : url.toUpperCase()),
+        '<a href="#top">Top</a><img src="X.PNG?A=1&amp;B=2">');
+    assert.equal(rewriteHtmlUrls('', () => 'x'), '');
+});
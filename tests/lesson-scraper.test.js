@@ -0,0 +1,27 @@
+/**
+ * Tests for the DOM-free helpers of lesson-scraper.js
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseFileSize } = require('../lesson-scraper.js');
+
+test('parseFileSize reads a comma before three digits as a thousands separator', () => {
+    assert.equal(parseFileSize('1,024 KB'), 1024 * 1024);
+    assert.equal(parseFileSize('1,234,567 bytes'), 1234567);
+    assert.equal(parseFileSize('1,024.5 KB'), Math.round(1024.5 * 1024));
+});
+
+test('parseFileSize reads any other comma as a decimal point', () => {
+    assert.equal(parseFileSize('2,5 MB'), Math.round(2.5 * 1024 ** 2));
+    assert.equal(parseFileSize('0,75 GB'), Math.round(0.75 * 1024 ** 3));
+    assert.equal(parseFileSize('1,0245 KB'), Math.round(1.0245 * 1024));
+});
+
+test('parseFileSize reads plain numbers and returns null for other labels', () => {
+    assert.equal(parseFileSize('2.4 MB'), Math.round(2.4 * 1024 ** 2));
+    assert.equal(parseFileSize('512 b'), 512);
+    assert.equal(parseFileSize('PDF document'), null);
+    assert.equal(parseFileSize(null), null);
+});
@@ -0,0 +1,56 @@
+/**
+ * Tests for markdown-exporter.js
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// The exporter uses the html-parser.js and utils.js globals, as in the service worker
+Object.assign(globalThis, require('../utils.js'), require('../html-parser.js'));
+const { htmlToMarkdown, escapeMarkdown, escapeMarkdownLineStarts, buildMarkdownExport } = require('../markdown-exporter.js');
+
+test('escapeMarkdown escapes inline formatting characters', () => {
+    assert.equal(escapeMarkdown('a*b_c `d` [e] <f>'), 'a\\*b\\_c \\`d\\` \\[e\\] \\<f\\>');
+});
+
+test('escapeMarkdownLineStarts escapes block markers at the start of a line', () => {
+    assert.equal(escapeMarkdownLineStarts('# Not a heading'), '\\# Not a heading');
+    assert.equal(escapeMarkdownLineStarts('1. Not a list'), '1\\. Not a list');
+    assert.equal(escapeMarkdownLineStarts('2) Not a list'), '2\\) Not a list');
+    assert.equal(escapeMarkdownLineStarts('> Not a quote'), '\\> Not a quote');
+    assert.equal(escapeMarkdownLineStarts('- Not a list'), '\\- Not a list');
+    assert.equal(escapeMarkdownLineStarts('+ Not a list'), '\\+ Not a list');
+    assert.equal(escapeMarkdownLineStarts('first  \n- second'), 'first  \n\\- second');
+});
+
+test('escapeMarkdownLineStarts leaves markers inside a line alone', () => {
+    assert.equal(escapeMarkdownLineStarts('Step 1. Then - more + #tag'), 'Step 1. Then - more + #tag');
+    assert.equal(escapeMarkdownLineStarts('#hashtag'), '#hashtag');
+    assert.equal(escapeMarkdownLineStarts('1.5 litres'), '1.5 litres');
+});
+
+test('htmlToMarkdown keeps paragraph text that looks like a block marker as text', () => {
+    assert.equal(htmlToMarkdown('<p>1. Read the guide</p>'), '1\\. Read the guide');
+    assert.equal(htmlToMarkdown('<p># of students</p>'), '\\# of students');
+    assert.equal(htmlToMarkdown('<p>Intro<br>- not a bullet</p>'), 'Intro  \n\\- not a bullet');
+    assert.equal(htmlToMarkdown('<p>&gt; not a quote</p>'), '\\> not a quote');
+});
+
+test('htmlToMarkdown renders real headings, lists and quotes', () => {
+    assert.equal(htmlToMarkdown('<h2>Title</h2><p>Some <strong>bold</strong> text</p>'), '## Title\n\nSome **bold** text');
+    assert.equal(htmlToMarkdown('<ol><li>One</li><li>Two</li></ol>'), '1. One\n2. Two');
+    assert.equal(htmlToMarkdown('<ul><li>1. Step</li></ul>'), '- 1\\. Step');
+    assert.equal(htmlToMarkdown('<blockquote><p>Quoted</p></blockquote>'), '> Quoted');
+});
+
+test('buildMarkdownExport writes an index and one file per lesson', () => {
+    const entries = buildMarkdownExport({
+        courseTitle: 'Course',
+        chapters: [{ chapterTitle: 'Intro', lessons: [{ title: 'Welcome', type: 'text', content: '<p>Hi</p>' }] }]
+    });
+
+    assert.deepEqual(entries.map(entry => entry.path), ['index.md', '01-intro/01-welcome.md']);
+    assert.match(entries[0].data, /- \[Welcome\]\(01-intro\/01-welcome\.md\)/);
+    assert.match(entries[1].data, /^---\ntitle: "Welcome"\n[\s\S]*---\n\nHi\n$/);
+});
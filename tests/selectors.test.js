@@ -0,0 +1,51 @@
+/**
+ * Tests for the lesson type scoring in selectors.js
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { classifyLessonTypeText, scoreLessonType } = require('../selectors.js');
+
+test('classifyLessonTypeText finds type words in labels and class names', () => {
+    assert.equal(classifyLessonTypeText('Quiz lesson'), 'quiz');
+    assert.equal(classifyLessonTypeText('lessonTypeVideo'), 'video');
+    assert.equal(classifyLessonTypeText('fa-file-pdf'), 'pdf');
+    assert.equal(classifyLessonTypeText('Untitled'), null);
+    assert.equal(classifyLessonTypeText(''), null);
+});
+
+test('scoreLessonType returns unknown without evidence', () => {
+    assert.deepEqual(scoreLessonType([]), { type: 'unknown', confidence: 0, evidence: [] });
+});
+
+test('scoreLessonType uses the source weight for a single piece of evidence', () => {
+    const evidence = [{ source: 'data-attribute', value: 'quiz', type: 'quiz' }];
+    assert.deepEqual(scoreLessonType(evidence), { type: 'quiz', confidence: 0.9, evidence });
+});
+
+test('scoreLessonType combines agreeing evidence', () => {
+    const result = scoreLessonType([
+        { source: 'icon', value: 'play-icon', type: 'video' },
+        { source: 'icon', value: 'video-icon', type: 'video' }
+    ]);
+
+    // 1 - (1 - 0.5) * (1 - 0.5)
+    assert.equal(result.type, 'video');
+    assert.equal(result.confidence, 0.75);
+});
+
+test('scoreLessonType lowers the confidence for conflicting evidence', () => {
+    const result = scoreLessonType([
+        { source: 'data-attribute', value: 'quiz', type: 'quiz' },
+        { source: 'icon', value: 'play-icon', type: 'video' }
+    ]);
+
+    // 0.9 * 0.9 / (0.9 + 0.5)
+    assert.equal(result.type, 'quiz');
+    assert.equal(result.confidence, 0.58);
+});
+
+test('scoreLessonType gives unknown sources a middle weight', () => {
+    assert.equal(scoreLessonType([{ source: 'other', value: 'text', type: 'text' }]).confidence, 0.5);
+});
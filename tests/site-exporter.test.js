@@ -0,0 +1,25 @@
+/**
+ * Tests for site-exporter.js
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// The exporter uses the html-parser.js and utils.js globals, as in the service worker
+Object.assign(globalThis, require('../utils.js'), require('../html-parser.js'));
+const { getLessonSearchText } = require('../site-exporter.js');
+
+test('getLessonSearchText keeps words of neighbouring blocks apart', () => {
+    const lesson = { content: '<h2>Hello</h2><p>Some <b>bold</b> text</p><ul><li>one</li><li>two</li></ul>' };
+    assert.equal(getLessonSearchText(lesson), 'Hello Some bold text one two');
+});
+
+test('getLessonSearchText prefers the scraped plain text and adds quiz text', () => {
+    const lesson = {
+        content: '<p>ignored</p>',
+        plainTextContent: 'Intro\nBody',
+        quiz: { questions: [{ promptText: 'Why?', choices: [{ text: 'Because' }] }] }
+    };
+    assert.equal(getLessonSearchText(lesson), 'Intro Body Why? Because');
+});
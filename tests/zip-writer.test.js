@@ -0,0 +1,60 @@
+/**
+ * Tests for zip-writer.js
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { crc32, createZip } = require('../zip-writer.js');
+
+test('crc32 matches the standard check value', () => {
+    assert.equal(crc32(new TextEncoder().encode('123456789')), 0xcbf43926);
+    assert.equal(crc32(new Uint8Array(0)), 0);
+});
+
+test('createZip stores each entry after a local header', () => {
+    const zip = createZip([
+        { path: 'a.txt', data: 'hello' },
+        { path: 'images/b.bin', data: new Uint8Array([1, 2, 3]) }
+    ], new Date(2024, 0, 2, 3, 4, 6));
+    const view = new DataView(zip.buffer);
+    const decoder = new TextDecoder();
+
+    // First entry: header, name, data
+    assert.equal(view.getUint32(0, true), 0x04034b50);
+    assert.equal(view.getUint16(8, true), 0);
+    assert.equal(view.getUint32(14, true), crc32(new TextEncoder().encode('hello')));
+    assert.equal(view.getUint32(18, true), 5);
+    assert.equal(view.getUint16(26, true), 5);
+    assert.equal(decoder.decode(zip.subarray(30, 35)), 'a.txt');
+    assert.equal(decoder.decode(zip.subarray(35, 40)), 'hello');
+
+    // Second entry starts right after the first
+    assert.equal(view.getUint32(40, true), 0x04034b50);
+    assert.equal(decoder.decode(zip.subarray(70, 82)), 'images/b.bin');
+    assert.deepEqual([...zip.subarray(82, 85)], [1, 2, 3]);
+});
+
+test('createZip ends with a central directory listing every entry', () => {
+    const zip = createZip([
+        { path: 'a.txt', data: 'hello' },
+        { path: 'ü.txt', data: '' }
+    ]);
+    const view = new DataView(zip.buffer);
+    const end = zip.length - 22;
+
+    assert.equal(view.getUint32(end, true), 0x06054b50);
+    assert.equal(view.getUint16(end + 10, true), 2);
+
+    const centralOffset = view.getUint32(end + 16, true);
+    assert.equal(centralOffset + view.getUint32(end + 12, true), end);
+    assert.equal(view.getUint32(centralOffset, true), 0x02014b50);
+    assert.equal(view.getUint32(centralOffset + 42, true), 0);
+
+    // The second entry's name is UTF-8, flagged in its header
+    const secondCentral = centralOffset + 46 + 5;
+    assert.equal(view.getUint32(secondCentral, true), 0x02014b50);
+    assert.equal(view.getUint16(secondCentral + 8, true), 0x0800);
+    assert.equal(new TextDecoder().decode(zip.subarray(secondCentral + 46, secondCentral + 46 + 6)), 'ü.txt');
+    assert.equal(view.getUint32(secondCentral + 42, true), 30 + 5 + 5);
+});
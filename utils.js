@@ -3,6 +3,19 @@
  * Shared utilities for sleep, retry logic, DOM waiting, and URL parsing
  */
 
+/**
+ * Error codes used in structured error reports (see logError)
+ */
+const ERROR_CODES = {
+    CARD_NOT_FOUND: 'CARD_NOT_FOUND',           // Lesson card not found in the curriculum sidebar
+    EDITOR_TIMEOUT: 'EDITOR_TIMEOUT',           // Lesson did not load in the editor panel in time
+    EDITOR_NOT_FOUND: 'EDITOR_NOT_FOUND',       // No lesson text editor element in the editor panel
+    IFRAME_BLOCKED: 'IFRAME_BLOCKED',           // Editor iframe could not be read (cross-origin)
+    EXTRACTION_EMPTY: 'EXTRACTION_EMPTY',       // Editor found but it held no content
+    CHAPTER_EMPTY: 'CHAPTER_EMPTY',             // Chapter still shows no lessons after expanding it
+    UNEXPECTED: 'UNEXPECTED'                    // Any other exception while processing a lesson
+};
+
 /**
  * Sleep for a specified number of milliseconds
  * @param {number} ms - Milliseconds to sleep
@@ -20,15 +33,18 @@ function sleep(ms) {
  * @param {number} options.backoffMs - Initial backoff delay in milliseconds (default: 1000)
  * @param {number} options.backoffMultiplier - Backoff multiplier for exponential backoff (default: 2)
  * @param {Function} options.onRetry - Callback function called on each retry (optional)
+ * @param {Function} options.shouldRetry - Called with the error of a failed attempt;
+ *   returning false stops retrying and rethrows that error (optional)
  * @returns {Promise<any>} - Result of the operation
- * @throws {Error} - If operation fails after all retries
+ * @throws {Error} - If operation fails after all retries, or with an error shouldRetry rejected
  */
 async function retryOperation(operation, options = {}) {
     const {
         maxRetries = 3,
         backoffMs = 1000,
         backoffMultiplier = 2,
-        onRetry = null
+        onRetry = null,
+        shouldRetry = null
     } = options;
 
     let lastError;
@@ -39,6 +55,10 @@ async function retryOperation(operation, options = {}) {
         } catch (error) {
             lastError = error;
 
+            if (shouldRetry && !shouldRetry(error)) {
+                throw error;
+            }
+
             if (attempt < maxRetries - 1) {
                 const delay = backoffMs * Math.pow(backoffMultiplier, attempt);
                 console.warn(`[Retry] Attempt ${attempt + 1}/${maxRetries} failed, retrying in ${delay}ms...`, error.message);
@@ -55,6 +75,77 @@ async function retryOperation(operation, options = {}) {
     throw new Error(`Operation failed after ${maxRetries} attempts: ${lastError.message}`);
 }
 
+// How long the DOM must go without changes to count as stable
+const DOM_STABLE_QUIET_MS = 300;
+
+// How long no request may finish for the network to count as idle
+const NETWORK_IDLE_MS = 500;
+
+// Upper bound for the stable/idle waits, so a page that never settles
+// (e.g. a ticking timer) only costs this much per wait
+const SETTLE_TIMEOUT_MS = 3000;
+
+/**
+ * Get the node a MutationObserver should watch for a DOM context
+ * @param {Document|Element} context - Document or element
+ * @returns {Node}
+ */
+function getObserverTarget(context) {
+    return context.nodeType === 9 ? (context.documentElement || context) : context;
+}
+
+/**
+ * Wait until a check passes. The check runs right away and again after
+ * every DOM change under the context, so the wait ends as soon as the page
+ * is ready instead of at the next poll.
+ * @param {Function} check - Returns a truthy value once the wait is over
+ * @param {Object} options - Wait options
+ * @param {number} options.timeout - Maximum time to wait in milliseconds (default: 10000)
+ * @param {Document|Element} options.context - DOM subtree to watch (default: document)
+ * @param {number} options.recheckMs - Also run the check at this interval, for
+ *   changes that don't touch the DOM such as history.pushState (default: 0, off)
+ * @returns {Promise<any>} - The check's truthy value, or null on timeout
+ */
+function waitForCondition(check, options = {}) {
+    const { timeout = 10000, context = document, recheckMs = 0 } = options;
+
+    return new Promise(resolve => {
+        let done = false;
+        let observer = null;
+        let timer = null;
+        let interval = null;
+
+        const finish = (value) => {
+            if (done) return;
+            done = true;
+            if (observer) observer.disconnect();
+            clearTimeout(timer);
+            clearInterval(interval);
+            resolve(value);
+        };
+
+        const run = () => {
+            if (done) return;
+            try {
+                const value = check();
+                if (value) finish(value);
+            } catch (error) {
+                console.warn('[WaitForCondition] Check failed:', error);
+            }
+        };
+
+        run();
+        if (done) return;
+
+        observer = new MutationObserver(run);
+        observer.observe(getObserverTarget(context), { childList: true, subtree: true, attributes: true, characterData: true });
+        timer = setTimeout(() => finish(null), timeout);
+        if (recheckMs > 0) {
+            interval = setInterval(run, recheckMs);
+        }
+    });
+}
+
 /**
  * Wait for an element to appear in the DOM
  * @param {string|Array<string>} selector - CSS selector or array of selectors to try
@@ -64,32 +155,111 @@ async function retryOperation(operation, options = {}) {
  * @throws {Error} - If element not found within timeout
  */
 async function waitForElement(selector, timeout = 10000, context = document) {
-    const startTime = Date.now();
-    const selectors = Array.isArray(selector) ? selector : [selector];
+    const selectors = (Array.isArray(selector) ? selector : [selector]).filter(sel => {
+        try {
+            context.querySelector(sel);
+            return true;
+        } catch (error) {
+            console.warn(`[WaitForElement] Invalid selector: ${sel}`, error);
+            return false;
+        }
+    });
 
-    while (Date.now() - startTime < timeout) {
+    const found = await waitForCondition(() => {
         for (const sel of selectors) {
-            try {
-                const element = context.querySelector(sel);
-                if (element) {
-                    console.log(`[WaitForElement] Found element: ${sel}`);
-                    return element;
-                }
-            } catch (error) {
-                console.warn(`[WaitForElement] Invalid selector: ${sel}`, error);
-            }
+            const element = context.querySelector(sel);
+            if (element) return { element, sel };
         }
+        return null;
+    }, { timeout, context });
 
-        await sleep(100);
+    if (!found) {
+        const selectorStr = selectors.join(', ');
+        throw new Error(`Element not found after ${timeout}ms: ${selectorStr}`);
     }
 
-    const selectorStr = selectors.join(', ');
-    throw new Error(`Element not found after ${timeout}ms: ${selectorStr}`);
+    console.log(`[WaitForElement] Found element: ${found.sel}`);
+    return found.element;
+}
+
+/**
+ * Wait until the DOM under a context stops changing: no element added,
+ * removed or re-texted for quietMs. Attribute changes are ignored, so
+ * hover states and animated attributes don't keep the wait going.
+ * @param {Document|Element} context - DOM subtree to watch (default: document)
+ * @param {Object} options - Wait options
+ * @param {number} options.quietMs - Time without changes (default: DOM_STABLE_QUIET_MS)
+ * @param {number} options.timeout - Maximum time to wait in milliseconds (default: SETTLE_TIMEOUT_MS)
+ * @returns {Promise<boolean>} - True once stable, false if it was still changing at the timeout
+ */
+function waitForDomStable(context = document, options = {}) {
+    const { quietMs = DOM_STABLE_QUIET_MS, timeout = SETTLE_TIMEOUT_MS } = options;
+
+    return new Promise(resolve => {
+        let quietTimer = null;
+        let observer = null;
+
+        const finish = (stable) => {
+            observer.disconnect();
+            clearTimeout(quietTimer);
+            clearTimeout(timeoutTimer);
+            resolve(stable);
+        };
+
+        const restartQuietTimer = () => {
+            clearTimeout(quietTimer);
+            quietTimer = setTimeout(() => finish(true), quietMs);
+        };
+
+        observer = new MutationObserver(restartQuietTimer);
+        observer.observe(getObserverTarget(context), { childList: true, subtree: true, characterData: true });
+        const timeoutTimer = setTimeout(() => finish(false), timeout);
+        restartQuietTimer();
+    });
+}
+
+/**
+ * Wait until no network request has finished for idleMs. Requests are seen
+ * through PerformanceObserver resource entries, which are only recorded
+ * when a request completes, so a single slow request still in flight is
+ * not detected; pair this with waitForDomStable.
+ * @param {Object} options - Wait options
+ * @param {number} options.idleMs - Time without finished requests (default: NETWORK_IDLE_MS)
+ * @param {number} options.timeout - Maximum time to wait in milliseconds (default: SETTLE_TIMEOUT_MS)
+ * @returns {Promise<boolean>} - True once idle, false if requests were still finishing at the timeout
+ */
+function waitForNetworkIdle(options = {}) {
+    const { idleMs = NETWORK_IDLE_MS, timeout = SETTLE_TIMEOUT_MS } = options;
+
+    if (typeof PerformanceObserver === 'undefined') {
+        return Promise.resolve(true);
+    }
+
+    return new Promise(resolve => {
+        let idleTimer = null;
+
+        const finish = (idle) => {
+            observer.disconnect();
+            clearTimeout(idleTimer);
+            clearTimeout(timeoutTimer);
+            resolve(idle);
+        };
+
+        const restartIdleTimer = () => {
+            clearTimeout(idleTimer);
+            idleTimer = setTimeout(() => finish(true), idleMs);
+        };
+
+        const observer = new PerformanceObserver(restartIdleTimer);
+        observer.observe({ type: 'resource' });
+        const timeoutTimer = setTimeout(() => finish(false), timeout);
+        restartIdleTimer();
+    });
 }
 
 /**
  * Wait for navigation to complete
- * Uses multiple signals to detect when page has finished loading
+ * Waits for the document to be parsed, then for its dynamic content to stop changing
  * @param {number} timeout - Maximum time to wait in milliseconds (default: 15000)
  * @returns {Promise<void>}
  */
@@ -97,15 +267,23 @@ async function waitForNavigation(timeout = 15000) {
     const startTime = Date.now();
 
     // Wait for document.readyState to be complete or interactive
-    while (document.readyState === 'loading') {
-        if (Date.now() - startTime > timeout) {
+    if (document.readyState === 'loading') {
+        const parsed = await new Promise(resolve => {
+            const timer = setTimeout(() => resolve(false), timeout);
+            document.addEventListener('DOMContentLoaded', () => {
+                clearTimeout(timer);
+                resolve(true);
+            }, { once: true });
+        });
+
+        if (!parsed) {
             throw new Error('Navigation timeout: document still loading');
         }
-        await sleep(100);
     }
 
-    // Additional wait for dynamic content
-    await sleep(1000);
+    // Wait for dynamic content to finish rendering
+    const remaining = Math.max(timeout - (Date.now() - startTime), 0);
+    await waitForDomStable(document, { timeout: Math.min(remaining, SETTLE_TIMEOUT_MS) });
 
     console.log('[WaitForNavigation] Navigation complete');
 }
@@ -160,18 +338,33 @@ function isAwsS3Url(url) {
 /**
  * Log error with context
  * @param {string} context - Context description (e.g., "Lesson: Introduction")
- * @param {Error} error - Error object
+ * @param {Error|string} error - Error object or message
+ * @param {Object} details - Extra fields for the report (optional)
+ * @param {string} details.code - One of ERROR_CODES (default: error.code or UNEXPECTED)
+ * @param {number} details.chapterIndex - Chapter position of the failing lesson
+ * @param {number} details.lessonIndex - Lesson position within the chapter
+ * @param {string} details.lessonTitle - Title of the failing lesson
  * @returns {Object} - Structured error object
  */
-function logError(context, error) {
+function logError(context, error, details = {}) {
+    const isErrorObject = error instanceof Error;
+
     const errorObj = {
+        code: details.code || (isErrorObject && error.code) || ERROR_CODES.UNEXPECTED,
         context: context,
-        message: error.message,
-        stack: error.stack,
+        message: isErrorObject ? error.message : String(error),
+        chapterIndex: details.chapterIndex ?? null,
+        lessonIndex: details.lessonIndex ?? null,
+        lessonTitle: details.lessonTitle ?? null,
         timestamp: new Date().toISOString()
     };
 
-    console.error(`[Error] ${context}:`, error);
+    // Only real exceptions carry a useful stack
+    if (isErrorObject) {
+        errorObj.stack = error.stack;
+    }
+
+    console.error(`[Error] ${errorObj.code} ${context}:`, error);
 
     return errorObj;
 }
@@ -220,12 +413,48 @@ function sanitizeText(text) {
         .trim();
 }
 
+/**
+ * Turn a title into a file-name-safe slug
+ * @param {string} text - Title to slugify
+ * @param {string} fallback - Slug to use when nothing is left (default: "untitled")
+ * @param {number} maxLength - Maximum slug length (default: 60)
+ * @returns {string} - Lowercase slug with dashes
+ */
+function slugify(text, fallback = 'untitled', maxLength = 60) {
+    const slug = String(text || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')  // Strip accents
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .slice(0, maxLength)
+        .replace(/^-+|-+$/g, '');
+    return slug || fallback;
+}
+
+/**
+ * Format a zero-based index as a 1-based, zero-padded position ("01", "02", ...)
+ * @param {number} index - Zero-based index
+ * @param {number} count - Number of items, so every position has the same width
+ * @returns {string}
+ */
+function formatPosition(index, count) {
+    const width = Math.max(2, String(count).length);
+    return String(index + 1).padStart(width, '0');
+}
+
 // Export functions for use in other scripts
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
+        ERROR_CODES,
         sleep,
         retryOperation,
+        DOM_STABLE_QUIET_MS,
+        NETWORK_IDLE_MS,
+        SETTLE_TIMEOUT_MS,
+        waitForCondition,
         waitForElement,
+        waitForDomStable,
+        waitForNetworkIdle,
         waitForNavigation,
         extractFilename,
         extractFileExtension,
@@ -233,6 +462,8 @@ if (typeof module !== 'undefined' && module.exports) {
         isAwsS3Url,
         logError,
         navigateToUrl,
-        sanitizeText
+        sanitizeText,
+        slugify,
+        formatPosition
     };
 }
@@ -0,0 +1,124 @@
+/**
+ * Thinkific Course Scraper - ZIP Writer
+ * Builds uncompressed ("stored") ZIP archives in memory, so multi-file
+ * exports can be packaged as a single download without a library
+ */
+
+let crcTable = null;
+
+/**
+ * Compute the CRC-32 checksum ZIP uses for each entry
+ * @param {Uint8Array} bytes - Data
+ * @returns {number} - Unsigned CRC-32
+ */
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Convert a date to the MS-DOS time and date fields of a ZIP header
+ * @param {Date} date - Modification date
+ * @returns {Object} - { time, date }
+ */
+function toDosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Build a ZIP archive
+ * @param {Array<Object>} entries - Files to store
+ * @param {string} entries[].path - Path inside the archive (forward slashes)
+ * @param {string|Uint8Array} entries[].data - File contents; strings are stored as UTF-8
+ * @param {Date} modified - Modification time for every entry (default: now)
+ * @returns {Uint8Array} - ZIP file bytes
+ */
+function createZip(entries, modified = new Date()) {
+    const encoder = new TextEncoder();
+    const { time, date } = toDosDateTime(modified);
+
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+        const name = encoder.encode(entry.path);
+        const data = typeof entry.data === 'string' ? encoder.encode(entry.data) : entry.data;
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);   // Local file header signature
+        local.setUint16(4, 10, true);           // Version needed to extract
+        local.setUint16(6, 0x0800, true);       // Flags: UTF-8 file name
+        local.setUint16(8, 0, true);            // Method: stored
+        local.setUint16(10, time, true);
+        local.setUint16(12, date, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true); // Compressed size
+        local.setUint32(22, data.length, true); // Uncompressed size
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true);           // Extra field length
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014b50, true); // Central directory header signature
+        central.setUint16(4, 20, true);         // Version made by
+        central.setUint16(6, 10, true);         // Version needed to extract
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, time, true);
+        central.setUint16(14, date, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true);    // Local header offset (other fields stay 0)
+
+        localParts.push(new Uint8Array(local.buffer), name, data);
+        centralParts.push(new Uint8Array(central.buffer), name);
+        offset += 30 + name.length + data.length;
+    }
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);         // End of central directory signature
+    end.setUint16(8, entries.length, true);     // Entries on this disk
+    end.setUint16(10, entries.length, true);    // Total entries
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);            // Central directory offset
+
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+    const zip = new Uint8Array(offset + centralSize + 22);
+    let position = 0;
+    for (const part of parts) {
+        zip.set(part, position);
+        position += part.length;
+    }
+
+    return zip;
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        crc32,
+        createZip
+    };
+}